@@ -9,15 +9,33 @@ class FireSafetyStationApp {
         this.searchTimeout = null;
         this.blinkingMarker = null;
         
-        // Map configuration
+        // Map configuration (dimensions of the plan currently shown; updated by switchMap)
         this.MAP_WIDTH = 7972;
         this.MAP_HEIGHT = 5905;
 
-        // Real-time status thresholds (days)
-        this.STATUS_THRESHOLDS = {
-            WARNING_PERIOD: 15,
-            OVERDUE_THRESHOLD: 30
+        // Floor plans: the site overview plus optional building/floor maps from maps.json.
+        // Each map has id, name, image, width, height and optionally building, floor,
+        // metersPerPixel, overviewPosition ({x, y} on the site overview where a link to it is drawn)
+        // and buildingOutlines ({"<building>": [[x, y], ...]}) used by the coverage analysis.
+        this.DEFAULT_MAP_REGISTRY = {
+            defaultMapId: 'site',
+            maps: [
+                { id: 'site', name: 'Site overview', image: 'map-layout.jpg', width: 7972, height: 5905 }
+            ]
         };
+        this.mapRegistry = this.DEFAULT_MAP_REGISTRY;
+        this.currentMapId = null;
+        this.mapImageLayer = null;
+        this.mapLinksLayer = null;
+
+        // Inspection rules (interval and warning window) per asset type and agent type.
+        // Loaded from inspection-rules.json; these defaults apply if it is missing.
+        this.DEFAULT_INSPECTION_RULES = {
+            default: { intervalMonths: 12, warningDays: 15 },
+            assetTypes: {}
+        };
+        this.inspectionRules = this.DEFAULT_INSPECTION_RULES;
+        this.fileInspectionRules = this.DEFAULT_INSPECTION_RULES;
 
         // Status colors and priority order
         this.statusColors = {
@@ -29,45 +47,630 @@ class FireSafetyStationApp {
         
         this.statusPriority = ['maintenance_required', 'overdue', 'inspection_due_soon', 'good'];
         
+        this.statusLabels = {
+            good: 'Good',
+            inspection_due_soon: 'Inspection Due Soon',
+            overdue: 'Overdue',
+            maintenance_required: 'Maintenance Required'
+        };
+
+        // Map filters: values within a group are OR-ed, groups are AND-ed.
+        // Non-matching stations are hidden or dimmed depending on filterMode.
+        this.EMPTY_FILTERS = {
+            statuses: [],
+            assetTypes: [],
+            types: [],
+            isoCategories: [],
+            buildings: [],
+            manufacturers: [],
+            dueWithinDays: null,
+            // Next due date range, ISO dates; either end may be open
+            dueFrom: null,
+            dueTo: null
+        };
+        this.filters = { ...this.EMPTY_FILTERS };
+        this.filterMode = 'hide';
+
+        // Dashboard: rows in the "most overdue assets" table
+        this.DASHBOARD_TOP_OVERDUE = 10;
+
+        // Printing: longest wait for report map excerpts to load before printing anyway
+        this.PRINT_IMAGE_TIMEOUT = 10000;
+
+        // Due-date calendar
+        this.calendarMode = 'month';
+        this.calendarDate = new Date();
+        this.calendarSelection = null;
+        this.CALENDAR_TIMELINE_WEEKS = 13;
+
+        // Search: field names usable as field:value, result limits and the "show all" highlight
+        this.SEARCH_FIELDS = ['station', 'building', 'asset', 'sticker', 'type', 'assettype', 'manufacturer', 'iso', 'status', 'due'];
+        this.SEARCH_MAX_STATIONS = 10;
+        this.SEARCH_MAX_ASSETS_PER_STATION = 5;
+        this.searchQuery = '';
+        this.searchResults = [];
+        this.searchOptions = [];
+        this.activeSuggestion = -1;
+        this.searchHighlight = new Set();
+
+        // Barcode scanner (keyboard wedge) input
+        this.scanMode = false;
+        this.scanBuffer = '';
+        this.scanLastKeyAt = 0;
+        this.scanMatches = [];
+        this.scanResultView = null;
+        this.SCAN_MAX_KEY_INTERVAL = 50;
+        this.SCAN_MIN_LENGTH = 3;
+
+        // Shareable URL state (see buildUrlHash)
+        this.URL_FILTER_PARAMS = {
+            statuses: 'status',
+            assetTypes: 'assetType',
+            types: 'agent',
+            isoCategories: 'iso',
+            buildings: 'building',
+            manufacturers: 'manufacturer'
+        };
+        this.URL_MODALS = [
+            'dashboardModal', 'buildingsModal', 'dataIssuesModal', 'infoModal', 'filterModal', 'settingsModal',
+            'historyModal', 'roundModal', 'reportModal', 'labelsModal', 'calendarModal', 'alertsModal'
+        ];
+        this.urlHash = null;
+        this.restoringUrlState = false;
+
+        // Map scale (meters per image pixel) per map: maps.json metersPerPixel,
+        // overridden by calibrations made on this device
+        this.mapScales = {};
+        this.mapTool = null;
+        this.toolPoints = [];
+        this.toolLayer = null;
+        this.measureLayer = null;
+
+        // Extinguisher coverage: maximum travel distance and optional agent type
+        this.DEFAULT_COVERAGE_SETTINGS = { radiusMeters: 20, agentType: '' };
+        this.coverageSettings = { ...this.DEFAULT_COVERAGE_SETTINGS };
+        this.coverageMode = false;
+        this.coverageLayer = null;
+        this.COVERAGE_GRID_CELLS = 250;
+
+        // Inspection round: ordered stops with done flags (see planRound)
+        this.round = null;
+        this.roundLayer = null;
+
+        // Alert center: status transitions, subscriptions (empty = everything) and
+        // which new statuses raise a browser notification
+        this.DEFAULT_ALERT_SETTINGS = { buildings: [], assetTypes: [], notify: false };
+        this.alertSettings = { ...this.DEFAULT_ALERT_SETTINGS };
+        this.alerts = [];
+        this.NOTIFY_STATUSES = ['overdue', 'maintenance_required'];
+        this.MAX_ALERTS = 1000;
+        this.MAX_ALERTS_SHOWN = 200;
+
+        // Inspection recording
+        this.DB_NAME = 'fireSafetyStations';
+        this.DB_VERSION = 5;
+
+        // Asset history event types (inspections and status overrides are recorded
+        // through their own actions, the rest through the "Log Event" form)
+        this.HISTORY_EVENT_TYPES = {
+            inspection: { label: 'Inspection', icon: '🔍' },
+            refill: { label: 'Refill', icon: '🧯' },
+            repair: { label: 'Repair', icon: '🔧' },
+            replacement: { label: 'Replacement', icon: '♻️' },
+            relocation: { label: 'Relocation', icon: '📦' },
+            status_override: { label: 'Status Override', icon: '🚩' }
+        };
+        this.localDb = null;
+
+        // Offline support: changes made offline are queued and replayed to
+        // SYNC_ENDPOINT when configured, otherwise offered for export.
+        // Set to the API's change feed when the data comes from server/server.js.
+        this.SYNC_ENDPOINT = null;
+        this.API_BASE = 'api';
+        this.pendingChangesCount = 0;
+        this.rejectedChangesCount = 0;
+        this.pendingChangesReplay = null;
+        this.pendingChangesRerun = false;
+
+        // CSV import wizard: target fields and the header aliases we recognise
+        this.IMPORT_FIELDS = [
+            { key: 'stationId', label: 'Station ID', required: true, aliases: ['StationID', 'Station'] },
+            { key: 'building', label: 'Building', required: true, aliases: ['Building'] },
+            { key: 'x', label: 'X', required: true, aliases: ['X'] },
+            { key: 'y', label: 'Y', required: true, aliases: ['Y'] },
+            { key: 'floor', label: 'Floor', required: false, aliases: ['Floor', 'Level'] },
+            { key: 'mapId', label: 'Floor Plan (Map ID)', required: false, aliases: ['MapID', 'Map'] },
+            { key: 'assetId', label: 'Asset ID', required: true, aliases: ['AssetID', 'id'] },
+            { key: 'assetType', label: 'Asset Type', required: false, aliases: ['AssetType'] },
+            { key: 'type', label: 'Agent Type', required: false, aliases: ['Type'] },
+            { key: 'size', label: 'Size', required: false, aliases: ['Size'] },
+            { key: 'manufacturer', label: 'Manufacturer', required: false, aliases: ['Manufacturer'] },
+            { key: 'lastInspection', label: 'Last Inspection', required: false, aliases: ['Last Inspection'] },
+            { key: 'nextDue', label: 'Next Due', required: false, aliases: ['Next Due'] },
+            { key: 'isoCategory', label: 'ISO Category', required: false, aliases: ['ISO Category'] },
+            { key: 'inspectionStickerID', label: 'Inspection Sticker ID', required: false, aliases: ['Inspection Sticker ID', 'Sticker'] },
+            { key: 'status', label: 'Status', required: false, aliases: ['Status', 'original_status'] }
+        ];
+        this.DATE_FORMATS = ['MM/DD/YYYY', 'DD/MM/YYYY', 'DD.MM.YYYY', 'YYYY-MM-DD'];
+        this.importState = null;
+
+        // Dates are stored as YYYY-MM-DD calendar days. Per device: the date format of
+        // stations.csv and the site's timezone, which decides what "today" is ('' = detect / device)
+        this.DEFAULT_DATE_SETTINGS = { sourceFormat: '', timeZone: '' };
+        this.dateSettings = { ...this.DEFAULT_DATE_SETTINGS };
+        this.sourceDateFormat = null;
+
+        // UI language: message catalogs in locales/<language>.json, chosen per device.
+        // English is always loaded too, as the fallback for keys a catalog lacks
+        this.LANGUAGES = { en: 'English', bg: 'Български' };
+        this.language = 'en';
+        this.messages = {};
+
+        // Dataset compare: the fields diffed per station and asset, and the two sides
+        this.COMPARE_STATION_FIELDS = ['building', 'x', 'y', 'floor', 'mapId'];
+        this.COMPARE_ASSET_FIELDS = ['assetType', 'type', 'size', 'manufacturer', 'isoCategory', 'inspectionStickerID', 'status', 'lastInspection', 'nextDue'];
+        this.MAX_COMPARE_ROWS = 300;
+        this.compareState = { a: null, b: null, differences: [], kind: '' };
+
+        // Data integrity issues found by runDataChecks
+        this.dataIssues = [];
+
+        // Map edit mode: layout changes are commands so they can be undone/redone
+        this.editMode = false;
+        this.editingStation = null;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.MAX_UNDO_STEPS = 100;
+        
         this.init();
     }
     
     async init() {
         try {
             console.log('Initializing Fire Safety Station Manager...');
+            await this.loadLanguage();
+            this.loadDateSettings();
+            await this.loadInspectionRules();
+            await this.loadMapRegistry();
+            this.loadMapScales();
+            this.loadCoverageSettings();
             await this.loadData();
+            await this.applyStoredRecords();
+            await this.loadAlerts();
             this.initMap();
             this.setupEventListeners();
             this.setupRealTimeStatusUpdates();
             this.updateStats();
             this.populateBuildings();
+            this.setupOfflineSupport();
+            this.applyUrlState();
             console.log('Fire Safety Station Manager initialized successfully');
         } catch (error) {
             console.error('Failed to initialize application:', error);
-            this.showError('Failed to load application data');
+            this.showError(this.t('app.loadFailed'));
+        }
+    }
+
+    // Localization. t(key, params) looks a message up in the current language, then English,
+    // and fills in {placeholders}. A message may be a set of plural forms ({ one, other })
+    // chosen by params.count. Static markup names its keys in data-i18n / data-i18n-attr.
+    async loadLanguage() {
+        const saved = localStorage.getItem('fireSafety.language');
+        const browserLanguage = (navigator.language || '').slice(0, 2).toLowerCase();
+        const language = this.LANGUAGES[saved] ? saved : (this.LANGUAGES[browserLanguage] ? browserLanguage : 'en');
+        await this.setLanguage(language, { save: false });
+    }
+
+    async loadMessages(language) {
+        if (this.messages[language]) return;
+
+        try {
+            const response = await fetch(`locales/${language}.json`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! Status: ${response.status}`);
+            }
+            this.messages[language] = await response.json();
+            console.log(`Loaded ${language} messages`);
+        } catch (error) {
+            console.warn(`Messages for ${language} unavailable:`, error.message);
+        }
+    }
+
+    async setLanguage(language, { save = true } = {}) {
+        await this.loadMessages('en');
+        await this.loadMessages(language);
+        this.language = language;
+        if (save) {
+            localStorage.setItem('fireSafety.language', language);
+        }
+
+        // Shared label tables used all over the UI
+        Object.keys(this.statusLabels).forEach(status => {
+            this.statusLabels[status] = this.t(`status.${status}`);
+        });
+        Object.entries(this.HISTORY_EVENT_TYPES).forEach(([type, eventType]) => {
+            eventType.label = this.t(`event.${type}`);
+        });
+        this.IMPORT_FIELDS.forEach(field => {
+            field.label = this.t(`column.${field.key}`);
+        });
+
+        this.applyTranslations();
+        console.log(`Language set to ${language}`);
+    }
+
+    t(key, params = {}) {
+        const catalogs = this.messages || {};
+        const message = [catalogs[this.language], catalogs.en]
+            .map(catalog => catalog && catalog[key])
+            .find(value => value !== undefined);
+        if (message === undefined) {
+            return key;
+        }
+
+        const text = typeof message === 'object'
+            ? message[new Intl.PluralRules(this.language).select(params.count)] || message.other
+            : message;
+        return text.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined ? params[name] : placeholder));
+    }
+
+    applyTranslations(root = document) {
+        // Keys missing from every catalog keep the English text from the markup
+        const translate = (key, fallback) => {
+            const text = this.t(key);
+            return text === key ? fallback : text;
+        };
+
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = translate(element.getAttribute('data-i18n'), element.textContent);
+        });
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.getAttribute('data-i18n-attr').split(';').forEach(pair => {
+                const [attribute, key] = pair.split(':');
+                element.setAttribute(attribute, translate(key, element.getAttribute(attribute)));
+            });
+        });
+
+        if (root === document) {
+            document.documentElement.lang = this.language;
+            document.title = translate('app.title', document.title);
+        }
+    }
+
+    // Re-render the views already on screen after switching language
+    refreshTranslatedViews() {
+        this.updateMarkerColors();
+        this.renderLegend();
+        this.updateStats();
+        this.populateBuildings();
+        this.updateFloorSwitcher();
+        this.updateConnectionStatus();
+        this.renderFilterPanel();
+        this.renderAlertCenter();
+        this.renderAlertSubscriptions();
+        this.renderLanguageSelect();
+        this.renderInspectionRulesEditor();
+        this.renderDateSettings();
+        this.renderDataIssues();
+
+        const isOpen = id => {
+            const modal = document.getElementById(id);
+            return modal && modal.classList.contains('visible');
+        };
+        if (this.selectedStation && isOpen('infoModal')) {
+            this.showStationInfo(this.selectedStation);
         }
+        if (isOpen('calendarModal')) this.renderCalendar();
+        if (isOpen('compareModal')) this.renderCompare();
+        if (isOpen('historyModal')) this.renderSiteHistory();
+        if (this.importState) this.renderImportWizard();
+
+        // Forms keep what has been typed or chosen in them
+        if (isOpen('roundModal')) this.rerenderKeepingInputs('roundModal', () => this.renderRoundForm());
+        if (isOpen('reportModal')) this.rerenderKeepingInputs('reportModal', () => this.renderReportForm());
+        if (isOpen('labelsModal')) this.rerenderKeepingInputs('labelsModal', () => this.renderLabelsForm());
+        if (isOpen('stationEditorModal')) this.rerenderKeepingInputs('stationEditorModal', () => this.renderStationEditor());
+
+        // Map tools
+        const searchSuggestions = document.getElementById('searchSuggestions');
+        if (searchSuggestions && searchSuggestions.classList.contains('visible')) {
+            this.handleSearch(this.searchQuery);
+        }
+        if (this.scanResultView) {
+            this.renderScanResult(this.scanResultView.render, this.scanResultView.state);
+        }
+        if (this.coverageMode) {
+            this.renderCoverageControls();
+            this.renderCoverage();
+        }
+        if (this.round) {
+            this.renderRoundChecklist();
+            this.updateRoundToolbar();
+        }
+    }
+
+    // Re-render a form, then put back what the user had entered in it
+    rerenderKeepingInputs(containerId, render) {
+        const container = document.getElementById(containerId);
+        const values = new Map();
+        if (container) {
+            container.querySelectorAll('input[id]:not([type="file"]), select[id], textarea[id]').forEach(input => {
+                values.set(input.id, input.type === 'checkbox' ? input.checked : input.value);
+            });
+        }
+
+        render();
+
+        values.forEach((value, id) => {
+            const input = document.getElementById(id);
+            if (!input) return;
+            if (input.type === 'checkbox') {
+                input.checked = value;
+            } else {
+                input.value = value;
+            }
+        });
+    }
+
+    renderLanguageSelect() {
+        const languageSelect = document.getElementById('languageSelect');
+        if (!languageSelect) return;
+
+        languageSelect.innerHTML = Object.entries(this.LANGUAGES).map(([code, name]) => `
+            <option value="${code}" ${code === this.language ? 'selected' : ''}>${name}</option>
+        `).join('');
     }
 
     // Real-time status calculation for individual assets
     calculateRealTimeStatus(asset) {
-        if (!asset.nextDue) {
+        // Maintenance is set explicitly and never derived from (or cleared by) dates
+        if (asset.maintenanceRequired) {
             return 'maintenance_required';
         }
 
-        const today = new Date();
-        const dueDate = new Date(asset.nextDue);
-        const timeDiff = dueDate.getTime() - today.getTime();
-        const daysUntilDue = Math.ceil(timeDiff / (1000 * 60 * 60 * 24));
+        if (!asset.nextDue) {
+            return 'overdue';
+        }
+
+        const daysUntilDue = this.getDaysUntilDue(asset);
+        const rule = this.getInspectionRule(asset);
 
-        if (daysUntilDue > this.STATUS_THRESHOLDS.WARNING_PERIOD) {
+        if (daysUntilDue > rule.warningDays) {
             return 'good';
         } else if (daysUntilDue > 0) {
             return 'inspection_due_soon';
-        } else if (daysUntilDue >= -this.STATUS_THRESHOLDS.OVERDUE_THRESHOLD) {
+        } else {
             return 'overdue';
+        }
+    }
+
+    getDaysUntilDue(asset) {
+        return this.getDaysBetween(this.getTodayISO(), asset.nextDue);
+    }
+
+    loadDateSettings() {
+        const saved = localStorage.getItem('fireSafety.dateSettings');
+        if (!saved) return;
+
+        try {
+            this.dateSettings = { ...this.DEFAULT_DATE_SETTINGS, ...JSON.parse(saved) };
+        } catch (error) {
+            console.warn('Ignoring invalid date settings:', error.message);
+        }
+    }
+
+    getSiteTimeZone() {
+        return (this.dateSettings && this.dateSettings.timeZone) || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    }
+
+    // Today's calendar date in the site's timezone, as YYYY-MM-DD
+    getTodayISO() {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', { timeZone: this.getSiteTimeZone(), year: 'numeric', month: '2-digit', day: '2-digit' })
+            .formatToParts(new Date())
+            .forEach(part => {
+                parts[part.type] = part.value;
+            });
+        return `${parts.year}-${parts.month}-${parts.day}`;
+    }
+
+    // Whole calendar days between two YYYY-MM-DD dates (UTC day numbers, so no DST or timezone drift)
+    getDaysBetween(fromISO, toISO) {
+        const dayNumber = isoDate => {
+            const [year, month, day] = String(isoDate).split('-').map(Number);
+            return Date.UTC(year, month - 1, day) / (24 * 60 * 60 * 1000);
+        };
+        return dayNumber(toISO) - dayNumber(fromISO);
+    }
+
+    // Dates are shown in the user's locale; unparseable source values are shown as they are
+    formatDisplayDate(isoDate) {
+        if (!isoDate) return '';
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(isoDate)) return this.escapeHtml(isoDate);
+
+        const [year, month, day] = isoDate.split('-').map(Number);
+        return new Intl.DateTimeFormat(this.language, { dateStyle: 'medium', timeZone: 'UTC' })
+            .format(new Date(Date.UTC(year, month - 1, day)));
+    }
+
+    // Timestamps (recordedAt, alert times) in the user's locale and the site's timezone
+    formatDisplayDateTime(timestamp) {
+        return new Intl.DateTimeFormat(this.language, { dateStyle: 'medium', timeStyle: 'short', timeZone: this.getSiteTimeZone() })
+            .format(new Date(timestamp));
+    }
+
+    // Resolve the rule for an asset: default < asset type < agent type within that asset type
+    getInspectionRule(asset) {
+        const rules = this.inspectionRules;
+        const assetTypeRule = (rules.assetTypes || {})[asset.assetType] || {};
+        const typeRules = assetTypeRule.types || {};
+        const typeKey = Object.keys(typeRules).find(key =>
+            key.toLowerCase() === String(asset.type || '').trim().toLowerCase());
+
+        const { types, ...assetTypeValues } = assetTypeRule;
+        return {
+            ...this.DEFAULT_INSPECTION_RULES.default,
+            ...rules.default,
+            ...assetTypeValues,
+            ...(typeKey ? typeRules[typeKey] : {})
+        };
+    }
+
+    // Rules edited on this device are stored as overrides of inspection-rules.json, so
+    // later changes to the file still apply to every value the device has not changed
+    async loadInspectionRules() {
+        try {
+            const response = await fetch('inspection-rules.json');
+            if (!response.ok) {
+                throw new Error(`HTTP error! Status: ${response.status}`);
+            }
+            this.fileInspectionRules = await response.json();
+            console.log('Loaded inspection rules from inspection-rules.json');
+        } catch (error) {
+            console.warn('Inspection rules unavailable, using defaults:', error.message);
+            this.fileInspectionRules = this.DEFAULT_INSPECTION_RULES;
+        }
+
+        let overrides = null;
+        try {
+            overrides = JSON.parse(localStorage.getItem('fireSafety.inspectionRuleOverrides'));
+        } catch (error) {
+            console.warn('Ignoring invalid inspection rule overrides:', error.message);
+        }
+
+        this.inspectionRules = overrides
+            ? this.mergeInspectionRules(this.fileInspectionRules, overrides)
+            : this.fileInspectionRules;
+        if (overrides) {
+            console.log('Applied inspection rules edited on this device');
+        }
+    }
+
+    // Rule values as [assetType, type, key, value]; empty assetType/type for the defaults
+    flattenInspectionRules(rules) {
+        const entries = [];
+
+        Object.entries(rules.default || {}).forEach(([key, value]) => entries.push(['', '', key, value]));
+        Object.entries(rules.assetTypes || {}).forEach(([assetType, rule]) => {
+            const { types, ...values } = rule;
+            Object.entries(values).forEach(([key, value]) => entries.push([assetType, '', key, value]));
+            Object.entries(types || {}).forEach(([type, typeRule]) => {
+                Object.entries(typeRule).forEach(([key, value]) => entries.push([assetType, type, key, value]));
+            });
+        });
+
+        return entries;
+    }
+
+    getInspectionRuleValue(rules, assetType, type, key) {
+        if (!assetType) return (rules.default || {})[key];
+
+        const assetTypeRule = (rules.assetTypes || {})[assetType] || {};
+        return type ? ((assetTypeRule.types || {})[type] || {})[key] : assetTypeRule[key];
+    }
+
+    // An undefined value removes the key, so the value above it applies again
+    setInspectionRuleValue(rules, assetType, type, key, value) {
+        let target;
+        if (!assetType) {
+            target = rules.default = rules.default || {};
         } else {
-            return 'maintenance_required';
+            rules.assetTypes = rules.assetTypes || {};
+            const assetTypeRule = rules.assetTypes[assetType] = rules.assetTypes[assetType] || {};
+            if (type) {
+                assetTypeRule.types = assetTypeRule.types || {};
+                target = assetTypeRule.types[type] = assetTypeRule.types[type] || {};
+            } else {
+                target = assetTypeRule;
+            }
+        }
+
+        if (value === undefined) {
+            delete target[key];
+        } else {
+            target[key] = value;
+        }
+    }
+
+    // Overrides: the values that differ from the base rules, null where a base value was cleared
+    diffInspectionRules(base, edited) {
+        const overrides = { default: {}, assetTypes: {} };
+
+        this.flattenInspectionRules(edited).forEach(([assetType, type, key, value]) => {
+            if (this.getInspectionRuleValue(base, assetType, type, key) !== value) {
+                this.setInspectionRuleValue(overrides, assetType, type, key, value);
+            }
+        });
+        this.flattenInspectionRules(base).forEach(([assetType, type, key]) => {
+            if (this.getInspectionRuleValue(edited, assetType, type, key) === undefined) {
+                this.setInspectionRuleValue(overrides, assetType, type, key, null);
+            }
+        });
+
+        return overrides;
+    }
+
+    mergeInspectionRules(base, overrides) {
+        const rules = JSON.parse(JSON.stringify(base));
+
+        this.flattenInspectionRules(overrides).forEach(([assetType, type, key, value]) => {
+            this.setInspectionRuleValue(rules, assetType, type, key, value === null ? undefined : value);
+        });
+
+        return rules;
+    }
+
+    async loadMapRegistry() {
+        try {
+            const response = await fetch('maps.json');
+            if (!response.ok) {
+                throw new Error(`HTTP error! Status: ${response.status}`);
+            }
+            const registry = await response.json();
+            if (!Array.isArray(registry.maps) || registry.maps.length === 0) {
+                throw new Error('maps.json has no maps');
+            }
+            this.mapRegistry = {
+                defaultMapId: registry.defaultMapId || registry.maps[0].id,
+                maps: registry.maps
+            };
+            console.log(`Loaded ${this.mapRegistry.maps.length} floor plans from maps.json`);
+        } catch (error) {
+            console.warn('Map registry unavailable, using the site overview only:', error.message);
+            this.mapRegistry = this.DEFAULT_MAP_REGISTRY;
+        }
+    }
+
+    // Resolve which plan a station is drawn on: explicit mapId, else its building's floor map, else the site overview.
+    // Static so validateDataset can use it headlessly.
+    static resolveStationMapId(station, registry) {
+        if (station.mapId) {
+            return station.mapId;
+        }
+
+        const hasFloor = station.floor !== undefined && station.floor !== null && station.floor !== '';
+        if (hasFloor) {
+            const floorMap = registry.maps.find(map =>
+                map.building !== undefined && parseInt(map.building) === parseInt(station.building) &&
+                String(map.floor) === String(station.floor));
+            if (floorMap) {
+                return floorMap.id;
+            }
         }
+
+        return registry.defaultMapId;
+    }
+
+    getStationMapId(station) {
+        return FireSafetyStationApp.resolveStationMapId(station, this.mapRegistry);
+    }
+
+    getMapConfig(mapId) {
+        return this.mapRegistry.maps.find(map => map.id === mapId) || null;
+    }
+
+    getStationsOnMap(mapId) {
+        return this.stations.filter(station => this.getStationMapId(station) === mapId);
     }
 
     // Calculate station status as worst asset status
@@ -86,35 +689,34 @@ class FireSafetyStationApp {
 
     // Get detailed status information for assets
     getStatusDetails(asset) {
-        const today = new Date();
-        const dueDate = new Date(asset.nextDue);
-        const timeDiff = dueDate.getTime() - today.getTime();
-        const daysUntilDue = Math.ceil(timeDiff / (1000 * 60 * 60 * 24));
+        const daysUntilDue = this.getDaysUntilDue(asset);
         
         const status = this.calculateRealTimeStatus(asset);
         
         const statusDetails = {
             good: {
-                label: 'Good',
-                description: `Inspection due in ${daysUntilDue} days`,
+                label: this.statusLabels.good,
+                description: this.t('status.dueIn', { count: daysUntilDue }),
                 icon: '✅ ',
                 priority: 'low'
             },
             inspection_due_soon: {
-                label: 'Inspection Due Soon',
-                description: `Inspection due in ${daysUntilDue} days`,
+                label: this.statusLabels.inspection_due_soon,
+                description: this.t('status.dueIn', { count: daysUntilDue }),
                 icon: '⏰',
                 priority: 'medium'
             },
             overdue: {
-                label: 'Overdue',
-                description: `Inspection overdue by ${Math.abs(daysUntilDue)} days`,
+                label: this.statusLabels.overdue,
+                description: asset.nextDue
+                    ? this.t('status.overdueBy', { count: Math.abs(daysUntilDue) })
+                    : this.t('status.noDueDate'),
                 icon: '⚠️',
                 priority: 'high'
             },
             maintenance_required: {
-                label: 'Maintenance Required',
-                description: `Critical: ${Math.abs(daysUntilDue)} days overdue`,
+                label: this.statusLabels.maintenance_required,
+                description: this.t('status.markedMaintenance'),
                 icon: '🔧',
                 priority: 'critical'
             }
@@ -136,19 +738,17 @@ class FireSafetyStationApp {
         console.log('Real-time status updates enabled');
     }
 
+    // Statuses change when the site's calendar day does, which need not be this device's midnight
     setupMidnightRefresh() {
-        const now = new Date();
-        const midnight = new Date();
-        midnight.setHours(24, 0, 0, 0);
-        
-        const msUntilMidnight = midnight.getTime() - now.getTime();
-        
-        setTimeout(() => {
-            this.refreshAllStatuses();
-            setInterval(() => {
+        this.statusDate = this.getTodayISO();
+
+        setInterval(() => {
+            const today = this.getTodayISO();
+            if (today !== this.statusDate) {
+                this.statusDate = today;
                 this.refreshAllStatuses();
-            }, 24 * 60 * 60 * 1000);
-        }, msUntilMidnight);
+            }
+        }, 60 * 1000);
     }
 
     // Refresh all station and asset statuses
@@ -177,7 +777,14 @@ class FireSafetyStationApp {
         });
         
         if (statusChanges > 0) {
-            this.updateMarkerColors();
+            this.captureStatusChanges();
+            
+            // Status and due-date filters may now match different stations
+            if (this.hasActiveFilters()) {
+                this.rebuildMarkers();
+            } else {
+                this.updateMarkerColors();
+            }
             this.updateStats();
             this.populateBuildings();
         }
@@ -203,12 +810,24 @@ class FireSafetyStationApp {
                         markerDiv.className = `station-marker marker-${newStatus}`;
                     }
                 }
+                
+                layer.setPopupContent(this.createPopupContent(station));
             }
         });
     }
 
     async loadData() {
         console.log('Loading station data...');
+
+        try {
+            const data = await this.loadFromAPI();
+            this.processLoadedData(data);
+            this.SYNC_ENDPOINT = `${this.API_BASE}/changes`;
+            console.log(`Successfully loaded data from the API (revision ${data.revision})`);
+            return;
+        } catch (apiError) {
+            console.warn('API loading failed, using static files:', apiError.message);
+        }
         
         try {
             const data = await this.loadFromJSON();
@@ -232,12 +851,26 @@ class FireSafetyStationApp {
         }
     }
 
+    // Shared data from the local API server (server/server.js); absent on static hosting
+    async loadFromAPI() {
+        const response = await fetch(`${this.API_BASE}/dataset`, { cache: 'no-store' });
+        if (!response.ok) {
+            throw new Error(`HTTP error! Status: ${response.status}`);
+        }
+
+        const data = await response.json();
+        if (!data || !Array.isArray(data.stations)) {
+            throw new Error('Unexpected API response');
+        }
+        return this.migrateDataset(data);
+    }
+
     async loadFromJSON() {
         const response = await fetch('stations.json');
         if (!response.ok) {
             throw new Error(`HTTP error! Status: ${response.status}`);
         }
-        return await response.json();
+        return this.migrateDataset(await response.json());
     }
 
     async loadFromCSV() {
@@ -255,13 +888,13 @@ class FireSafetyStationApp {
         return new Promise((resolve, reject) => {
             Papa.parse(csvText, {
                 header: true,
-                dynamicTyping: true,
+                dynamicTyping: false,
                 skipEmptyLines: true,
                 complete: (results) => {
                     if (results.errors.length > 0) {
                         reject(new Error(`CSV parsing errors: ${results.errors.map(e => e.message).join(', ')}`));
                     } else {
-                        resolve(this.convertCSVToJSON(results.data));
+                        resolve(this.migrateDataset(this.convertCSVRowsToDataset(results.data, this.dateSettings.sourceFormat || null)));
                     }
                 },
                 error: (error) => {
@@ -271,8 +904,12 @@ class FireSafetyStationApp {
         });
     }
 
-    convertCSVToJSON(csvData) {
+    // dateFormat: the file's date format; detected from its dates when not given
+    convertCSVToJSON(csvData, dateFormat = null) {
         const stationMap = new Map();
+        const sourceDateFormat = dateFormat
+            ? { format: dateFormat, ambiguous: false }
+            : this.detectDateFormat(csvData.flatMap(row => [row.lastInspection || row['Last Inspection'], row.nextDue || row['Next Due']]));
         
         // Group rows by stationId
         csvData.forEach(row => {
@@ -280,25 +917,38 @@ class FireSafetyStationApp {
             if (!stationId) return;
             
             if (!stationMap.has(stationId)) {
-                stationMap.set(stationId, {
+                const station = {
                     stationId: stationId,
                     building: parseInt(row.building) || parseInt(row.Building),
                     x: parseFloat(row.x) || parseFloat(row.X),
                     y: parseFloat(row.y) || parseFloat(row.Y),
                     assets: []
-                });
+                };
+                
+                // Optional floor plan placement; stations without it are on the site overview
+                const floor = row.floor || row.Floor;
+                const mapId = row.mapId || row.MapID;
+                if (floor) station.floor = floor;
+                if (mapId) station.mapId = mapId;
+                
+                stationMap.set(stationId, station);
             }
             
             const station = stationMap.get(stationId);
+            
+            // Stations placed in edit mode may not have assets yet
+            if (!(row.assetId || row.AssetID)) return;
+            
+            const isoCategory = row.isoCategory || row['ISO Category'];
             const asset = {
                 assetId: row.assetId || row.AssetID,
                 assetType: row.assetType || row.AssetType || 'extinguisher',
                 type: row.type || row.Type,
                 size: row.size || row.Size,
                 manufacturer: row.manufacturer || row.Manufacturer,
-                lastInspection: this.parseDate(row.lastInspection || row['Last Inspection']),
-                nextDue: this.parseDate(row.nextDue || row['Next Due']),
-                isoCategory: row.isoCategory || row['ISO Category'] || this.determineISOCategory(row.type),
+                lastInspection: this.parseDate(row.lastInspection || row['Last Inspection'], sourceDateFormat.format),
+                nextDue: this.parseDate(row.nextDue || row['Next Due'], sourceDateFormat.format),
+                isoCategory: isoCategory ? parseInt(isoCategory) || isoCategory : this.determineISOCategory(row.type),
                 inspectionStickerID: row.inspectionStickerID || row['Inspection Sticker ID'] || 'STK-NOT-ASSIGNED',
                 status: row.status || row.Status || 'unknown'
             };
@@ -333,33 +983,163 @@ class FireSafetyStationApp {
         
         return {
             buildings,
-            stations: Array.from(stationMap.values())
+            stations: Array.from(stationMap.values()),
+            sourceDateFormat
         };
     }
 
-    // Parse date with flexible format support
-    parseDate(dateString) {
-        if (!dateString) return null;
-        
-        const formats = [
-            /(\d{1,2})\/(\d{1,2})\/(\d{4})/,  // MM/DD/YYYY
-            /(\d{4})-(\d{1,2})-(\d{1,2})/,   // YYYY-MM-DD
-            /(\d{1,2})\.(\d{1,2})\.(\d{4})/  // DD.MM.YYYY
+    // Data schema versions. Exports write the current version; older layouts are
+    // upgraded one version at a time by the migrations below, oldest first.
+    //   1 - legacy backup.csv: one row per asset (id, original_status), no stations
+    //   2 - stations with nested assets (stations.json, stations.csv, exports)
+    getDataMigrations() {
+        return [
+            { version: 2, description: 'group legacy asset rows into stations', migrate: data => this.migrateLegacyAssetRows(data) }
         ];
-        
-        for (let format of formats) {
-            const match = dateString.match(format);
-            if (match) {
-                const year = match[3] || match[1];
-                const month = match[1] === year ? match[2] : match[1];
-                const day = match[1] === year ? match[3] : match[2];
-                
-                const date = new Date(year, month - 1, day);
-                return date.toISOString().split('T')[0];
-            }
+    }
+
+    getCurrentSchemaVersion() {
+        const migrations = this.getDataMigrations();
+        return migrations[migrations.length - 1].version;
+    }
+
+    // Data without a schemaVersion predates versioning and is already station based
+    migrateDataset(data) {
+        const currentVersion = this.getCurrentSchemaVersion();
+        const version = parseInt(data.schemaVersion) || 2;
+
+        if (version > currentVersion) {
+            throw new Error(`Data schema version ${version} is newer than this app supports (${currentVersion})`);
         }
-        
-        return dateString;
+
+        return this.getDataMigrations()
+            .filter(migration => migration.version > version)
+            .reduce((migrated, migration) => {
+                console.log(`Migrating data to schema version ${migration.version}: ${migration.description}`);
+                return { ...migration.migrate(migrated), schemaVersion: migration.version };
+            }, { ...data, schemaVersion: version });
+    }
+
+    isLegacyAssetLayout(headers) {
+        return headers.includes('id') && !headers.includes('stationId') && !headers.includes('StationID');
+    }
+
+    // CSV rows (objects keyed by header) to a dataset of the version their columns show
+    convertCSVRowsToDataset(rows, dateFormat = null) {
+        const headers = rows.length > 0 ? Object.keys(rows[0]) : [];
+        if (this.isLegacyAssetLayout(headers)) {
+            return { schemaVersion: 1, rows };
+        }
+
+        return { ...this.convertCSVToJSON(rows, dateFormat), schemaVersion: parseInt(rows.length > 0 && rows[0].schemaVersion) || 2 };
+    }
+
+    // The legacy app wrote US-style dates
+    migrateLegacyAssetRows(data) {
+        return this.convertCSVToJSON(this.groupLegacyAssetRows(data.rows), 'MM/DD/YYYY');
+    }
+
+    // Legacy rows carry their station in the asset ID (1-001-2: building 1, station 001).
+    // Hose reels (1-M07) have no station number: they join the nearest station of their
+    // building within 60 map pixels, or get a station of their own. Returns one
+    // stations.csv-style row per input row, in the same order.
+    groupLegacyAssetRows(rows) {
+        const maxDistance = 60;
+
+        // Some legacy dates were saved as spreadsheet serial numbers (days since 1899-12-30);
+        // they are written in the M/D/YYYY the rest of the file uses
+        const legacyDate = value => {
+            const text = String(value || '').trim();
+            if (!/^\d{5}$/.test(text)) return text;
+
+            const date = new Date(Date.UTC(1899, 11, 30) + parseInt(text) * 24 * 60 * 60 * 1000);
+            return `${date.getUTCMonth() + 1}/${date.getUTCDate()}/${date.getUTCFullYear()}`;
+        };
+        const entries = rows.map(row => {
+            const assetId = String(row.id || '').trim();
+            const match = assetId.match(/^(\d+)-(\d+)(?:-\d+)?$/);
+            return {
+                row,
+                assetId,
+                building: String(row.building || '').trim(),
+                x: parseFloat(row.x),
+                y: parseFloat(row.y),
+                stationId: match ? `ST-${match[1]}-${match[2]}` : null
+            };
+        });
+
+        // A station sits where its first asset was recorded
+        const positions = new Map();
+        entries.forEach(entry => {
+            if (entry.stationId && !positions.has(entry.stationId)) {
+                positions.set(entry.stationId, entry);
+            }
+        });
+
+        entries.filter(entry => !entry.stationId && entry.assetId).forEach(entry => {
+            let nearest = null;
+            let nearestDistance = maxDistance;
+            positions.forEach((position, stationId) => {
+                const distance = Math.hypot(position.x - entry.x, position.y - entry.y);
+                if (position.building === entry.building && distance <= nearestDistance) {
+                    nearest = stationId;
+                    nearestDistance = distance;
+                }
+            });
+
+            entry.stationId = nearest || `ST-${entry.assetId}`;
+            if (!positions.has(entry.stationId)) {
+                positions.set(entry.stationId, entry);
+            }
+        });
+
+        return entries.map(({ row, assetId, building, stationId }) => {
+            const position = stationId ? positions.get(stationId) : row;
+            const isHose = String(row.type || '').trim().toLowerCase() === 'hose';
+            return {
+                stationId: stationId || '',
+                building,
+                x: String(position.x),
+                y: String(position.y),
+                assetId,
+                assetType: isHose ? 'hose' : 'extinguisher',
+                type: isHose ? '' : String(row.type || '').trim(),
+                size: String(row.size || '').trim(),
+                manufacturer: String(row.manufacturer || '').trim(),
+                lastInspection: legacyDate(row.lastInspection),
+                nextDue: legacyDate(row.nextDue),
+                isoCategory: String(row.isoCategory || '').trim(),
+                inspectionStickerID: String(row.inspectionStickerID || '').trim(),
+                status: String(row.original_status || '').trim()
+            };
+        });
+    }
+
+    // Parse a source date in the dataset's format. Values that don't match are kept as
+    // they are, so the data checks report them instead of a silently wrong date.
+    parseDate(dateString, format = 'MM/DD/YYYY') {
+        if (!dateString) return null;
+
+        // Already normalized (e.g. by the import wizard)
+        const value = String(dateString).trim();
+        if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+
+        return this.parseDateWithFormat(value, format) || value;
+    }
+
+    // One format per dataset, decided from all of its dates. Ambiguous when no value
+    // tells day-first from month-first (only dates like 3/4/2025); MM/DD/YYYY is assumed then.
+    detectDateFormat(values) {
+        const dates = values.map(value => String(value || '').trim()).filter(Boolean);
+        if (dates.some(value => /^\d{4}-/.test(value))) return { format: 'YYYY-MM-DD', ambiguous: false };
+        if (dates.some(value => /^\d{1,2}\.\d{1,2}\.\d{4}$/.test(value))) return { format: 'DD.MM.YYYY', ambiguous: false };
+
+        const slashed = dates.map(value => value.match(/^(\d{1,2})\/(\d{1,2})\/\d{4}$/)).filter(Boolean);
+        if (slashed.some(match => parseInt(match[1]) > 12)) return { format: 'DD/MM/YYYY', ambiguous: false };
+        if (slashed.some(match => parseInt(match[2]) > 12)) return { format: 'MM/DD/YYYY', ambiguous: false };
+
+        const ambiguous = slashed.find(match => parseInt(match[1]) !== parseInt(match[2]));
+        return { format: 'MM/DD/YYYY', ambiguous: !!ambiguous, example: ambiguous ? ambiguous[0] : null };
     }
 
     determineISOCategory(type) {
@@ -382,6 +1162,7 @@ class FireSafetyStationApp {
 
     processLoadedData(data) {
         this.buildings = data.buildings || [];
+        this.sourceDateFormat = data.sourceDateFormat || null;
         
         this.stations = (data.stations || []).map(station => {
             const building = this.buildings.find(b => b.id === station.building);
@@ -389,6 +1170,10 @@ class FireSafetyStationApp {
             // Calculate real-time status for all assets
             station.assets.forEach(asset => {
                 asset.originalStatus = asset.status;
+                // Maintenance recorded in the source data is an explicit state, not a date result
+                asset.maintenanceRequired = asset.maintenanceRequired === true ||
+                    asset.originalStatus === 'maintenance_required';
+                asset.history = Array.isArray(asset.history) ? asset.history : [];
                 asset.status = this.calculateRealTimeStatus(asset);
             });
             
@@ -401,12 +1186,661 @@ class FireSafetyStationApp {
         });
         
         console.log(`Loaded ${this.stations.length} stations with ${this.getTotalAssets()} total assets`);
+        
+        this.runDataChecks();
     }
 
-    getTotalAssets() {
+    // Data integrity checks. Static and DOM-free so it can also run headlessly
+    // (e.g. scripts/validate-data.js) to gate data updates.
+    static validateDataset(data, options = {}) {
+        const issues = [];
+        const stations = (data && data.stations) || [];
+        const { mapWidth, mapHeight, mapRegistry } = options;
+        const placeholderStickers = ['', '-', 'N/A', 'STK-NOT-ASSIGNED'];
+        const assetOwners = new Map();
+        const stickerOwners = new Map();
+
+        // The message is for headless use; params let the app render a translated one
+        const addIssue = (severity, code, message, params, station, asset) => {
+            issues.push({
+                severity,
+                code,
+                message,
+                params,
+                stationId: station ? station.stationId : null,
+                assetId: asset ? asset.assetId : null
+            });
+        };
+
+        const expectedFormatName = data && data.sourceDateFormat ? data.sourceDateFormat.format : null;
+        const expectedFormat = expectedFormatName ? ` (expected ${expectedFormatName})` : '';
+        const isValidDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+            !isNaN(new Date(value).getTime()) &&
+            new Date(value).toISOString().startsWith(value);
+
+        stations.forEach(station => {
+            const stationMatch = /^ST-(\d+)-(.+)$/.exec(station.stationId || '');
+            const stationNumber = stationMatch ? parseInt(stationMatch[2]) : NaN;
+
+            if (!stationMatch) {
+                addIssue('warning', 'station-id-format', `Station ID "${station.stationId}" does not follow ST-<building>-<number>`,
+                    { stationId: station.stationId }, station);
+            } else if (parseInt(stationMatch[1]) !== parseInt(station.building)) {
+                addIssue('warning', 'station-building-mismatch', `Station ${station.stationId} is assigned to building ${station.building}`,
+                    { stationId: station.stationId, building: station.building }, station);
+            }
+
+            // With a map registry each station is checked against its own floor plan
+            let bounds = { width: mapWidth, height: mapHeight, name: 'map', mapName: '' };
+            if (mapRegistry) {
+                const mapId = FireSafetyStationApp.resolveStationMapId(station, mapRegistry);
+                const map = mapRegistry.maps.find(m => m.id === mapId);
+                if (map) {
+                    bounds = { width: map.width, height: map.height, name: `"${map.name}" map`, mapName: map.name };
+                } else {
+                    addIssue('error', 'unknown-map', `Station ${station.stationId} is on unknown floor plan "${mapId}"`,
+                        { stationId: station.stationId, mapId }, station);
+                    bounds = {};
+                }
+            }
+
+            if (!Number.isFinite(station.x) || !Number.isFinite(station.y)) {
+                addIssue('error', 'invalid-coordinates', `Station ${station.stationId} has invalid coordinates (${station.x}, ${station.y})`,
+                    { stationId: station.stationId, x: station.x, y: station.y }, station);
+            } else if (bounds.width && bounds.height &&
+                (station.x < 0 || station.x > bounds.width || station.y < 0 || station.y > bounds.height)) {
+                addIssue('error', 'coordinates-out-of-bounds', `Station ${station.stationId} at (${station.x}, ${station.y}) is outside the ${bounds.width}×${bounds.height} ${bounds.name}`,
+                    { stationId: station.stationId, x: station.x, y: station.y, width: bounds.width, height: bounds.height, mapName: bounds.mapName }, station);
+            }
+
+            if (!station.assets || station.assets.length === 0) {
+                addIssue('warning', 'empty-station', `Station ${station.stationId} has no assets`, { stationId: station.stationId }, station);
+                return;
+            }
+
+            station.assets.forEach(asset => {
+                const assetId = String(asset.assetId || '');
+
+                if (assetOwners.has(assetId)) {
+                    addIssue('error', 'duplicate-asset-id', `Asset ID ${assetId} is also used at ${assetOwners.get(assetId)}`,
+                        { assetId, otherStationId: assetOwners.get(assetId) }, station, asset);
+                } else {
+                    assetOwners.set(assetId, station.stationId);
+                }
+
+                const sticker = String(asset.inspectionStickerID === undefined || asset.inspectionStickerID === null ? '' : asset.inspectionStickerID).trim();
+                if (!placeholderStickers.includes(sticker.toUpperCase())) {
+                    if (stickerOwners.has(sticker)) {
+                        addIssue('error', 'duplicate-sticker-id', `Sticker ${sticker} on ${assetId} is also on ${stickerOwners.get(sticker)}`,
+                            { stickerId: sticker, assetId, otherAssetId: stickerOwners.get(sticker) }, station, asset);
+                    } else {
+                        stickerOwners.set(sticker, assetId);
+                    }
+                }
+
+                // Asset IDs are <building>-<station number>[-<n>]; hoses use <building>-M<n>
+                const [assetBuilding, assetNumber] = assetId.split('-');
+                if (parseInt(assetBuilding) !== parseInt(station.building)) {
+                    addIssue('warning', 'asset-building-mismatch', `Asset ${assetId} does not match building ${station.building} of ${station.stationId}`,
+                        { assetId, building: station.building, stationId: station.stationId }, station, asset);
+                } else if (/^\d+$/.test(assetNumber || '') && !isNaN(stationNumber) && parseInt(assetNumber) !== stationNumber) {
+                    addIssue('warning', 'asset-station-mismatch', `Asset ${assetId} does not match station ${station.stationId}`,
+                        { assetId, stationId: station.stationId }, station, asset);
+                }
+
+                if (!asset.lastInspection) {
+                    addIssue('warning', 'missing-last-inspection', `Asset ${assetId} has no last inspection date`, { assetId }, station, asset);
+                } else if (!isValidDate(asset.lastInspection)) {
+                    addIssue('error', 'invalid-last-inspection', `Asset ${assetId} has an unparseable last inspection date "${asset.lastInspection}"${expectedFormat}`,
+                        { assetId, value: asset.lastInspection, expectedFormat: expectedFormatName }, station, asset);
+                }
+
+                if (!asset.nextDue) {
+                    addIssue('error', 'missing-next-due', `Asset ${assetId} has no next due date`, { assetId }, station, asset);
+                } else if (!isValidDate(asset.nextDue)) {
+                    addIssue('error', 'invalid-next-due', `Asset ${assetId} has an unparseable next due date "${asset.nextDue}"${expectedFormat}`,
+                        { assetId, value: asset.nextDue, expectedFormat: expectedFormatName }, station, asset);
+                }
+
+                if (isValidDate(asset.lastInspection) && isValidDate(asset.nextDue) && asset.nextDue < asset.lastInspection) {
+                    addIssue('error', 'next-due-before-last-inspection', `Asset ${assetId} is due (${asset.nextDue}) before its last inspection (${asset.lastInspection})`,
+                        { assetId, nextDue: asset.nextDue, lastInspection: asset.lastInspection }, station, asset);
+                }
+            });
+        });
+
+        // The source date format was assumed, not known: no date had a day above 12
+        const sourceDateFormat = data && data.sourceDateFormat;
+        if (sourceDateFormat && sourceDateFormat.ambiguous) {
+            addIssue('warning', 'ambiguous-date-format',
+                `Dates such as ${sourceDateFormat.example} can be read day-first or month-first; they were read as ${sourceDateFormat.format}. Set the date format in Settings to confirm.`,
+                { example: sourceDateFormat.example, format: sourceDateFormat.format });
+        }
+
+        return issues;
+    }
+
+    runDataChecks() {
+        this.dataIssues = FireSafetyStationApp.validateDataset(
+            { stations: this.stations, sourceDateFormat: this.sourceDateFormat },
+            { mapRegistry: this.mapRegistry }
+        );
+
+        const errorCount = this.dataIssues.filter(issue => issue.severity === 'error').length;
+        console.log(`Data checks: ${errorCount} errors, ${this.dataIssues.length - errorCount} warnings`);
+
+        this.renderDataIssues();
+        return this.dataIssues;
+    }
+
+    renderDataIssues() {
+        const dataIssuesList = document.getElementById('dataIssuesList');
+        const dataIssuesBadge = document.getElementById('dataIssuesBadge');
+        const issues = this.dataIssues;
+
+        if (dataIssuesBadge) {
+            dataIssuesBadge.textContent = issues.length;
+            dataIssuesBadge.classList.toggle('hidden', issues.length === 0);
+        }
+
+        if (!dataIssuesList) return;
+
+        if (issues.length === 0) {
+            dataIssuesList.innerHTML = `<p>${this.t('dataIssues.none')}</p>`;
+            return;
+        }
+
+        const errors = issues.filter(issue => issue.severity === 'error');
+        const warnings = issues.filter(issue => issue.severity === 'warning');
+
+        const renderGroup = (title, group) => group.length === 0 ? '' : `
+            <div class="detail-group">
+                <h3>${title} (${group.length})</h3>
+                <ul class="data-issues">
+                    ${group.map(issue => `
+                        <li class="data-issue data-issue--${issue.severity}" data-station-id="${this.escapeHtml(issue.stationId || '')}" tabindex="0">
+                            <strong>${this.escapeHtml(issue.stationId || '')}</strong>
+                            ${this.escapeHtml(this.describeDataIssue(issue))}
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+
+        dataIssuesList.innerHTML = renderGroup(this.t('dataIssues.errors'), errors) + renderGroup(this.t('dataIssues.warnings'), warnings);
+
+        dataIssuesList.querySelectorAll('.data-issue').forEach(item => {
+            item.addEventListener('click', () => {
+                const stationId = item.getAttribute('data-station-id');
+                if (stationId && this.findStation(stationId)) {
+                    this.hideModal('dataIssuesModal');
+                    this.selectStation(stationId);
+                }
+            });
+        });
+    }
+
+    // Issues carry an English message for the CLI; the app renders the translated one
+    describeDataIssue(issue) {
+        const key = `dataIssues.${issue.code}`;
+        const params = { ...issue.params };
+        if (params.mapName !== undefined) {
+            params.map = params.mapName ? this.t('dataIssues.namedMap', { name: params.mapName }) : this.t('dataIssues.map');
+        }
+        params.expected = params.expectedFormat ? ` ${this.t('dataIssues.expectedFormat', { format: params.expectedFormat })}` : '';
+
+        const text = this.t(key, params);
+        return text === key ? issue.message : text;
+    }
+
+    getTotalAssets() {
         return this.stations.reduce((total, station) => total + station.assets.length, 0);
     }
 
+    findAsset(assetId) {
+        for (const station of this.stations) {
+            const asset = station.assets.find(a => a.assetId === assetId);
+            if (asset) {
+                return { station, asset };
+            }
+        }
+        return null;
+    }
+
+    // Alert center. Status transitions are found by comparing against the last statuses
+    // seen in this browser, so changes while the app was closed are caught on the next
+    // load. Improvements are kept in the history but start out acknowledged.
+    async loadAlerts() {
+        const savedSettings = localStorage.getItem('fireSafety.alertSettings');
+        if (savedSettings) {
+            try {
+                this.alertSettings = { ...this.DEFAULT_ALERT_SETTINGS, ...JSON.parse(savedSettings) };
+            } catch (error) {
+                console.warn('Ignoring invalid alert settings:', error.message);
+            }
+        }
+
+        try {
+            this.alerts = (await this.getStoredRecords('alerts'))
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        } catch (error) {
+            console.warn('Stored alerts unavailable:', error.message);
+        }
+
+        this.captureStatusChanges();
+    }
+
+    captureStatusChanges() {
+        let snapshot = {};
+        try {
+            snapshot = JSON.parse(localStorage.getItem('fireSafety.alertSnapshot')) || {};
+        } catch (error) {
+            console.warn('Ignoring invalid alert snapshot:', error.message);
+        }
+
+        // Keyed by station too, as asset IDs are not guaranteed unique (see validateDataset)
+        const current = {};
+        this.stations.forEach(station => {
+            station.assets.forEach(asset => {
+                const key = `${station.stationId}|${asset.assetId}`;
+                current[key] = asset.status;
+                const previous = snapshot[key];
+                if (previous && previous !== asset.status) {
+                    this.addStatusAlert(station, asset, previous, asset.status);
+                }
+            });
+        });
+
+        localStorage.setItem('fireSafety.alertSnapshot', JSON.stringify(current));
+        this.updateAlertBadge();
+    }
+
+    isSubscribedTo(station, asset) {
+        const { buildings, assetTypes } = this.alertSettings;
+        return (buildings.length === 0 || buildings.includes(String(station.building))) &&
+            (assetTypes.length === 0 || assetTypes.includes(asset.assetType));
+    }
+
+    addStatusAlert(station, asset, from, to) {
+        if (!this.isSubscribedTo(station, asset)) return;
+
+        const now = new Date().toISOString();
+        const improved = this.statusPriority.indexOf(to) > this.statusPriority.indexOf(from);
+        const alert = {
+            alertId: this.createEventId(),
+            assetId: asset.assetId,
+            stationId: station.stationId,
+            building: station.building,
+            assetType: asset.assetType,
+            from,
+            to,
+            createdAt: now,
+            acknowledgedAt: improved ? now : null,
+            snoozedUntil: null
+        };
+
+        this.alerts.unshift(alert);
+        this.saveAlert(alert);
+        console.log(`Alert: ${asset.assetId} ${from} → ${to}`);
+
+        if (!improved) {
+            this.notifyStatusAlert(alert);
+        }
+
+        // Drop the oldest acknowledged alerts beyond the history limit
+        while (this.alerts.length > this.MAX_ALERTS) {
+            const index = this.alerts.map(existing => !!existing.acknowledgedAt).lastIndexOf(true);
+            if (index < 0) break;
+            const [removed] = this.alerts.splice(index, 1);
+            this.deleteStoredRecord('alerts', removed.alertId).catch(() => {});
+        }
+    }
+
+    saveAlert(alert) {
+        this.saveStoredRecord('alerts', alert).catch(error => {
+            console.warn('Failed to store alert:', error.message);
+        });
+    }
+
+    notifyStatusAlert(alert) {
+        if (!this.alertSettings.notify || !this.NOTIFY_STATUSES.includes(alert.to) ||
+            typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+
+        const notification = new Notification(`${alert.assetId}: ${this.statusLabels[alert.to]}`, {
+            body: this.t('alerts.notificationBody', { stationId: alert.stationId, status: this.statusLabels[alert.from] || alert.from }),
+            tag: alert.alertId
+        });
+        notification.onclick = () => {
+            window.focus();
+            this.selectStation(alert.stationId);
+        };
+    }
+
+    isAlertOpen(alert, now = new Date().toISOString()) {
+        return !alert.acknowledgedAt && (!alert.snoozedUntil || alert.snoozedUntil <= now);
+    }
+
+    updateAlertBadge() {
+        const alertsBadge = document.getElementById('alertsBadge');
+        const count = this.alerts.filter(alert => this.isAlertOpen(alert)).length;
+
+        if (alertsBadge) {
+            alertsBadge.textContent = count;
+            alertsBadge.classList.toggle('hidden', count === 0);
+        }
+    }
+
+    acknowledgeAlert(alertId) {
+        const now = new Date().toISOString();
+        this.alerts
+            .filter(alert => (alertId === null ? this.isAlertOpen(alert, now) : alert.alertId === alertId))
+            .forEach(alert => {
+                alert.acknowledgedAt = now;
+                this.saveAlert(alert);
+            });
+
+        this.updateAlertBadge();
+        this.renderAlertCenter();
+    }
+
+    snoozeAlert(alertId, days) {
+        const alert = this.alerts.find(existing => existing.alertId === alertId);
+        if (!alert) return;
+
+        alert.snoozedUntil = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+        this.saveAlert(alert);
+
+        this.updateAlertBadge();
+        this.renderAlertCenter();
+    }
+
+    goToAlertStation(stationId) {
+        this.hideModal('alertsModal');
+        this.selectStation(stationId);
+    }
+
+    renderAlertCenter() {
+        const alertList = document.getElementById('alertList');
+        const alertView = document.getElementById('alertView');
+        if (!alertList) return;
+
+        const now = new Date().toISOString();
+        const showHistory = alertView && alertView.value === 'history';
+        const alerts = showHistory
+            ? this.alerts.slice(0, this.MAX_ALERTS_SHOWN)
+            : this.alerts.filter(alert => this.isAlertOpen(alert, now));
+        const snoozed = this.alerts.filter(alert => !alert.acknowledgedAt && alert.snoozedUntil > now).length;
+
+        const statusBadge = status => `
+            <span class="legend-swatch" style="background: ${this.statusColors[status] || '#999999'};"></span>${this.statusLabels[status] || status}
+        `;
+
+        alertList.innerHTML = `
+            ${!showHistory && snoozed > 0 ? `<p class="alert-note">${this.t('alerts.snoozedCount', { count: snoozed })}</p>` : ''}
+            ${alerts.length === 0 ? `<p>${showHistory ? this.t('alerts.noHistory') : this.t('alerts.noOpen')}</p>` : `
+                <table class="history-table alert-table">
+                    <thead>
+                        <tr>
+                            <th>${this.t('alerts.when')}</th><th>${this.t('alerts.asset')}</th><th>${this.t('alerts.change')}</th>
+                            <th>${showHistory ? this.t('alerts.state') : ''}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${alerts.map(alert => `
+                            <tr class="${this.isAlertOpen(alert, now) ? 'alert-row--open' : ''}">
+                                <td>${this.formatDisplayDateTime(alert.createdAt)}</td>
+                                <td>
+                                    ${this.escapeHtml(alert.assetId)}
+                                    <br><a href="#" onclick="window.app.goToAlertStation('${this.escapeHtml(alert.stationId)}'); return false;">${this.escapeHtml(alert.stationId)}</a>
+                                </td>
+                                <td>${statusBadge(alert.from)} → ${statusBadge(alert.to)}</td>
+                                <td class="alert-actions">
+                                    ${showHistory ? (alert.acknowledgedAt
+                                        ? this.t('alerts.acknowledgedAt', { time: this.formatDisplayDateTime(alert.acknowledgedAt) })
+                                        : (alert.snoozedUntil > now
+                                            ? this.t('alerts.snoozedUntil', { time: this.formatDisplayDateTime(alert.snoozedUntil) })
+                                            : this.t('alerts.stateOpen'))) : `
+                                        <button class="btn btn--primary btn--sm" onclick="window.app.acknowledgeAlert('${alert.alertId}')">${this.t('alerts.acknowledge')}</button>
+                                        <button class="btn btn--secondary btn--sm" onclick="window.app.snoozeAlert('${alert.alertId}', 1)">${this.t('alerts.snoozeDay')}</button>
+                                        <button class="btn btn--secondary btn--sm" onclick="window.app.snoozeAlert('${alert.alertId}', 7)">${this.t('alerts.snoozeWeek')}</button>
+                                    `}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `}
+        `;
+
+        const acknowledgeAll = document.getElementById('acknowledgeAllAlerts');
+        if (acknowledgeAll) acknowledgeAll.disabled = showHistory || alerts.length === 0;
+    }
+
+    renderAlertSubscriptions() {
+        const alertSubscriptions = document.getElementById('alertSubscriptions');
+        if (!alertSubscriptions) return;
+
+        const { buildings, assetTypes, notify } = this.alertSettings;
+        const knownAssetTypes = new Set();
+        this.stations.forEach(station => station.assets.forEach(asset => knownAssetTypes.add(asset.assetType)));
+
+        const checkbox = (group, value, label, checked) => `
+            <label class="filter-option">
+                <input type="checkbox" data-alert-group="${group}" value="${this.escapeHtml(value)}" ${checked ? 'checked' : ''}>
+                ${this.escapeHtml(label)}
+            </label>
+        `;
+        const notificationsUnsupported = typeof Notification === 'undefined';
+
+        alertSubscriptions.innerHTML = `
+            <p class="alert-note">${this.t('alerts.subscriptionsHint')}</p>
+            <fieldset class="filter-group">
+                <legend>${this.t('alerts.buildings')}</legend>
+                ${this.buildings.map(building => checkbox('buildings', String(building.id), building.name, buildings.includes(String(building.id)))).join('')}
+            </fieldset>
+            <fieldset class="filter-group">
+                <legend>${this.t('alerts.assetTypes')}</legend>
+                ${Array.from(knownAssetTypes).filter(Boolean).sort().map(type => checkbox('assetTypes', type, type, assetTypes.includes(type))).join('')}
+            </fieldset>
+            <label class="filter-option">
+                <input type="checkbox" id="alertNotify" ${notify ? 'checked' : ''} ${notificationsUnsupported ? 'disabled' : ''}>
+                ${this.t('alerts.notify')}
+                ${notificationsUnsupported ? this.t('alerts.notifyUnsupported') : ''}
+            </label>
+        `;
+    }
+
+    async saveAlertSubscriptions() {
+        const alertSubscriptions = document.getElementById('alertSubscriptions');
+        const values = group => Array.from(alertSubscriptions.querySelectorAll(`input[data-alert-group="${group}"]:checked`))
+            .map(input => input.value);
+        const notifyInput = document.getElementById('alertNotify');
+        let notify = !!(notifyInput && notifyInput.checked);
+
+        if (notify && !this.alertSettings.notify && typeof Notification !== 'undefined' && Notification.permission !== 'granted') {
+            const permission = await Notification.requestPermission();
+            if (permission !== 'granted') {
+                notify = false;
+                if (notifyInput) notifyInput.checked = false;
+                this.showError(this.t('alerts.notificationsBlocked'));
+            }
+        }
+
+        this.alertSettings = { buildings: values('buildings'), assetTypes: values('assetTypes'), notify };
+        localStorage.setItem('fireSafety.alertSettings', JSON.stringify(this.alertSettings));
+        console.log('Alert subscriptions saved');
+    }
+
+    // Local persistence (IndexedDB) for data recorded in the browser
+    openLocalDb() {
+        if (this.localDb) {
+            return Promise.resolve(this.localDb);
+        }
+
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new Error('IndexedDB not available'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('pendingChanges')) {
+                    db.createObjectStore('pendingChanges', { keyPath: 'id', autoIncrement: true });
+                }
+                if (!db.objectStoreNames.contains('alerts')) {
+                    db.createObjectStore('alerts', { keyPath: 'alertId' });
+                }
+                if (!db.objectStoreNames.contains('events')) {
+                    const store = db.createObjectStore('events', { keyPath: 'eventId' });
+                    store.createIndex('assetId', 'assetId', { unique: false });
+                }
+            };
+
+            request.onsuccess = () => {
+                this.localDb = request.result;
+                resolve(this.localDb);
+            };
+
+            request.onerror = () => {
+                reject(request.error || new Error('Failed to open local database'));
+            };
+        });
+    }
+
+    async getStoredRecords(storeName) {
+        const db = await this.openLocalDb();
+
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(storeName, 'readonly').objectStore(storeName).getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async saveStoredRecord(storeName, record) {
+        const db = await this.openLocalDb();
+
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(storeName, 'readwrite').objectStore(storeName).put(record);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async deleteStoredRecord(storeName, key) {
+        const db = await this.openLocalDb();
+
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(storeName, 'readwrite').objectStore(storeName).delete(key);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async clearStoredRecords(storeName) {
+        const db = await this.openLocalDb();
+
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(storeName, 'readwrite').objectStore(storeName).clear();
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    createEventId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    // Layer history events recorded in this browser over the fetched data
+    async applyStoredRecords() {
+        let events;
+        try {
+            events = await this.getStoredRecords('events');
+        } catch (error) {
+            console.warn('Stored events unavailable:', error.message);
+            return;
+        }
+
+        const invalid = events.filter(event => !this.isValidHistoryEvent(event));
+        if (invalid.length > 0) {
+            console.warn(`Skipped ${invalid.length} invalid stored events:`, invalid);
+        }
+
+        events
+            .filter(event => this.isValidHistoryEvent(event))
+            .sort((a, b) => a.recordedAt.localeCompare(b.recordedAt))
+            .forEach(event => this.addHistoryEvent(event));
+
+        this.stations.forEach(station => {
+            station.assets.forEach(asset => {
+                asset.status = this.calculateRealTimeStatus(asset);
+            });
+            station.status = this.getStationStatus(station);
+        });
+
+        console.log(`Applied ${events.length} locally recorded events`);
+    }
+
+    // Events need an ID (duplicates are detected by it), a known type, an ISO date and a recording time
+    isValidHistoryEvent(event) {
+        return !!event && typeof event === 'object' &&
+            typeof event.eventId === 'string' && event.eventId !== '' &&
+            Object.prototype.hasOwnProperty.call(this.HISTORY_EVENT_TYPES, event.type) &&
+            /^\d{4}-\d{2}-\d{2}$/.test(event.date) &&
+            typeof event.recordedAt === 'string' && !isNaN(new Date(event.recordedAt).getTime());
+    }
+
+    // Append an event to its asset's history and apply its effect; events already in
+    // the history (e.g. from an imported export) are skipped as the data reflects them
+    addHistoryEvent(event) {
+        const match = this.findAsset(event.assetId);
+        if (!match) return null;
+
+        if (match.asset.history.some(existing => existing.eventId === event.eventId)) {
+            return null;
+        }
+
+        match.asset.history.push(event);
+        return this.applyHistoryEvent(event, match);
+    }
+
+    // Apply the effect of an event on the asset; returns the stations it touched
+    applyHistoryEvent(event, { station, asset }) {
+        switch (event.type) {
+            case 'inspection':
+                // Newer data from the source file wins over an older local record
+                if (!asset.lastInspection || asset.lastInspection <= event.date) {
+                    this.applyInspectionToAsset(asset, event);
+                }
+                break;
+            case 'status_override':
+                asset.maintenanceRequired = event.maintenanceRequired;
+                break;
+            case 'repair':
+                asset.maintenanceRequired = false;
+                break;
+            case 'replacement':
+                asset.maintenanceRequired = false;
+                if (event.stickerId) {
+                    asset.inspectionStickerID = event.stickerId;
+                }
+                break;
+            case 'relocation': {
+                const target = this.findStation(event.toStationId);
+                if (target && target !== station) {
+                    station.assets.splice(station.assets.indexOf(asset), 1);
+                    target.assets.push(asset);
+                    return [station, target];
+                }
+                break;
+            }
+        }
+
+        return [station];
+    }
+
     initMap() {
         console.log('Initializing map...');
         
@@ -419,50 +1853,199 @@ class FireSafetyStationApp {
             preferCanvas: true
         });
         
-        const imageBounds = [[0, 0], [this.MAP_HEIGHT, this.MAP_WIDTH]];
-        L.imageOverlay('map-layout.jpg', imageBounds).addTo(this.map);
-        this.map.fitBounds(imageBounds);
-        
         this.markersLayer = L.layerGroup().addTo(this.map);
-        this.addMarkers();
+        this.mapLinksLayer = L.layerGroup().addTo(this.map);
+        this.addFloorSwitcher();
+        this.addLegend();
+        this.switchMap(this.mapRegistry.defaultMapId, { fit: false });
+        
+        this.coverageLayer = L.layerGroup().addTo(this.map);
+        this.roundLayer = L.layerGroup().addTo(this.map);
+        this.toolLayer = L.layerGroup().addTo(this.map);
+        this.measureLayer = L.layerGroup().addTo(this.map);
+        
+        this.map.on('click', (e) => {
+            if (this.mapTool) {
+                this.handleToolClick(e.latlng);
+            } else if (this.editMode) {
+                this.openStationEditor(null, e.latlng);
+            }
+        });
+        
+        this.map.on('dblclick', () => {
+            if (this.mapTool === 'measure') {
+                this.finishMeasurement();
+            }
+        });
         
+        this.map.on('moveend', () => {
+            this.updateUrlState();
+        });
+        
+        // A shared link restores its own view instead
+        const restoresView = this.hasUrlView();
         setTimeout(() => {
-            this.fitToMarkers();
+            if (!restoresView) {
+                this.fitToMarkers();
+            }
         }, 100);
         
         console.log('Map initialized successfully');
     }
 
     addMarkers() {
-        console.log(`Adding ${this.stations.length} station markers...`);
+        const stations = this.getStationsOnMap(this.currentMapId);
+        console.log(`Adding ${stations.length} station markers...`);
         
-        this.stations.forEach(station => {
+        stations.forEach(station => {
+            const matches = this.stationMatchesFilters(station);
+            if (!matches && this.filterMode === 'hide') return;
+            
             const marker = this.createMarker(station);
+            if (!matches) {
+                marker.setOpacity(0.25);
+            }
             this.markersLayer.addLayer(marker);
         });
         
         console.log('Station markers added successfully');
     }
 
-    createMarker(station) {
-        const latLng = [this.MAP_HEIGHT - station.y, station.x];
-        
-        const markerSize = 28;
-        const stationStatus = this.getStationStatus(station);
-        const color = this.statusColors[stationStatus] || '#999999';
-        const textColor = this.getContrastColor(color);
-        const label = station.stationId.replace('ST-', '').replace('-', '');
-        
-        const markerHtml = `
-            <div class="station-marker marker-${stationStatus}" 
-                 style="width: ${markerSize}px; height: ${markerSize}px; background-color: ${color}; color: ${textColor}; 
-                        border-radius: 50%; display: flex; align-items: center; justify-content: center; 
+    // Show another floor plan: swap the image, dimensions, markers and overview links
+    switchMap(mapId, options = {}) {
+        const config = this.getMapConfig(mapId) || this.getMapConfig(this.mapRegistry.defaultMapId) || this.mapRegistry.maps[0];
+        const { fit = true } = options;
+
+        if (config.id === this.currentMapId && this.mapImageLayer) {
+            return;
+        }
+
+        this.currentMapId = config.id;
+        this.MAP_WIDTH = config.width;
+        this.MAP_HEIGHT = config.height;
+
+        const imageBounds = [[0, 0], [this.MAP_HEIGHT, this.MAP_WIDTH]];
+        if (this.mapImageLayer) {
+            this.map.removeLayer(this.mapImageLayer);
+        }
+        this.mapImageLayer = L.imageOverlay(config.image, imageBounds).addTo(this.map);
+        this.mapImageLayer.bringToBack();
+        this.map.closePopup();
+        this.map.fitBounds(imageBounds);
+
+        this.rebuildMarkers();
+        this.renderMapLinks();
+        this.updateFloorSwitcher();
+        this.clearMeasurements();
+        if (this.coverageMode) {
+            this.renderCoverage();
+        }
+        this.renderRoundRoute();
+
+        if (fit) {
+            this.fitToMarkers();
+        }
+
+        console.log(`Showing floor plan ${config.name}`);
+    }
+
+    // Links from the site overview to building detail maps
+    renderMapLinks() {
+        this.mapLinksLayer.clearLayers();
+        if (this.currentMapId !== this.mapRegistry.defaultMapId) return;
+
+        this.mapRegistry.maps
+            .filter(map => map.overviewPosition)
+            .forEach(map => {
+                const link = L.marker([this.MAP_HEIGHT - map.overviewPosition.y, map.overviewPosition.x], {
+                    icon: L.divIcon({
+                        html: `<div class="map-link">${this.escapeHtml(map.name)} →</div>`,
+                        className: 'map-link-marker',
+                        iconSize: null
+                    })
+                });
+                link.on('click', () => this.switchMap(map.id));
+                this.mapLinksLayer.addLayer(link);
+            });
+    }
+
+    addFloorSwitcher() {
+        const switcher = L.control({ position: 'topright' });
+
+        switcher.onAdd = () => {
+            const container = L.DomUtil.create('div', 'floor-switcher leaflet-bar');
+            container.innerHTML = `
+                <label for="floorSwitcher" class="floor-switcher__label">${this.t('common.floorPlan')}</label>
+                <select id="floorSwitcher" class="form-control"></select>
+            `;
+            L.DomEvent.disableClickPropagation(container);
+            L.DomEvent.disableScrollPropagation(container);
+
+            container.querySelector('select').addEventListener('change', (e) => {
+                this.switchMap(e.target.value);
+            });
+            return container;
+        };
+
+        switcher.addTo(this.map);
+        this.floorSwitcher = switcher;
+    }
+
+    updateFloorSwitcher() {
+        const container = this.floorSwitcher && this.floorSwitcher.getContainer();
+        if (!container) return;
+
+        container.querySelector('label').textContent = this.t('common.floorPlan');
+
+        // Nothing to switch between with only the site overview
+        container.classList.toggle('hidden', this.mapRegistry.maps.length < 2);
+
+        const groups = new Map();
+        this.mapRegistry.maps.forEach(map => {
+            const group = map.building !== undefined ? `Building-${map.building}` : 'Site';
+            if (!groups.has(group)) groups.set(group, []);
+            groups.get(group).push(map);
+        });
+
+        container.querySelector('select').innerHTML = Array.from(groups.entries()).map(([group, maps]) => `
+            <optgroup label="${this.escapeHtml(group)}">
+                ${maps.map(map => `
+                    <option value="${this.escapeHtml(map.id)}" ${map.id === this.currentMapId ? 'selected' : ''}>
+                        ${this.escapeHtml(map.name)}
+                    </option>
+                `).join('')}
+            </optgroup>
+        `).join('');
+    }
+
+    getStationMapLabel(station) {
+        const mapId = this.getStationMapId(station);
+        if (mapId === this.mapRegistry.defaultMapId) return '';
+
+        const config = this.getMapConfig(mapId);
+        return config ? config.name : mapId;
+    }
+
+    createMarker(station) {
+        const latLng = [this.MAP_HEIGHT - station.y, station.x];
+        
+        const markerSize = 28;
+        const stationStatus = this.getStationStatus(station);
+        const color = this.statusColors[stationStatus] || '#999999';
+        const textColor = this.getContrastColor(color);
+        const label = station.stationId.replace('ST-', '').replace('-', '');
+        
+        const markerHtml = `
+            <div class="station-marker marker-${stationStatus} ${this.searchHighlight.has(station) ? 'marker-search-hit' : ''}" 
+                 style="width: ${markerSize}px; height: ${markerSize}px; background-color: ${color}; color: ${textColor}; 
+                        border-radius: 50%; display: flex; align-items: center; justify-content: center; 
                         font-weight: bold; font-size: 11px; border: 2px solid white; box-shadow: 0 2px 4px rgba(0,0,0,0.3);">
                 ${label}
             </div>
         `;
         
         const marker = L.marker(latLng, {
+            draggable: this.editMode,
             icon: L.divIcon({
                 html: markerHtml,
                 className: 'custom-marker',
@@ -471,6 +2054,14 @@ class FireSafetyStationApp {
             })
         });
         
+        marker.on('dragend', () => {
+            const position = marker.getLatLng();
+            this.executeEdit(this.updateStationCommand(station, {
+                x: Math.round(position.lng),
+                y: Math.round(this.MAP_HEIGHT - position.lat)
+            }));
+        });
+        
         const popupContent = this.createPopupContent(station);
         marker.bindPopup(popupContent, {
             maxWidth: 450,
@@ -479,6 +2070,7 @@ class FireSafetyStationApp {
         
         marker.on('click', (e) => {
             this.selectedStation = station;
+            this.updateUrlState({ push: true });
             marker.openPopup();
         });
         
@@ -502,20 +2094,20 @@ class FireSafetyStationApp {
         let content = `
             <div style="min-width: 400px; font-family: Arial, sans-serif;">
                 <h3 style="margin: 0 0 12px 0; color: var(--color-text);">${station.stationId}</h3>
-                <p style="margin: 0 0 8px 0;"><strong>Building:</strong> ${station.buildingName}</p>
-                <p style="margin: 0 0 16px 0;"><strong>Location:</strong> ${station.x}, ${station.y}</p>
+                <p style="margin: 0 0 8px 0;"><strong>${this.t('info.building')}</strong> ${station.buildingName}</p>
+                <p style="margin: 0 0 16px 0;"><strong>${this.t('info.location')}</strong> ${station.x}, ${station.y}${this.getStationMapLabel(station) ? ` (${this.getStationMapLabel(station)})` : ''}</p>
         `;
         
         if (extinguishers.length > 0) {
             content += `
-                <h4 style="margin: 16px 0 8px 0; color: var(--color-text);">Fire Extinguishers (${extinguishers.length})</h4>
+                <h4 style="margin: 16px 0 8px 0; color: var(--color-text);">${this.t('popup.extinguishers', { count: extinguishers.length })}</h4>
                 <table style="width: 100%; border-collapse: collapse; font-size: 11px;">
                     <thead>
                         <tr style="background: rgba(0,0,0,0.1);">
-                            <th style="padding: 4px; text-align: left; border: 1px solid #ddd;">ID</th>
-                            <th style="padding: 4px; text-align: left; border: 1px solid #ddd;">Type</th>
-                            <th style="padding: 4px; text-align: left; border: 1px solid #ddd;">Size</th>
-                            <th style="padding: 4px; text-align: left; border: 1px solid #ddd;">Status</th>
+                            <th style="padding: 4px; text-align: left; border: 1px solid #ddd;">${this.t('popup.id')}</th>
+                            <th style="padding: 4px; text-align: left; border: 1px solid #ddd;">${this.t('popup.type')}</th>
+                            <th style="padding: 4px; text-align: left; border: 1px solid #ddd;">${this.t('popup.size')}</th>
+                            <th style="padding: 4px; text-align: left; border: 1px solid #ddd;">${this.t('popup.status')}</th>
                         </tr>
                     </thead>
                     <tbody>
@@ -544,13 +2136,13 @@ class FireSafetyStationApp {
         
         if (hoses.length > 0) {
             content += `
-                <h4 style="margin: 16px 0 8px 0; color: var(--color-text);">Fire Hoses (${hoses.length})</h4>
+                <h4 style="margin: 16px 0 8px 0; color: var(--color-text);">${this.t('popup.hoses', { count: hoses.length })}</h4>
                 <table style="width: 100%; border-collapse: collapse; font-size: 11px;">
                     <thead>
                         <tr style="background: rgba(0,0,0,0.1);">
-                            <th style="padding: 4px; text-align: left; border: 1px solid #ddd;">ID</th>
-                            <th style="padding: 4px; text-align: left; border: 1px solid #ddd;">Length</th>
-                            <th style="padding: 4px; text-align: left; border: 1px solid #ddd;">Status</th>
+                            <th style="padding: 4px; text-align: left; border: 1px solid #ddd;">${this.t('popup.id')}</th>
+                            <th style="padding: 4px; text-align: left; border: 1px solid #ddd;">${this.t('popup.length')}</th>
+                            <th style="padding: 4px; text-align: left; border: 1px solid #ddd;">${this.t('popup.status')}</th>
                         </tr>
                     </thead>
                     <tbody>
@@ -579,8 +2171,14 @@ class FireSafetyStationApp {
         content += `
                 <button onclick="window.app.showStationDetails('${station.stationId}')" 
                         style="background: #007cba; color: white; border: none; padding: 8px 16px; border-radius: 4px; cursor: pointer; margin-top: 12px; width: 100%;">
-                    View Full Details
+                    ${this.t('popup.viewDetails')}
+                </button>
+                ${this.editMode ? `
+                <button onclick="window.app.openStationEditor('${station.stationId}')" 
+                        style="background: #FF9800; color: white; border: none; padding: 8px 16px; border-radius: 4px; cursor: pointer; margin-top: 8px; width: 100%;">
+                    ${this.t('popup.editStation')}
                 </button>
+                ` : ''}
             </div>
         `;
         
@@ -599,8 +2197,26 @@ class FireSafetyStationApp {
                 clearTimeout(this.searchTimeout);
                 this.searchTimeout = setTimeout(() => {
                     this.handleSearch(e.target.value);
+                    this.updateUrlState();
                 }, 200);
             });
+            
+            searchInput.addEventListener('keydown', (e) => {
+                if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                    e.preventDefault();
+                    this.moveSearchSuggestion(e.key === 'ArrowDown' ? 1 : -1);
+                } else if (e.key === 'Enter') {
+                    e.preventDefault();
+                    // Enter may beat the typing debounce
+                    if (searchInput.value !== this.searchQuery) {
+                        clearTimeout(this.searchTimeout);
+                        this.handleSearch(searchInput.value);
+                    }
+                    this.chooseSearchSuggestion(Math.max(this.activeSuggestion, 0));
+                } else if (e.key === 'Escape' && searchSuggestions) {
+                    searchSuggestions.classList.remove('visible');
+                }
+            });
         }
         
         document.addEventListener('click', (e) => {
@@ -622,6 +2238,10 @@ class FireSafetyStationApp {
         const buildingsBtn = document.getElementById('buildingsBtn');
         const infoBtn = document.getElementById('infoBtn');
         const homeBtn = document.getElementById('homeBtn');
+        const dataIssuesBtn = document.getElementById('dataIssuesBtn');
+        const settingsBtn = document.getElementById('settingsBtn');
+        const historyBtn = document.getElementById('historyBtn');
+        const editModeBtn = document.getElementById('editModeBtn');
         
         if (dashboardBtn) {
             dashboardBtn.addEventListener('click', () => {
@@ -629,9 +2249,31 @@ class FireSafetyStationApp {
             });
         }
         
+        const dashboardCharts = document.getElementById('dashboardCharts');
+        if (dashboardCharts) {
+            const activate = (target) => {
+                const segment = target.closest('[data-chart-filter]');
+                const row = target.closest('tr[data-station-id]');
+                if (segment) {
+                    this.filterFromDashboard(JSON.parse(segment.getAttribute('data-chart-filter')));
+                } else if (row) {
+                    this.hideModal('dashboardModal');
+                    this.selectStation(row.getAttribute('data-station-id'));
+                }
+            };
+            dashboardCharts.addEventListener('click', (e) => activate(e.target));
+            dashboardCharts.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    activate(e.target);
+                }
+            });
+        }
+        
         if (buildingsBtn) {
             buildingsBtn.addEventListener('click', () => {
                 this.showModal('buildingsModal');
+                this.populateBuildings();
             });
         }
         
@@ -648,10 +2290,282 @@ class FireSafetyStationApp {
         if (homeBtn) {
             homeBtn.addEventListener('click', () => {
                 this.clearSearch();
+                this.switchMap(this.mapRegistry.defaultMapId, { fit: false });
                 this.fitToMarkers();
             });
         }
         
+        if (dataIssuesBtn) {
+            dataIssuesBtn.addEventListener('click', () => {
+                this.showModal('dataIssuesModal');
+            });
+        }
+        
+        const filterBtn = document.getElementById('filterBtn');
+        const filterPanel = document.getElementById('filterPanel');
+        const clearFilters = document.getElementById('clearFilters');
+        
+        if (filterBtn) {
+            filterBtn.addEventListener('click', () => {
+                this.renderFilterPanel();
+                this.showModal('filterModal');
+            });
+        }
+        
+        if (filterPanel) {
+            filterPanel.addEventListener('change', () => {
+                const { filters, mode } = this.collectFilters();
+                this.setFilters(filters, mode);
+            });
+        }
+        
+        if (clearFilters) {
+            clearFilters.addEventListener('click', () => {
+                this.setFilters({ ...this.EMPTY_FILTERS });
+                this.renderFilterPanel();
+            });
+        }
+        
+        const roundBtn = document.getElementById('roundBtn');
+        if (roundBtn) {
+            roundBtn.addEventListener('click', () => {
+                this.renderRoundForm();
+                this.showModal('roundModal');
+            });
+        }
+        
+        ['planRound', 'printRound', 'roundDone', 'roundChecklist', 'endRound'].forEach(id => {
+            const button = document.getElementById(id);
+            if (!button) return;
+            button.addEventListener('click', () => {
+                if (id === 'planRound') this.planRound();
+                if (id === 'printRound') this.printRoundChecklist();
+                if (id === 'roundDone') this.advanceRound();
+                if (id === 'endRound') this.endRound();
+                if (id === 'roundChecklist') {
+                    this.renderRoundForm();
+                    this.showModal('roundModal');
+                }
+            });
+        });
+        
+        const coverageBtn = document.getElementById('coverageBtn');
+        if (coverageBtn) {
+            coverageBtn.addEventListener('click', () => {
+                this.showCoverageToolbar(!this.coverageMode);
+            });
+        }
+        
+        const coverageRadius = document.getElementById('coverageRadius');
+        if (coverageRadius) {
+            coverageRadius.addEventListener('change', (e) => {
+                const radiusMeters = parseFloat(e.target.value);
+                if (radiusMeters > 0) {
+                    this.setCoverageSettings({ radiusMeters });
+                }
+            });
+        }
+        
+        const coverageAgent = document.getElementById('coverageAgent');
+        if (coverageAgent) {
+            coverageAgent.addEventListener('change', (e) => {
+                this.setCoverageSettings({ agentType: e.target.value });
+            });
+        }
+        
+        const closeCoverage = document.getElementById('closeCoverage');
+        if (closeCoverage) {
+            closeCoverage.addEventListener('click', () => {
+                this.showCoverageToolbar(false);
+            });
+        }
+        
+        const measureBtn = document.getElementById('measureBtn');
+        if (measureBtn) {
+            measureBtn.addEventListener('click', () => {
+                const measureToolbar = document.getElementById('measureToolbar');
+                this.showMeasureToolbar(measureToolbar && measureToolbar.classList.contains('hidden'));
+            });
+        }
+        
+        ['startMeasure', 'startCalibrate', 'clearMeasure', 'closeMeasure'].forEach(id => {
+            const button = document.getElementById(id);
+            if (!button) return;
+            button.addEventListener('click', () => {
+                if (id === 'startMeasure') this.setMapTool('measure');
+                if (id === 'startCalibrate') this.setMapTool('calibrate');
+                if (id === 'clearMeasure') {
+                    this.clearMeasurements();
+                    this.setMapTool(this.mapTool);
+                }
+                if (id === 'closeMeasure') this.showMeasureToolbar(false);
+            });
+        });
+        
+        const alertsBtn = document.getElementById('alertsBtn');
+        const alertView = document.getElementById('alertView');
+        const acknowledgeAllAlerts = document.getElementById('acknowledgeAllAlerts');
+        const alertSubscriptions = document.getElementById('alertSubscriptions');
+        
+        if (alertsBtn) {
+            alertsBtn.addEventListener('click', () => {
+                this.renderAlertCenter();
+                this.renderAlertSubscriptions();
+                this.showModal('alertsModal');
+            });
+        }
+        
+        if (alertView) {
+            alertView.addEventListener('change', () => {
+                this.renderAlertCenter();
+            });
+        }
+        
+        if (acknowledgeAllAlerts) {
+            acknowledgeAllAlerts.addEventListener('click', () => {
+                this.acknowledgeAlert(null);
+            });
+        }
+        
+        if (alertSubscriptions) {
+            alertSubscriptions.addEventListener('change', () => {
+                this.saveAlertSubscriptions();
+            });
+        }
+        
+        const calendarBtn = document.getElementById('calendarBtn');
+        const calendarMode = document.getElementById('calendarMode');
+        const exportCalendar = document.getElementById('exportCalendar');
+        
+        if (calendarBtn) {
+            calendarBtn.addEventListener('click', () => {
+                this.showCalendar();
+            });
+        }
+        
+        if (calendarMode) {
+            calendarMode.addEventListener('change', () => {
+                this.calendarMode = calendarMode.value;
+                this.renderCalendar();
+            });
+        }
+        
+        [['calendarPrev', -1], ['calendarToday', 0], ['calendarNext', 1]].forEach(([id, step]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', () => {
+                    this.moveCalendar(step);
+                });
+            }
+        });
+        
+        if (exportCalendar) {
+            exportCalendar.addEventListener('click', () => {
+                this.exportCalendar();
+            });
+        }
+        
+        const scanBtn = document.getElementById('scanBtn');
+        const scanInput = document.getElementById('scanInput');
+        const closeScan = document.getElementById('closeScan');
+        
+        if (scanBtn) {
+            scanBtn.addEventListener('click', () => {
+                this.showScanToolbar(!this.scanMode);
+            });
+        }
+        
+        if (scanInput) {
+            scanInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.handleScan(scanInput.value);
+                    scanInput.value = '';
+                }
+            });
+        }
+        
+        if (closeScan) {
+            closeScan.addEventListener('click', () => {
+                this.showScanToolbar(false);
+            });
+        }
+        
+        // Capture phase, so a scan into a focused field is still seen before it submits anything
+        document.addEventListener('keydown', (e) => {
+            this.handleScanKeydown(e);
+        }, true);
+        
+        if (settingsBtn) {
+            settingsBtn.addEventListener('click', () => {
+                this.renderLanguageSelect();
+                this.renderInspectionRulesEditor();
+                this.renderDateSettings();
+                this.showModal('settingsModal');
+            });
+        }
+        
+        if (editModeBtn) {
+            editModeBtn.addEventListener('click', () => {
+                this.setEditMode(!this.editMode);
+            });
+        }
+        
+        ['undoEdit', 'redoEdit', 'exitEditMode'].forEach(id => {
+            const button = document.getElementById(id);
+            if (!button) return;
+            button.addEventListener('click', () => {
+                if (id === 'undoEdit') this.undoEdit();
+                if (id === 'redoEdit') this.redoEdit();
+                if (id === 'exitEditMode') this.setEditMode(false);
+            });
+        });
+        
+        document.addEventListener('keydown', (e) => {
+            if (!this.editMode || !(e.ctrlKey || e.metaKey) || ['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+            
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undoEdit();
+            } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                e.preventDefault();
+                this.redoEdit();
+            }
+        });
+        
+        if (historyBtn) {
+            historyBtn.addEventListener('click', () => {
+                this.renderSiteHistory();
+                this.showModal('historyModal');
+            });
+        }
+        
+        ['historyFrom', 'historyTo', 'historyType'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('change', () => this.renderSiteHistory());
+            }
+        });
+        
+        const exportHistory = document.getElementById('exportHistory');
+        const importHistoryInput = document.getElementById('importHistoryInput');
+        
+        if (exportHistory) {
+            exportHistory.addEventListener('click', () => {
+                this.exportSiteHistory();
+            });
+        }
+        
+        if (importHistoryInput) {
+            importHistoryInput.addEventListener('change', (e) => {
+                if (e.target.files.length > 0) {
+                    this.importHistory(e.target.files[0]);
+                    e.target.value = '';
+                }
+            });
+        }
+        
         // Modal close buttons
         document.querySelectorAll('.modal-close').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -669,6 +2583,14 @@ class FireSafetyStationApp {
         });
         
         // Export buttons
+        const languageSelect = document.getElementById('languageSelect');
+        if (languageSelect) {
+            languageSelect.addEventListener('change', async () => {
+                await this.setLanguage(languageSelect.value);
+                this.refreshTranslatedViews();
+            });
+        }
+        
         const exportCSV = document.getElementById('exportCSV');
         const exportJSON = document.getElementById('exportJSON');
         
@@ -683,408 +2605,4947 @@ class FireSafetyStationApp {
                 this.exportData('json');
             });
         }
-        
-        console.log('Event listeners set up successfully');
+        
+        const openLabels = document.getElementById('openLabels');
+        const printLabels = document.getElementById('printLabels');
+        
+        if (openLabels) {
+            openLabels.addEventListener('click', () => {
+                this.renderLabelsForm();
+                this.hideModal('dashboardModal');
+                this.showModal('labelsModal');
+            });
+        }
+        
+        if (printLabels) {
+            printLabels.addEventListener('click', () => {
+                this.printLabels();
+            });
+        }
+        
+        const openReport = document.getElementById('openReport');
+        const printReport = document.getElementById('printReport');
+        
+        if (openReport) {
+            openReport.addEventListener('click', () => {
+                this.renderReportForm();
+                this.hideModal('dashboardModal');
+                this.showModal('reportModal');
+            });
+        }
+        
+        if (printReport) {
+            printReport.addEventListener('click', () => {
+                this.printReport();
+            });
+        }
+        
+        this.setupImportWizard();
+        this.setupCompare();
+        
+        // Back/forward and pasted links; our own history entries are skipped
+        ['hashchange', 'popstate'].forEach(type => {
+            window.addEventListener(type, () => {
+                if (window.location.hash !== this.urlHash) {
+                    this.applyUrlState();
+                }
+            });
+        });
+        
+        console.log('Event listeners set up successfully');
+    }
+
+    // Search. Free words are matched typo-tolerantly against station, building, asset,
+    // sticker, agent type and manufacturer; field:value terms must all hold, e.g.
+    // status:overdue building:3 type:co2 due:<30d sticker:2338*
+    parseSearchQuery(query) {
+        const tokens = String(query || '').match(/(\w+:)?"[^"]*"|\S+/g) || [];
+        const terms = [];
+        const fields = [];
+
+        tokens.forEach(token => {
+            const fieldMatch = token.match(/^(\w+):(.+)$/);
+            const value = (fieldMatch ? fieldMatch[2] : token).replace(/"/g, '').trim().toLowerCase();
+            if (!value) return;
+
+            if (fieldMatch && this.SEARCH_FIELDS.includes(fieldMatch[1].toLowerCase())) {
+                fields.push({ field: fieldMatch[1].toLowerCase(), value });
+            } else {
+                terms.push(value);
+            }
+        });
+
+        return { terms, fields };
+    }
+
+    matchesSearchField(field, value, station, asset) {
+        const text = input => String(input === undefined || input === null ? '' : input).toLowerCase();
+        // `*` is a wildcard; without one the value may appear anywhere
+        const like = input => value.includes('*')
+            ? new RegExp(`^${value.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`).test(text(input))
+            : text(input).includes(value);
+
+        switch (field) {
+            case 'station':
+                return like(station.stationId);
+            case 'building':
+                return /^\d+$/.test(value) ? station.building === parseInt(value) : like(station.buildingName);
+            case 'asset':
+                return !!asset && like(asset.assetId);
+            case 'sticker':
+                return !!asset && like(asset.inspectionStickerID);
+            case 'type':
+                return !!asset && like(asset.type);
+            case 'assettype':
+                return !!asset && like(asset.assetType);
+            case 'manufacturer':
+                return !!asset && like(asset.manufacturer);
+            case 'iso':
+                return !!asset && like(asset.isoCategory);
+            case 'status': {
+                // Matches the start of the label or of any word in it: overdue, due, due_soon, maint.
+                // The English status name (inspection due soon) matches in every language
+                if (!asset) return false;
+                const labels = [this.statusLabels[asset.status] || '', asset.status.replace(/_/g, ' ')].map(label => label.toLowerCase());
+                const words = value.replace(/_/g, ' ');
+                return labels.some(label => label.startsWith(words) || label.includes(` ${words}`));
+            }
+            case 'due': {
+                // due:<30d, due:<=2w, due:>3m, due:14 (= within 14 days)
+                const parsed = value.match(/^(<=|>=|<|>|=)?(-?\d+)([dwm])?$/);
+                if (!asset || !asset.nextDue || !parsed) return false;
+                const days = parseInt(parsed[2]) * { d: 1, w: 7, m: 30 }[parsed[3] || 'd'];
+                const daysUntilDue = this.getDaysUntilDue(asset);
+                switch (parsed[1] || '<=') {
+                    case '<': return daysUntilDue < days;
+                    case '>': return daysUntilDue > days;
+                    case '>=': return daysUntilDue >= days;
+                    case '=': return daysUntilDue === days;
+                    default: return daysUntilDue <= days;
+                }
+            }
+            default:
+                return true;
+        }
+    }
+
+    // Ranking: exact > prefix > substring > within a small edit distance of a word
+    scoreSearchTerm(term, text) {
+        const value = String(text === undefined || text === null ? '' : text).toLowerCase();
+        if (!value) return 0;
+        if (value === term) return 100;
+        if (value.startsWith(term)) return 80;
+        if (value.includes(term)) return 60;
+
+        const distance = this.getFuzzyDistance(term, value);
+        return distance === null ? 0 : 40 - distance * 10;
+    }
+
+    // Edit distance to the closest word of the text (or the whole text), or null when
+    // it is over the typo budget: none below 4 characters, 1 below 7, otherwise 2.
+    // Terms with digits are IDs, where one character off is another station.
+    getFuzzyDistance(term, text) {
+        if (term.length < 4 || /\d/.test(term)) return null;
+
+        const budget = term.length >= 7 ? 2 : 1;
+        const candidates = [text, ...text.split(/[\s\-_/.,]+/)].filter(word => word.length >= term.length - budget);
+        // Compare against the start of longer words so that typos in a prefix still match
+        const best = Math.min(...candidates.map(word => this.getEditDistance(term, word.slice(0, term.length + budget))));
+
+        return best <= budget ? best : null;
+    }
+
+    // Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+    getEditDistance(a, b) {
+        const rows = Array.from({ length: a.length + 1 }, (row, i) => [i, ...new Array(b.length).fill(0)]);
+        for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+                }
+            }
+        }
+
+        return rows[a.length][b.length];
+    }
+
+    // Matching stations, best first, each with its matching assets
+    searchStations(query) {
+        const { terms, fields } = this.parseSearchQuery(query);
+        const groups = [];
+
+        this.stations.forEach(station => {
+            const matches = [];
+
+            // A station without assets can still match on its own fields
+            (station.assets.length > 0 ? station.assets : [null]).forEach(asset => {
+                if (!fields.every(({ field, value }) => this.matchesSearchField(field, value, station, asset))) return;
+
+                const texts = [station.stationId, station.buildingName];
+                if (asset) {
+                    texts.push(asset.assetId, asset.inspectionStickerID, asset.type, asset.manufacturer, asset.assetType);
+                }
+
+                let score = 0;
+                for (const term of terms) {
+                    const best = Math.max(...texts.map(text => this.scoreSearchTerm(term, text)));
+                    if (best === 0) return;
+                    score += best;
+                }
+                matches.push({ asset, score });
+            });
+
+            if (matches.length === 0) return;
+
+            matches.sort((a, b) => b.score - a.score);
+            groups.push({ station, score: matches[0].score, assets: matches.filter(match => match.asset) });
+        });
+
+        groups.sort((a, b) => b.score - a.score ||
+            a.station.stationId.localeCompare(b.station.stationId, undefined, { numeric: true }));
+
+        return { terms, fields, groups };
+    }
+
+    // Escape the text and mark the parts that matched a search term
+    highlightSearchText(text, terms) {
+        const value = String(text === undefined || text === null ? '' : text);
+        const lower = value.toLowerCase();
+        const ranges = [];
+
+        terms.forEach(term => {
+            for (let index = lower.indexOf(term); term && index >= 0; index = lower.indexOf(term, index + 1)) {
+                ranges.push([index, index + term.length]);
+            }
+        });
+        for (const word of lower.matchAll(/[^\s\-_/.,]+/g)) {
+            if (terms.some(term => !word[0].includes(term) && this.getFuzzyDistance(term, word[0]) !== null)) {
+                ranges.push([word.index, word.index + word[0].length]);
+            }
+        }
+
+        ranges.sort((a, b) => a[0] - b[0]);
+        let html = '';
+        let position = 0;
+        ranges.forEach(([start, end]) => {
+            if (end <= position) return;
+            html += `${this.escapeHtml(value.slice(position, Math.max(start, position)))}<mark>${this.escapeHtml(value.slice(Math.max(start, position), end))}</mark>`;
+            position = end;
+        });
+
+        return html + this.escapeHtml(value.slice(position));
+    }
+
+    handleSearch(query) {
+        const searchSuggestions = document.getElementById('searchSuggestions');
+        const searchInput = document.getElementById('searchInput');
+
+        this.searchQuery = query;
+        this.searchResults = [];
+        this.searchOptions = [];
+        this.activeSuggestion = -1;
+        if (searchInput) searchInput.removeAttribute('aria-activedescendant');
+
+        if (!query.trim()) {
+            if (searchSuggestions) {
+                searchSuggestions.classList.remove('visible');
+                searchSuggestions.innerHTML = '';
+            }
+            return;
+        }
+
+        const { terms, fields, groups } = this.searchStations(query);
+        this.searchResults = groups;
+
+        if (!searchSuggestions) return;
+
+        if (groups.length === 0) {
+            searchSuggestions.innerHTML = `<li class="suggestion-item suggestion-item--empty">${this.t('search.noResults')}</li>`;
+            searchSuggestions.classList.add('visible');
+            return;
+        }
+
+        // Field values are highlighted too, without their wildcards
+        const highlightTerms = terms.concat(fields
+            .filter(({ field }) => ['station', 'asset', 'sticker', 'type', 'manufacturer'].includes(field))
+            .map(({ value }) => value.replace(/\*/g, ''))
+            .filter(Boolean));
+        const hl = text => this.highlightSearchText(text, highlightTerms);
+        const option = (entry, className, html) => {
+            this.searchOptions.push(entry);
+            const index = this.searchOptions.length - 1;
+            return `<li id="search-option-${index}" class="suggestion-item ${className}" role="option" data-search-index="${index}">${html}</li>`;
+        };
+
+        const assetCount = groups.reduce((sum, group) => sum + group.assets.length, 0);
+        const shownGroups = groups.slice(0, this.SEARCH_MAX_STATIONS);
+
+        searchSuggestions.innerHTML = shownGroups.map(group => {
+            const { station } = group;
+            const shownAssets = group.assets.slice(0, this.SEARCH_MAX_ASSETS_PER_STATION);
+            const hidden = group.assets.length - shownAssets.length;
+
+            return option({ type: 'station', station }, 'suggestion-group', `
+                    <strong>${hl(station.stationId)}</strong> - ${hl(station.buildingName)}
+                    <br><small style="color: #666;">${this.statusLabels[this.getStationStatus(station)] || this.t('search.noAssets')} · ${this.t('buildings.assets', { count: station.assets.length })}</small>
+                `) +
+                shownAssets.map(({ asset }) => option({ type: 'asset', station, asset }, 'suggestion-asset', `
+                    ${hl(asset.assetId)} · ${hl(asset.type)} ${this.escapeHtml(asset.size)}
+                    <br><small style="color: #666;">
+                        ${this.statusLabels[asset.status] || ''} · ${hl(asset.manufacturer)} · ${this.t('search.sticker', { stickerId: hl(asset.inspectionStickerID) })}
+                    </small>
+                `)).join('') +
+                (hidden > 0 ? `<li class="suggestion-item suggestion-more">${this.t('search.moreAssets', { count: hidden })}</li>` : '');
+        }).join('') +
+            (groups.length > shownGroups.length
+                ? `<li class="suggestion-item suggestion-more">${this.t('search.moreStations', { count: groups.length - shownGroups.length })}</li>`
+                : '') +
+            option({ type: 'all' }, 'suggestion-show-all',
+                `📍 ${this.t('search.showAll', { stations: this.t('buildings.stations', { count: groups.length }), assets: this.t('buildings.assets', { count: assetCount }) })}`);
+
+        searchSuggestions.classList.add('visible');
+
+        searchSuggestions.querySelectorAll('[data-search-index]').forEach(item => {
+            item.addEventListener('click', () => {
+                this.chooseSearchSuggestion(parseInt(item.getAttribute('data-search-index')));
+            });
+        });
+    }
+
+    moveSearchSuggestion(delta) {
+        const count = this.searchOptions.length;
+        if (count === 0) return;
+
+        this.activeSuggestion = this.activeSuggestion < 0 && delta < 0
+            ? count - 1
+            : (this.activeSuggestion + delta + count) % count;
+
+        const searchInput = document.getElementById('searchInput');
+        document.querySelectorAll('#searchSuggestions [data-search-index]').forEach(item => {
+            const active = parseInt(item.getAttribute('data-search-index')) === this.activeSuggestion;
+            item.classList.toggle('suggestion-item--active', active);
+            item.setAttribute('aria-selected', active ? 'true' : 'false');
+            if (active) {
+                if (searchInput) searchInput.setAttribute('aria-activedescendant', item.id);
+                if (item.scrollIntoView) item.scrollIntoView({ block: 'nearest' });
+            }
+        });
+    }
+
+    chooseSearchSuggestion(index) {
+        const choice = this.searchOptions[index];
+        if (!choice) return;
+
+        if (choice.type === 'all') {
+            this.showSearchResultsOnMap();
+        } else {
+            this.selectStation(choice.station.stationId);
+        }
+    }
+
+    // Ring every matching marker and fit the view to the ones on the current plan
+    // (switching to the plan of the best match when none are on it)
+    showSearchResultsOnMap() {
+        const stations = this.searchResults.map(group => group.station);
+        if (stations.length === 0) return;
+
+        this.searchHighlight = new Set(stations);
+        if (!stations.some(station => this.getStationMapId(station) === this.currentMapId)) {
+            this.switchMap(this.getStationMapId(stations[0]), { fit: false });
+        } else {
+            this.rebuildMarkers();
+        }
+
+        const searchSuggestions = document.getElementById('searchSuggestions');
+        if (searchSuggestions) searchSuggestions.classList.remove('visible');
+
+        const onMap = stations.filter(station => this.getStationMapId(station) === this.currentMapId);
+        this.map.fitBounds(L.latLngBounds(onMap.map(station => this.pointToLatLng(station))).pad(0.2), { maxZoom: 1 });
+        console.log(`Highlighted ${stations.length} matching stations (${stations.length - onMap.length} on other plans)`);
+    }
+
+    clearSearchHighlight() {
+        if (this.searchHighlight.size === 0) return;
+
+        this.searchHighlight = new Set();
+        this.rebuildMarkers();
+    }
+
+    selectStation(stationId) {
+        const station = this.findStation(stationId);
+        if (!station) return;
+        
+        const searchInput = document.getElementById('searchInput');
+        if (searchInput) {
+            searchInput.value = station.stationId;
+        }
+        
+        const searchSuggestions = document.getElementById('searchSuggestions');
+        if (searchSuggestions) {
+            searchSuggestions.classList.remove('visible');
+        }
+        
+        this.clearBlinkingMarker();
+        
+        // New history entry first, so the view changes below land on it and not on the previous one
+        this.selectedStation = station;
+        this.updateUrlState({ push: true });
+        this.switchMap(this.getStationMapId(station), { fit: false });
+        
+        this.markersLayer.eachLayer(layer => {
+            if (layer.station && layer.station.stationId === stationId) {
+                const markerElement = layer.getElement();
+                if (markerElement) {
+                    const markerDiv = markerElement.querySelector('.station-marker');
+                    if (markerDiv) {
+                        markerDiv.classList.add('marker-blinking');
+                        this.blinkingMarker = markerDiv;
+                    }
+                }
+                
+                const latLng = [this.MAP_HEIGHT - station.y, station.x];
+                this.map.setView(latLng, 1);
+            }
+        });
+    }
+
+    clearSearch() {
+        const searchInput = document.getElementById('searchInput');
+        const searchSuggestions = document.getElementById('searchSuggestions');
+        
+        if (searchInput) {
+            searchInput.value = '';
+        }
+        if (searchSuggestions) {
+            searchSuggestions.classList.remove('visible');
+        }
+        this.clearBlinkingMarker();
+        this.clearSearchHighlight();
+        this.updateUrlState();
+    }
+
+    clearBlinkingMarker() {
+        if (this.blinkingMarker) {
+            this.blinkingMarker.classList.remove('marker-blinking');
+            this.blinkingMarker = null;
+        }
+    }
+
+    findStation(stationId) {
+        return this.stations.find(station => station.stationId === stationId);
+    }
+
+    fitToMarkers() {
+        if (this.markersLayer.getLayers().length === 0) {
+            const imageBounds = [[0, 0], [this.MAP_HEIGHT, this.MAP_WIDTH]];
+            this.map.fitBounds(imageBounds);
+            return;
+        }
+        
+        const group = new L.featureGroup(this.markersLayer.getLayers());
+        this.map.fitBounds(group.getBounds().pad(0.1));
+    }
+
+    showModal(modalId) {
+        const modal = document.getElementById(modalId);
+        if (modal) {
+            modal.classList.add('visible');
+        }
+        this.updateUrlState();
+    }
+
+    hideModal(modalId) {
+        const modal = document.getElementById(modalId);
+        if (modal) {
+            modal.classList.remove('visible');
+        }
+        this.updateUrlState();
+    }
+
+    updateStats() {
+        const stats = {
+            totalStations: this.stations.length,
+            totalAssets: this.getTotalAssets(),
+            good: 0,
+            inspection_due_soon: 0,
+            overdue: 0,
+            maintenance_required: 0
+        };
+        
+        const filtered = this.hasActiveFilters();
+        if (filtered) {
+            stats.totalAssets = 0;
+        }
+        const entries = [];
+        
+        this.stations.forEach(station => {
+            station.assets.forEach(asset => {
+                asset.status = this.calculateRealTimeStatus(asset);
+                
+                // With an active filter the dashboard only counts matching assets
+                if (filtered && !this.assetMatchesFilters(asset, station)) return;
+                if (filtered) stats.totalAssets++;
+                stats[asset.status] = (stats[asset.status] || 0) + 1;
+                entries.push({ asset, station });
+            });
+        });
+        
+        const dashboardFilterNote = document.getElementById('dashboardFilterNote');
+        if (dashboardFilterNote) {
+            dashboardFilterNote.classList.toggle('hidden', !filtered);
+            dashboardFilterNote.textContent = filtered ? this.t('dashboard.filtered', { filters: this.describeFilters() }) : '';
+        }
+        
+        const totalCount = document.getElementById('totalCount');
+        const goodCount = document.getElementById('goodCount');
+        const dueSoonCount = document.getElementById('dueSoonCount');
+        const overdueCount = document.getElementById('overdueCount');
+        const maintenanceCount = document.getElementById('maintenanceCount');
+        
+        if (totalCount) totalCount.textContent = stats.totalAssets;
+        if (goodCount) goodCount.textContent = stats.good;
+        if (dueSoonCount) dueSoonCount.textContent = stats.inspection_due_soon;
+        if (overdueCount) overdueCount.textContent = stats.overdue;
+        if (maintenanceCount) maintenanceCount.textContent = stats.maintenance_required;
+        
+        this.renderDashboardCharts(entries);
+    }
+
+    // Dashboard charts: status breakdowns, a due-date histogram and the most overdue assets,
+    // drawn as inline SVG. Each bar segment carries the filters that show its stations on the map.
+    renderDashboardCharts(entries) {
+        const dashboardCharts = document.getElementById('dashboardCharts');
+        if (!dashboardCharts) return;
+
+        const byBuilding = this.buildings.map(building => ({
+            label: building.name,
+            filters: { buildings: [String(building.id)] },
+            entries: entries.filter(({ station }) => station.building === building.id)
+        }));
+        const groupBy = (getValue, filterGroup) => {
+            const values = Array.from(new Set(entries.map(({ asset }) => String(getValue(asset) || ''))))
+                .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+            return values.map(value => ({
+                label: value || this.t('dashboard.noValue'),
+                // Assets without a value cannot be selected by the map filter
+                filters: value ? { [filterGroup]: [value] } : null,
+                entries: entries.filter(({ asset }) => String(getValue(asset) || '') === value)
+            }));
+        };
+
+        dashboardCharts.innerHTML = `
+            <p class="rules-hint">${this.t('dashboard.chartHint')}</p>
+            <div class="dashboard-charts">
+                <section class="dashboard-chart">
+                    <h3>${this.t('dashboard.byBuilding')}</h3>
+                    ${this.renderStatusBars(byBuilding.filter(row => row.entries.length > 0))}
+                </section>
+                <section class="dashboard-chart">
+                    <h3>${this.t('dashboard.byAssetType')}</h3>
+                    ${this.renderStatusBars(groupBy(asset => asset.assetType, 'assetTypes'))}
+                </section>
+                <section class="dashboard-chart">
+                    <h3>${this.t('dashboard.byAgentType')}</h3>
+                    ${this.renderStatusBars(groupBy(asset => asset.type, 'types'))}
+                </section>
+                <section class="dashboard-chart">
+                    <h3>${this.t('dashboard.dueHistogram')}</h3>
+                    ${this.renderDueHistogram(entries)}
+                </section>
+            </div>
+            <section class="dashboard-chart">
+                <h3>${this.t('dashboard.topOverdue')}</h3>
+                ${this.renderTopOverdue(entries)}
+            </section>
+        `;
+    }
+
+    chartFilterAttributes(filters, title) {
+        if (!filters) {
+            return '';
+        }
+        return `class="chart-segment" role="button" tabindex="0" aria-label="${this.escapeHtml(title)}"
+                data-chart-filter="${this.escapeHtml(JSON.stringify(filters))}"`;
+    }
+
+    // One horizontal bar per row, split into status segments; bars share one scale
+    renderStatusBars(rows) {
+        if (rows.length === 0) {
+            return `<p class="filter-empty">${this.t('dashboard.noAssets')}</p>`;
+        }
+
+        const labelWidth = 150;
+        const barWidth = 380;
+        const rowHeight = 24;
+        const max = Math.max(...rows.map(row => row.entries.length));
+        const statuses = this.statusPriority.slice().reverse();
+
+        const bars = rows.map((row, index) => {
+            const y = index * rowHeight;
+            let x = labelWidth;
+            const segments = statuses.map(status => {
+                const count = row.entries.filter(({ asset }) => asset.status === status).length;
+                if (count === 0) return '';
+
+                const width = count / max * barWidth;
+                const title = `${row.label} · ${this.statusLabels[status]}: ${count}`;
+                const filters = row.filters && { ...row.filters, statuses: [status] };
+                const segment = `
+                    <rect x="${x}" y="${y + 3}" width="${width}" height="${rowHeight - 6}" fill="${this.statusColors[status]}"
+                          ${this.chartFilterAttributes(filters, title)}><title>${this.escapeHtml(title)}</title></rect>
+                `;
+                x += width;
+                return segment;
+            }).join('');
+
+            return `
+                <text x="${labelWidth - 8}" y="${y + rowHeight / 2}" text-anchor="end" dominant-baseline="middle"
+                      ${this.chartFilterAttributes(row.filters, row.label)}>${this.escapeHtml(row.label.length > 22 ? `${row.label.slice(0, 21)}…` : row.label)}</text>
+                ${segments}
+                <text x="${x + 6}" y="${y + rowHeight / 2}" dominant-baseline="middle" class="chart-count">${row.entries.length}</text>
+            `;
+        }).join('');
+
+        return `
+            <svg class="chart" viewBox="0 0 ${labelWidth + barWidth + 50} ${rows.length * rowHeight}">
+                ${bars}
+            </svg>
+        `;
+    }
+
+    // Assets by month of their next due date: overdue first, then this month and the 11 after it.
+    // A month's bar filters the map to its date range; this month's starts tomorrow, after the overdue bar.
+    renderDueHistogram(entries) {
+        const today = this.getTodayISO();
+        const todayDate = this.parseISODate(today);
+        const tomorrow = new Date(todayDate.getFullYear(), todayDate.getMonth(), todayDate.getDate() + 1);
+        const months = Array.from({ length: 12 }, (value, index) => {
+            const start = new Date(todayDate.getFullYear(), todayDate.getMonth() + index, 1);
+            const end = new Date(todayDate.getFullYear(), todayDate.getMonth() + index + 1, 0);
+            return {
+                label: start.toLocaleDateString(this.language, { month: 'short' }),
+                title: start.toLocaleDateString(this.language, { month: 'long', year: 'numeric' }),
+                from: this.formatISODate(index === 0 ? tomorrow : start),
+                to: this.formatISODate(end),
+                count: 0
+            };
+        });
+        const overdue = { label: this.t('dashboard.overdue'), title: this.statusLabels.overdue, count: 0 };
+
+        // Assets without a due date have no place on the time axis
+        entries.forEach(({ asset }) => {
+            if (!asset.nextDue) return;
+            if (asset.nextDue <= today) {
+                overdue.count++;
+                return;
+            }
+            const month = months.find(candidate => asset.nextDue >= candidate.from && asset.nextDue <= candidate.to);
+            if (month) month.count++;
+        });
+
+        const bins = [overdue, ...months];
+        const max = Math.max(1, ...bins.map(bin => bin.count));
+        const width = 600;
+        const chartHeight = 150;
+        const binWidth = width / bins.length;
+
+        const bars = bins.map((bin, index) => {
+            const height = bin.count / max * chartHeight;
+            const x = index * binWidth;
+            const filters = bin === overdue ? { dueWithinDays: 0 } : { dueFrom: bin.from, dueTo: bin.to };
+            const title = `${bin.title}: ${bin.count}`;
+
+            return `
+                <g ${bin.count > 0 ? this.chartFilterAttributes(filters, title) : ''}>
+                    <title>${this.escapeHtml(title)}</title>
+                    <rect x="${x + 4}" y="${chartHeight - height + 16}" width="${binWidth - 8}" height="${height}"
+                          style="fill: ${bin === overdue ? this.statusColors.overdue : 'var(--color-primary)'};"/>
+                    <text x="${x + binWidth / 2}" y="${chartHeight - height + 12}" text-anchor="middle" class="chart-count">${bin.count}</text>
+                    <text x="${x + binWidth / 2}" y="${chartHeight + 32}" text-anchor="middle">${this.escapeHtml(bin.label)}</text>
+                </g>
+            `;
+        }).join('');
+
+        return `
+            <svg class="chart" viewBox="0 0 ${width} ${chartHeight + 40}">
+                ${bars}
+            </svg>
+        `;
+    }
+
+    renderTopOverdue(entries) {
+        const today = this.getTodayISO();
+        const overdue = entries
+            .filter(({ asset }) => asset.status === 'overdue')
+            .map(entry => ({ ...entry, days: entry.asset.nextDue ? this.getDaysBetween(entry.asset.nextDue, today) : Infinity }))
+            .sort((a, b) => b.days - a.days || a.asset.assetId.localeCompare(b.asset.assetId, undefined, { numeric: true }))
+            .slice(0, this.DASHBOARD_TOP_OVERDUE);
+
+        if (overdue.length === 0) {
+            return `<p class="filter-empty">${this.t('dashboard.noOverdue')}</p>`;
+        }
+
+        return `
+            <table class="history-table">
+                <thead>
+                    <tr>
+                        <th>${this.t('column.assetId')}</th>
+                        <th>${this.t('column.stationId')}</th>
+                        <th>${this.t('common.building')}</th>
+                        <th>${this.t('column.nextDue')}</th>
+                        <th>${this.t('dashboard.daysOverdue')}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${overdue.map(({ asset, station, days }) => `
+                        <tr data-station-id="${this.escapeHtml(station.stationId)}" tabindex="0">
+                            <td>${this.escapeHtml(asset.assetId)}</td>
+                            <td>${this.escapeHtml(station.stationId)}</td>
+                            <td>${this.escapeHtml(station.buildingName)}</td>
+                            <td>${asset.nextDue ? this.formatDisplayDate(asset.nextDue) : this.t('status.noDueDate')}</td>
+                            <td>${days === Infinity ? '—' : days}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // Clicking a chart segment replaces the map filters with the segment's
+    filterFromDashboard(filters) {
+        this.setFilters(filters);
+        this.hideModal('dashboardModal');
+        this.fitToMarkers();
+    }
+
+    // Rendered only while the panel is open: the coverage figures analyze every plan's full grid
+    populateBuildings() {
+        const buildingsList = document.getElementById('buildingsList');
+        const buildingsModal = document.getElementById('buildingsModal');
+        
+        if (!buildingsList) return;
+        if (buildingsModal && !buildingsModal.classList.contains('visible')) return;
+        
+        if (this.buildings.length === 0) {
+            buildingsList.innerHTML = `<div class="building-item">${this.t('buildings.none')}</div>`;
+            return;
+        }
+        
+        const coverage = this.getBuildingCoverage();
+        
+        buildingsList.innerHTML = this.buildings.map(building => {
+            const buildingStations = this.stations.filter(s => s.building === building.id);
+            const totalAssets = buildingStations.reduce((sum, s) => sum + s.assets.length, 0);
+            
+            return `
+                <div class="building-item" data-building="${building.id}" style="border-left: 4px solid ${building.color}; padding: 10px; margin: 5px 0; cursor: pointer;">
+                    <h3>${building.name}</h3>
+                    <p>${this.t('buildings.stations', { count: building.stations })} / ${this.t('buildings.assets', { count: totalAssets })}</p>
+                    <small style="color: #666;">
+                        ${this.getBuildingStats(building.id)}
+                    </small>
+                    <small class="building-coverage">
+                        ${this.describeBuildingCoverage(coverage, building.id)}
+                    </small>
+                </div>
+            `;
+        }).join('');
+        
+        buildingsList.querySelectorAll('.building-item').forEach(item => {
+            item.addEventListener('click', () => {
+                const buildingId = parseInt(item.getAttribute('data-building'));
+                this.focusOnBuilding(buildingId);
+                this.hideModal('buildingsModal');
+            });
+        });
+    }
+
+    getBuildingStats(buildingId) {
+        const buildingStations = this.stations.filter(s => s.building === buildingId);
+        const statusCounts = {
+            good: 0,
+            inspection_due_soon: 0,
+            overdue: 0,
+            maintenance_required: 0
+        };
+        
+        buildingStations.forEach(station => {
+            station.assets.forEach(asset => {
+                statusCounts[asset.status] = (statusCounts[asset.status] || 0) + 1;
+            });
+        });
+        
+        return this.t('buildings.stats', {
+            good: statusCounts.good,
+            dueSoon: statusCounts.inspection_due_soon,
+            overdue: statusCounts.overdue,
+            maintenance: statusCounts.maintenance_required
+        });
+    }
+
+    focusOnBuilding(buildingId) {
+        const mapId = this.getBuildingMapId(buildingId);
+        if (!mapId) return;
+        
+        this.switchMap(mapId, { fit: false });
+        
+        const buildingStations = this.getStationsOnMap(mapId).filter(s => s.building === buildingId);
+        if (buildingStations.length === 0) return;
+        
+        const minX = Math.min(...buildingStations.map(s => s.x));
+        const maxX = Math.max(...buildingStations.map(s => s.x));
+        const minY = Math.min(...buildingStations.map(s => s.y));
+        const maxY = Math.max(...buildingStations.map(s => s.y));
+        
+        const centerX = (minX + maxX) / 2;
+        const centerY = (minY + maxY) / 2;
+        
+        const latLng = [this.MAP_HEIGHT - centerY, centerX];
+        this.map.setView(latLng, -1);
+    }
+
+    // Plan to show for a building: stay on the current one if it has the building's stations,
+    // otherwise the first registered plan (e.g. ground floor) that does
+    getBuildingMapId(buildingId) {
+        const mapIds = new Set(this.stations
+            .filter(s => s.building === buildingId)
+            .map(s => this.getStationMapId(s)));
+        
+        if (mapIds.has(this.currentMapId)) {
+            return this.currentMapId;
+        }
+        
+        const stationMap = this.mapRegistry.maps.find(map => mapIds.has(map.id));
+        if (stationMap) {
+            return stationMap.id;
+        }
+        
+        // No stations placed yet: fall back to the building's own plan if it has one
+        const buildingMap = this.mapRegistry.maps.find(map => parseInt(map.building) === buildingId);
+        return buildingMap ? buildingMap.id : null;
+    }
+
+    showStationDetails(stationId) {
+        const station = this.findStation(stationId);
+        if (station) {
+            this.selectedStation = station;
+            this.showStationInfo(station);
+        }
+    }
+
+    showStationInfo(station) {
+        const stationInfo = document.getElementById('extinguisherInfo');
+        
+        if (!stationInfo) return;
+        
+        if (!station) {
+            stationInfo.innerHTML = `<p>${this.t('info.noStation')}</p>`;
+            this.showModal('infoModal');
+            return;
+        }
+        
+        const extinguishers = station.assets.filter(a => a.assetType === 'extinguisher');
+        const hoses = station.assets.filter(a => a.assetType === 'hose');
+        
+        let content = `
+            <div class="station-details">
+                <div class="detail-group">
+                    <h3>${this.t('info.stationInformation')}</h3>
+                    <div class="detail-row">
+                        <span class="detail-label">${this.t('info.stationId')}</span>
+                        <span class="detail-value">${station.stationId}</span>
+                    </div>
+                    <div class="detail-row">
+                        <span class="detail-label">${this.t('info.building')}</span>
+                        <span class="detail-value">${station.buildingName}</span>
+                    </div>
+                    <div class="detail-row">
+                        <span class="detail-label">${this.t('info.location')}</span>
+                        <span class="detail-value">${station.x}, ${station.y}</span>
+                    </div>
+                    ${this.getStationMapLabel(station) ? `
+                    <div class="detail-row">
+                        <span class="detail-label">${this.t('info.floorPlan')}</span>
+                        <span class="detail-value">${this.escapeHtml(this.getStationMapLabel(station))}</span>
+                    </div>
+                    ` : ''}
+                    <div class="detail-row">
+                        <span class="detail-label">${this.t('info.totalAssets')}</span>
+                        <span class="detail-value">${station.assets.length}</span>
+                    </div>
+                </div>
+        `;
+        
+        if (extinguishers.length > 0) {
+            content += `
+                <div class="detail-group">
+                    <h3>${this.t('popup.extinguishers', { count: extinguishers.length })}</h3>
+            `;
+            
+            extinguishers.forEach(ext => {
+                const statusDetails = this.getStatusDetails(ext);
+                const statusColor = this.statusColors[ext.status];
+                
+                content += `
+                    <div style="border: 1px solid var(--color-border); border-radius: 8px; padding: 12px; margin-bottom: 8px;">
+                        <div class="detail-row">
+                            <span class="detail-label">${this.t('info.assetId')}</span>
+                            <span class="detail-value">${ext.assetId}</span>
+                        </div>
+                        <div class="detail-row">
+                            <span class="detail-label">${this.t('info.type')}</span>
+                            <span class="detail-value">${ext.type} (${ext.size})</span>
+                        </div>
+                        <div class="detail-row">
+                            <span class="detail-label">${this.t('info.manufacturer')}</span>
+                            <span class="detail-value">${ext.manufacturer}</span>
+                        </div>
+                        <div class="detail-row">
+                            <span class="detail-label">${this.t('info.isoCategory')}</span>
+                            <span class="detail-value">${ext.isoCategory}</span>
+                        </div>
+                        <div class="detail-row">
+                            <span class="detail-label">${this.t('info.status')}</span>
+                            <span class="detail-value" style="color: ${statusColor}; font-weight: bold;">
+                                ${statusDetails.icon} ${statusDetails.label}
+                            </span>
+                        </div>
+                        <div class="detail-row">
+                            <span class="detail-label">${this.t('info.nextDue')}</span>
+                            <span class="detail-value">${this.formatDisplayDate(ext.nextDue)}</span>
+                        </div>
+                        ${this.renderInspectAction(ext)}
+                    </div>
+                `;
+            });
+            
+            content += `</div>`;
+        }
+        
+        if (hoses.length > 0) {
+            content += `
+                <div class="detail-group">
+                    <h3>${this.t('popup.hoses', { count: hoses.length })}</h3>
+            `;
+            
+            hoses.forEach(hose => {
+                const statusDetails = this.getStatusDetails(hose);
+                const statusColor = this.statusColors[hose.status];
+                
+                content += `
+                    <div style="border: 1px solid var(--color-border); border-radius: 8px; padding: 12px; margin-bottom: 8px;">
+                        <div class="detail-row">
+                            <span class="detail-label">${this.t('info.assetId')}</span>
+                            <span class="detail-value">${hose.assetId}</span>
+                        </div>
+                        <div class="detail-row">
+                            <span class="detail-label">${this.t('info.length')}</span>
+                            <span class="detail-value">${hose.length}</span>
+                        </div>
+                        <div class="detail-row">
+                            <span class="detail-label">${this.t('info.manufacturer')}</span>
+                            <span class="detail-value">${hose.manufacturer}</span>
+                        </div>
+                        <div class="detail-row">
+                            <span class="detail-label">${this.t('info.status')}</span>
+                            <span class="detail-value" style="color: ${statusColor}; font-weight: bold;">
+                                ${statusDetails.icon} ${statusDetails.label}
+                            </span>
+                        </div>
+                        <div class="detail-row">
+                            <span class="detail-label">${this.t('info.nextDue')}</span>
+                            <span class="detail-value">${this.formatDisplayDate(hose.nextDue)}</span>
+                        </div>
+                        ${this.renderInspectAction(hose)}
+                    </div>
+                `;
+            });
+            
+            content += `</div>`;
+        }
+        
+        content += `</div>`;
+        
+        stationInfo.innerHTML = content;
+        this.showModal('infoModal');
+    }
+
+    renderInspectAction(asset) {
+        const lastResult = asset.lastInspectionResult
+            ? ` (${this.t(asset.lastInspectionResult === 'pass' ? 'info.passed' : 'info.failed')}${asset.lastInspector ? `, ${this.escapeHtml(asset.lastInspector)}` : ''})`
+            : '';
+
+        return `
+            <div class="detail-row">
+                <span class="detail-label">${this.t('info.lastInspection')}</span>
+                <span class="detail-value">${asset.lastInspection ? this.formatDisplayDate(asset.lastInspection) : this.t('info.never')}${lastResult}</span>
+            </div>
+            <button class="btn btn--secondary btn--sm inspect-btn" onclick="window.app.showInspectionForm('${asset.assetId}')">
+                ${this.t('info.inspect')}
+            </button>
+            <button class="btn btn--outline btn--sm inspect-btn" onclick="window.app.toggleMaintenance('${asset.assetId}')">
+                ${this.t(asset.maintenanceRequired ? 'info.clearMaintenance' : 'info.markMaintenance')}
+            </button>
+            <button class="btn btn--outline btn--sm inspect-btn" onclick="window.app.showEventForm('${asset.assetId}')">
+                ${this.t('info.logEvent')}
+            </button>
+            <div class="inspection-form" id="inspection-form-${asset.assetId}"></div>
+            <div class="inspection-form" id="event-form-${asset.assetId}"></div>
+            ${this.renderAssetHistory(asset)}
+        `;
+    }
+
+    renderAssetHistory(asset) {
+        if (!asset.history || asset.history.length === 0) {
+            return '';
+        }
+
+        const events = [...asset.history].sort((a, b) =>
+            b.date.localeCompare(a.date) || b.recordedAt.localeCompare(a.recordedAt));
+
+        return `
+            <details class="asset-history">
+                <summary>${this.t('history.count', { count: events.length })}</summary>
+                <ol class="history-timeline">
+                    ${events.map(event => `
+                        <li class="history-event history-event--${event.type}">
+                            <span class="history-event__date">${this.formatDisplayDate(event.date)}</span>
+                            <span class="history-event__type">${this.getEventTypeLabel(event.type)}</span>
+                            <span class="history-event__summary">${this.escapeHtml(this.describeHistoryEvent(event))}</span>
+                        </li>
+                    `).join('')}
+                </ol>
+            </details>
+        `;
+    }
+
+    getEventTypeLabel(type) {
+        const eventType = this.HISTORY_EVENT_TYPES[type];
+        return eventType ? `${eventType.icon} ${eventType.label}` : type;
+    }
+
+    describeHistoryEvent(event) {
+        const parts = [];
+
+        if (event.type === 'inspection') {
+            parts.push(this.t(event.result === 'pass' ? 'event.passed' : 'event.failed'));
+        } else if (event.type === 'relocation') {
+            parts.push(`${event.fromStationId || '?'} → ${event.toStationId}`);
+        } else if (event.type === 'replacement' && event.stickerId) {
+            parts.push(this.t('event.newSticker', { stickerId: event.stickerId }));
+        }
+
+        if (event.notes) parts.push(event.notes);
+        if (event.author) parts.push(this.t('event.by', { author: event.author }));
+
+        return parts.join(' · ');
+    }
+
+    showEventForm(assetId) {
+        const container = document.getElementById(`event-form-${assetId}`);
+        const match = this.findAsset(assetId);
+        if (!container || !match) return;
+
+        if (container.innerHTML.trim()) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const today = this.getTodayISO();
+        const author = localStorage.getItem('fireSafety.inspectorName') || '';
+        const eventTypes = ['refill', 'repair', 'replacement', 'relocation'];
+        const stationOptions = this.stations
+            .filter(station => station !== match.station)
+            .map(station => `<option value="${station.stationId}">${station.stationId} - ${station.buildingName}</option>`)
+            .join('');
+
+        container.innerHTML = `
+            <div class="form-group">
+                <label class="form-label" for="event-type-${assetId}">${this.t('form.event')}</label>
+                <select class="form-control" id="event-type-${assetId}"
+                        onchange="document.getElementById('event-target-group-${assetId}').classList.toggle('hidden', this.value !== 'relocation');
+                                  document.getElementById('event-sticker-group-${assetId}').classList.toggle('hidden', this.value !== 'replacement');">
+                    ${eventTypes.map(type => `<option value="${type}">${this.HISTORY_EVENT_TYPES[type].label}</option>`).join('')}
+                </select>
+            </div>
+            <div class="form-group">
+                <label class="form-label" for="event-date-${assetId}">${this.t('form.date')}</label>
+                <input type="date" class="form-control" id="event-date-${assetId}" value="${today}" max="${today}">
+            </div>
+            <div class="form-group">
+                <label class="form-label" for="event-author-${assetId}">${this.t('form.author')}</label>
+                <input type="text" class="form-control" id="event-author-${assetId}" value="${this.escapeHtml(author)}" placeholder="${this.t('common.name')}">
+            </div>
+            <div class="form-group hidden" id="event-target-group-${assetId}">
+                <label class="form-label" for="event-target-${assetId}">${this.t('form.moveTo')}</label>
+                <select class="form-control" id="event-target-${assetId}">${stationOptions}</select>
+            </div>
+            <div class="form-group hidden" id="event-sticker-group-${assetId}">
+                <label class="form-label" for="event-sticker-${assetId}">${this.t('form.newSticker')}</label>
+                <input type="text" class="form-control" id="event-sticker-${assetId}" placeholder="${this.t('common.optional')}">
+            </div>
+            <div class="form-group">
+                <label class="form-label" for="event-notes-${assetId}">${this.t('form.notes')}</label>
+                <input type="text" class="form-control" id="event-notes-${assetId}">
+            </div>
+            <button class="btn btn--primary btn--sm" onclick="window.app.submitEventForm('${assetId}')">${this.t('form.saveEvent')}</button>
+        `;
+    }
+
+    async submitEventForm(assetId) {
+        const type = document.getElementById(`event-type-${assetId}`).value;
+        const date = document.getElementById(`event-date-${assetId}`).value;
+        const author = document.getElementById(`event-author-${assetId}`).value.trim();
+        const notes = document.getElementById(`event-notes-${assetId}`).value.trim();
+
+        if (!date || !author) {
+            this.showError(this.t('form.eventRequired'));
+            return;
+        }
+
+        const fields = { assetId, type, date, author, notes };
+
+        if (type === 'relocation') {
+            fields.fromStationId = this.findAsset(assetId).station.stationId;
+            fields.toStationId = document.getElementById(`event-target-${assetId}`).value;
+        } else if (type === 'replacement') {
+            fields.stickerId = document.getElementById(`event-sticker-${assetId}`).value.trim();
+        }
+
+        try {
+            const { station } = await this.recordEvent(fields);
+            localStorage.setItem('fireSafety.inspectorName', author);
+            this.showStationInfo(type === 'relocation' ? this.findStation(fields.fromStationId) : station);
+        } catch (error) {
+            console.error('Failed to record event:', error);
+            this.showError(this.t('form.eventFailed', { error: error.message }));
+        }
+    }
+
+    // Site-wide audit trail, newest first, optionally limited to a date range and event type
+    getSiteHistory({ from, to, type } = {}) {
+        const entries = [];
+
+        this.stations.forEach(station => {
+            station.assets.forEach(asset => {
+                asset.history.forEach(event => {
+                    if (from && event.date < from) return;
+                    if (to && event.date > to) return;
+                    if (type && event.type !== type) return;
+                    entries.push({ event, asset, station });
+                });
+            });
+        });
+
+        return entries.sort((a, b) =>
+            b.event.date.localeCompare(a.event.date) || b.event.recordedAt.localeCompare(a.event.recordedAt));
+    }
+
+    getHistoryFilter() {
+        const from = document.getElementById('historyFrom');
+        const to = document.getElementById('historyTo');
+        const type = document.getElementById('historyType');
+
+        return {
+            from: from ? from.value : '',
+            to: to ? to.value : '',
+            type: type ? type.value : ''
+        };
+    }
+
+    renderSiteHistory() {
+        const historyList = document.getElementById('historyList');
+        if (!historyList) return;
+
+        const entries = this.getSiteHistory(this.getHistoryFilter());
+
+        if (entries.length === 0) {
+            historyList.innerHTML = `<p>${this.t('history.none')}</p>`;
+            return;
+        }
+
+        historyList.innerHTML = `
+            <p>${this.t('history.events', { count: entries.length })}</p>
+            <table class="history-table">
+                <thead>
+                    <tr>
+                        <th>${this.t('form.date')}</th>
+                        <th>${this.t('history.event')}</th>
+                        <th>${this.t('alerts.asset')}</th>
+                        <th>${this.t('common.station')}</th>
+                        <th>${this.t('history.details')}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${entries.map(({ event, asset, station }) => `
+                        <tr data-station-id="${station.stationId}" tabindex="0">
+                            <td>${this.formatDisplayDate(event.date)}</td>
+                            <td>${this.getEventTypeLabel(event.type)}</td>
+                            <td>${this.escapeHtml(asset.assetId)}</td>
+                            <td>${station.stationId}</td>
+                            <td>${this.escapeHtml(this.describeHistoryEvent(event))}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        historyList.querySelectorAll('tr[data-station-id]').forEach(row => {
+            row.addEventListener('click', () => {
+                this.hideModal('historyModal');
+                this.selectStation(row.getAttribute('data-station-id'));
+            });
+        });
+    }
+
+    exportSiteHistory() {
+        const headers = ['date', 'type', 'assetId', 'stationId', 'author', 'details', 'recordedAt'];
+        const rows = this.getSiteHistory(this.getHistoryFilter()).map(({ event, asset, station }) => [
+            event.date,
+            event.type,
+            asset.assetId,
+            station.stationId,
+            event.author || '',
+            this.describeHistoryEvent(event),
+            event.recordedAt
+        ].map(val => `"${String(val).replace(/"/g, '""')}"`).join(','));
+
+        const timestamp = new Date().toISOString().split('T')[0];
+        this.downloadFile([headers.join(','), ...rows].join('\n'), `fire_safety_history_${timestamp}.csv`, 'text/csv');
+    }
+
+    // Merge history events from a JSON export (e.g. from another tablet) into the current data
+    async importHistory(file) {
+        try {
+            const data = JSON.parse(await file.text());
+            const events = [];
+            (data.stations || []).forEach(station => {
+                (station.assets || []).forEach(asset => {
+                    (asset.history || []).forEach(event => events.push({ ...event, assetId: asset.assetId }));
+                });
+            });
+
+            // Invalid events are reported and skipped, the rest of the file still imports
+            const invalid = events.filter(event => !this.isValidHistoryEvent(event));
+            if (invalid.length > 0) {
+                console.warn(`Skipped ${invalid.length} invalid history events:`, invalid);
+            }
+
+            let imported = 0;
+            const valid = events.filter(event => this.isValidHistoryEvent(event));
+            for (const event of valid.sort((a, b) => a.recordedAt.localeCompare(b.recordedAt))) {
+                if (this.addHistoryEvent(event)) {
+                    await this.saveStoredRecord('events', event);
+                    await this.queueChange('event', event);
+                    imported++;
+                }
+            }
+
+            this.refreshAllStatuses();
+            this.updateMarkerColors();
+            this.renderSiteHistory();
+            alert([
+                this.t('history.imported', { imported, count: events.length, fileName: file.name }),
+                invalid.length > 0 ? this.t('history.invalidSkipped', { count: invalid.length }) : ''
+            ].filter(Boolean).join('\n'));
+        } catch (error) {
+            console.error('Failed to import history:', error);
+            this.showError(this.t('history.importFailed', { error: error.message }));
+        }
+    }
+
+    showInspectionForm(assetId) {
+        const container = document.getElementById(`inspection-form-${assetId}`);
+        if (!container) return;
+
+        if (container.innerHTML.trim()) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const today = this.getTodayISO();
+        const inspector = localStorage.getItem('fireSafety.inspectorName') || '';
+
+        container.innerHTML = `
+            <div class="form-group">
+                <label class="form-label" for="inspect-date-${assetId}">${this.t('form.inspectionDate')}</label>
+                <input type="date" class="form-control" id="inspect-date-${assetId}" value="${today}" max="${today}">
+            </div>
+            <div class="form-group">
+                <label class="form-label" for="inspect-inspector-${assetId}">${this.t('form.inspector')}</label>
+                <input type="text" class="form-control" id="inspect-inspector-${assetId}" value="${this.escapeHtml(inspector)}" placeholder="${this.t('common.name')}">
+            </div>
+            <div class="form-group">
+                <label class="form-label" for="inspect-result-${assetId}">${this.t('form.result')}</label>
+                <select class="form-control" id="inspect-result-${assetId}">
+                    <option value="pass">${this.t('form.pass')}</option>
+                    <option value="fail">${this.t('form.fail')}</option>
+                </select>
+            </div>
+            <button class="btn btn--primary btn--sm" onclick="window.app.submitInspectionForm('${assetId}')">${this.t('form.saveInspection')}</button>
+        `;
+    }
+
+    async submitInspectionForm(assetId) {
+        const date = document.getElementById(`inspect-date-${assetId}`).value;
+        const inspector = document.getElementById(`inspect-inspector-${assetId}`).value.trim();
+        const result = document.getElementById(`inspect-result-${assetId}`).value;
+
+        if (!date || !inspector) {
+            this.showError(this.t('form.inspectionRequired'));
+            return;
+        }
+
+        try {
+            const { station } = await this.recordInspection(assetId, { date, inspector, result });
+            localStorage.setItem('fireSafety.inspectorName', inspector);
+            this.showStationInfo(station);
+        } catch (error) {
+            console.error('Failed to record inspection:', error);
+            this.showError(this.t('scan.failed', { error: error.message }));
+        }
+    }
+
+    // Record an inspection, persist it locally and refresh the map
+    async recordInspection(assetId, { date, inspector, result }) {
+        const recorded = await this.recordEvent({
+            assetId,
+            type: 'inspection',
+            date,
+            author: inspector,
+            result,
+            notes: ''
+        });
+
+        console.log(`Inspection recorded for ${assetId}: ${result}`);
+        return recorded;
+    }
+
+    applyInspectionToAsset(asset, event) {
+        asset.lastInspection = event.date;
+        asset.lastInspector = event.author;
+        asset.lastInspectionResult = event.result;
+        asset.nextDue = this.addMonths(event.date, this.getInspectionRule(asset).intervalMonths);
+
+        // The inspection result is the explicit maintenance decision for the asset
+        asset.maintenanceRequired = event.result !== 'pass';
+    }
+
+    // Record a history event for an asset, persist it locally and refresh the map
+    async recordEvent(fields) {
+        const match = this.findAsset(fields.assetId);
+        if (!match) {
+            throw new Error(`Unknown asset ${fields.assetId}`);
+        }
+
+        const event = {
+            ...fields,
+            eventId: this.createEventId(),
+            recordedAt: new Date().toISOString()
+        };
+
+        const touchedStations = this.addHistoryEvent(event);
+        await this.saveStoredRecord('events', event);
+        await this.queueChange('event', event);
+
+        this.refreshAllStatuses();
+        touchedStations.forEach(station => this.refreshStationPopup(station));
+
+        return { ...this.findAsset(event.assetId), event };
+    }
+
+    // Scan mode: a USB/Bluetooth barcode scanner types the sticker (or asset ID) as fast
+    // keystrokes followed by Enter. Those bursts are captured anywhere in the app.
+    showScanToolbar(visible) {
+        const scanToolbar = document.getElementById('scanToolbar');
+        const scanBtn = document.getElementById('scanBtn');
+        const scanInput = document.getElementById('scanInput');
+
+        this.scanMode = visible;
+        this.scanBuffer = '';
+        if (scanToolbar) scanToolbar.classList.toggle('hidden', !visible);
+        if (scanBtn) scanBtn.classList.toggle('fab--active', visible);
+
+        if (visible) {
+            this.scanMatches = [];
+            this.renderScanResult(() => this.t('scan.prompt'));
+            if (scanInput) scanInput.focus();
+        }
+    }
+
+    handleScanKeydown(e) {
+        if (!this.scanMode || e.ctrlKey || e.metaKey || e.altKey) return;
+        if (e.target && e.target.id === 'scanInput') return;
+
+        const now = Date.now();
+        const fast = now - this.scanLastKeyAt <= this.SCAN_MAX_KEY_INTERVAL;
+        this.scanLastKeyAt = now;
+
+        if (e.key === 'Enter') {
+            const code = this.scanBuffer;
+            this.scanBuffer = '';
+            if (!fast || code.length < this.SCAN_MIN_LENGTH) return;
+
+            e.preventDefault();
+            // The scanner typed into whatever had focus; take its text back out
+            const target = e.target;
+            if (target && ['INPUT', 'TEXTAREA'].includes(target.tagName) && target.value.endsWith(code)) {
+                target.value = target.value.slice(0, -code.length);
+            }
+            this.handleScan(code);
+            return;
+        }
+
+        if (e.key.length !== 1) return;
+        this.scanBuffer = fast ? this.scanBuffer + e.key : e.key;
+    }
+
+    // Stickers first, then asset IDs; both case-insensitive
+    resolveScannedCode(code) {
+        const normalized = String(code || '').trim().toUpperCase();
+        const placeholderStickers = ['', '-', 'N/A', 'STK-NOT-ASSIGNED'];
+        if (placeholderStickers.includes(normalized)) return [];
+
+        const stickerMatches = [];
+        const assetMatches = [];
+        this.stations.forEach(station => {
+            station.assets.forEach(asset => {
+                if (String(asset.inspectionStickerID || '').trim().toUpperCase() === normalized) {
+                    stickerMatches.push({ station, asset, matchedBy: 'sticker' });
+                } else if (String(asset.assetId || '').trim().toUpperCase() === normalized) {
+                    assetMatches.push({ station, asset, matchedBy: 'asset' });
+                }
+            });
+        });
+
+        return stickerMatches.length > 0 ? stickerMatches : assetMatches;
+    }
+
+    handleScan(code) {
+        const trimmed = String(code || '').trim();
+        if (!trimmed) return;
+
+        const matches = this.resolveScannedCode(trimmed);
+        this.scanMatches = matches;
+        console.log(`Scanned ${trimmed}: ${matches.length} match(es)`);
+
+        if (matches.length === 0) {
+            this.renderScanResult(() => this.t('scan.unknownCode', { code: this.escapeHtml(trimmed) }), 'error');
+            return;
+        }
+
+        if (matches.length > 1) {
+            this.renderScanResult(() => `
+                ${this.t('scan.severalMatches', { code: this.escapeHtml(trimmed), assets: this.t('buildings.assets', { count: matches.length }) })}
+                ${matches.map((match, index) => `
+                    <button class="btn btn--secondary btn--sm" onclick="window.app.showScanMatch(${index})">
+                        ${this.escapeHtml(match.asset.assetId)} (${this.escapeHtml(match.station.stationId)})
+                    </button>
+                `).join('')}
+            `, 'warning');
+            return;
+        }
+
+        this.showScanMatch(0);
+    }
+
+    showScanMatch(index) {
+        const match = this.scanMatches[index];
+        if (!match) return;
+
+        this.selectStation(match.station.stationId);
+
+        const { asset, station } = match;
+        this.renderScanResult(() => `
+            ${this.t('scan.match', { assetId: `<strong>${this.escapeHtml(asset.assetId)}</strong>`, stationId: this.escapeHtml(station.stationId) })} ·
+            ${this.escapeHtml(asset.type)} ${this.escapeHtml(asset.size)} ·
+            ${this.getStatusDetails(asset).label}, ${this.t('scan.nextDue', { date: asset.nextDue ? this.formatDisplayDate(asset.nextDue) : this.t('scan.unknownDate') })}
+            <button id="scanInspectedOk" class="btn btn--primary btn--sm" onclick="window.app.confirmScanInspection(${index})">
+                ✔ ${this.t('scan.inspectedOk')}
+            </button>
+        `);
+    }
+
+    async confirmScanInspection(index) {
+        const match = this.scanMatches[index];
+        if (!match) return;
+
+        let inspector = localStorage.getItem('fireSafety.inspectorName') || '';
+        if (!inspector) {
+            inspector = (prompt(this.t('scan.inspectorPrompt')) || '').trim();
+            if (!inspector) return;
+            localStorage.setItem('fireSafety.inspectorName', inspector);
+        }
+
+        try {
+            const { asset } = await this.recordInspection(match.asset.assetId, {
+                date: this.getTodayISO(),
+                inspector,
+                result: 'pass'
+            });
+            this.scanMatches = [];
+            this.renderScanResult(() => `✔ ${this.t('scan.inspected', {
+                assetId: this.escapeHtml(asset.assetId),
+                inspector: this.escapeHtml(inspector),
+                date: this.formatDisplayDate(asset.nextDue)
+            })}`, 'success');
+        } catch (error) {
+            console.error('Failed to record inspection:', error);
+            this.renderScanResult(() => this.t('scan.failed', { error: this.escapeHtml(error.message) }), 'error');
+        }
+    }
+
+    // Kept as a render function so a language change can redraw the current result
+    renderScanResult(render, state = '') {
+        const scanResult = document.getElementById('scanResult');
+        if (!scanResult) return;
+
+        this.scanResultView = { render, state };
+        scanResult.className = `scan-result ${state ? `scan-result--${state}` : ''}`;
+        scanResult.innerHTML = render();
+    }
+
+    // Settings dialog: edit inspection rules per asset type and agent type
+    renderInspectionRulesEditor() {
+        const editor = document.getElementById('inspectionRulesEditor');
+        if (!editor) return;
+
+        const rules = this.inspectionRules;
+        const configuredAssetTypes = rules.assetTypes || {};
+
+        // Offer every asset type / agent type present in the rules or the data
+        const typesByAssetType = new Map();
+        Object.entries(configuredAssetTypes).forEach(([assetType, rule]) => {
+            typesByAssetType.set(assetType, new Set(Object.keys(rule.types || {})));
+        });
+        this.stations.forEach(station => {
+            station.assets.forEach(asset => {
+                if (!typesByAssetType.has(asset.assetType)) {
+                    typesByAssetType.set(asset.assetType, new Set());
+                }
+                const typeName = String(asset.type || '').trim();
+                const types = typesByAssetType.get(asset.assetType);
+                if (typeName && ![...types].some(t => t.toLowerCase() === typeName.toLowerCase())) {
+                    types.add(typeName);
+                }
+            });
+        });
+
+        const renderRow = (label, rule, inherited, assetType, type, className = '') => `
+            <tr class="${className}">
+                <td>${this.escapeHtml(label)}</td>
+                ${['intervalMonths', 'warningDays'].map(key => `
+                    <td>
+                        <input type="number" min="0" class="form-control" data-rule-key="${key}"
+                               data-rule-asset-type="${this.escapeHtml(assetType || '')}" data-rule-type="${this.escapeHtml(type || '')}"
+                               value="${rule[key] === undefined ? '' : rule[key]}" placeholder="${inherited[key]}">
+                    </td>
+                `).join('')}
+            </tr>
+        `;
+
+        const defaults = { ...this.DEFAULT_INSPECTION_RULES.default, ...rules.default };
+        let rows = renderRow(this.t('settings.allAssets'), defaults, defaults, '', '', 'rules-row--default');
+
+        Array.from(typesByAssetType.entries()).forEach(([assetType, types]) => {
+            const assetTypeRule = configuredAssetTypes[assetType] || {};
+            const inheritedForType = this.getInspectionRule({ assetType });
+            rows += renderRow(assetType, assetTypeRule, defaults, assetType, '', 'rules-row--asset-type');
+
+            Array.from(types).sort().forEach(type => {
+                const typeRule = (assetTypeRule.types || {})[type] || {};
+                rows += renderRow(`${assetType} › ${type}`, typeRule, inheritedForType, assetType, type, 'rules-row--type');
+            });
+        });
+
+        editor.innerHTML = `
+            <p class="rules-hint">${this.t('settings.rulesHint')}</p>
+            <table class="rules-table">
+                <thead>
+                    <tr>
+                        <th>${this.t('settings.appliesTo')}</th>
+                        <th>${this.t('settings.interval')}</th>
+                        <th>${this.t('settings.warning')}</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <div class="dashboard-actions">
+                <button class="btn btn--primary" onclick="window.app.saveInspectionRules()">${this.t('common.save')}</button>
+                <button class="btn btn--secondary" onclick="window.app.exportInspectionRules()">${this.t('common.exportJson')}</button>
+                <button class="btn btn--outline" onclick="window.app.resetInspectionRules()">${this.t('settings.resetRules')}</button>
+            </div>
+        `;
+    }
+
+    renderDateSettings() {
+        const editor = document.getElementById('dateSettingsEditor');
+        if (!editor) return;
+
+        const { sourceFormat, timeZone } = this.dateSettings;
+        const deviceTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+        const timeZones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+        if (timeZone && !timeZones.includes(timeZone)) timeZones.unshift(timeZone);
+        const detected = this.sourceDateFormat;
+
+        editor.innerHTML = `
+            <p class="rules-hint">${this.t('settings.datesHint')}</p>
+            <div class="station-editor__fields">
+                <div class="form-group">
+                    <label class="form-label" for="dateSourceFormat">${this.t('settings.sourceFormat')}</label>
+                    <select id="dateSourceFormat" class="form-control">
+                        <option value="">
+                            ${this.t('settings.detect')}${detected ? ` (${this.t('settings.readAs', { format: detected.format })}${detected.ambiguous ? `, ${this.t('settings.ambiguous')}` : ''})` : ''}
+                        </option>
+                        ${this.DATE_FORMATS.map(format => `
+                            <option value="${format}" ${format === sourceFormat ? 'selected' : ''}>${format}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label class="form-label" for="dateTimeZone">${this.t('settings.timeZone')}</label>
+                    <select id="dateTimeZone" class="form-control">
+                        <option value="">${this.t('settings.deviceTimeZone', { timeZone: this.escapeHtml(deviceTimeZone) })}</option>
+                        ${timeZones.map(zone => `
+                            <option value="${this.escapeHtml(zone)}" ${zone === timeZone ? 'selected' : ''}>${this.escapeHtml(zone)}</option>
+                        `).join('')}
+                    </select>
+                </div>
+            </div>
+            <p class="rules-hint">${this.t('settings.todayAtSite', { date: this.formatDisplayDate(this.getTodayISO()) })}</p>
+            <div class="dashboard-actions">
+                <button class="btn btn--primary" onclick="window.app.saveDateSettings()">${this.t('common.save')}</button>
+            </div>
+        `;
+    }
+
+    saveDateSettings() {
+        const sourceFormat = document.getElementById('dateSourceFormat').value;
+        const timeZone = document.getElementById('dateTimeZone').value;
+        const formatChanged = sourceFormat !== this.dateSettings.sourceFormat;
+
+        this.dateSettings = { ...this.dateSettings, sourceFormat, timeZone };
+        localStorage.setItem('fireSafety.dateSettings', JSON.stringify(this.dateSettings));
+
+        this.statusDate = this.getTodayISO();
+        this.refreshAllStatuses();
+        this.renderDateSettings();
+        console.log('Date settings saved on this device');
+
+        // The dataset was converted with the old format when it loaded
+        if (formatChanged && confirm(this.t('settings.reloadForFormat'))) {
+            window.location.reload();
+        }
+    }
+
+    collectInspectionRules() {
+        const rules = { default: {}, assetTypes: {} };
+
+        document.querySelectorAll('#inspectionRulesEditor [data-rule-key]').forEach(input => {
+            if (input.value === '') return;
+
+            const value = parseInt(input.value);
+            if (isNaN(value) || value < 0) return;
+
+            this.setInspectionRuleValue(
+                rules,
+                input.getAttribute('data-rule-asset-type'),
+                input.getAttribute('data-rule-type'),
+                input.getAttribute('data-rule-key'),
+                value
+            );
+        });
+
+        return rules;
+    }
+
+    saveInspectionRules() {
+        const overrides = this.diffInspectionRules(this.fileInspectionRules, this.collectInspectionRules());
+        localStorage.setItem('fireSafety.inspectionRuleOverrides', JSON.stringify(overrides));
+        this.inspectionRules = this.mergeInspectionRules(this.fileInspectionRules, overrides);
+
+        this.refreshAllStatuses();
+        this.renderInspectionRulesEditor();
+        console.log('Inspection rules saved on this device');
+    }
+
+    exportInspectionRules() {
+        const json = JSON.stringify(this.collectInspectionRules(), null, 2);
+        this.downloadFile(json, 'inspection-rules.json', 'application/json');
+    }
+
+    async resetInspectionRules() {
+        localStorage.removeItem('fireSafety.inspectionRuleOverrides');
+        await this.loadInspectionRules();
+
+        this.refreshAllStatuses();
+        this.renderInspectionRulesEditor();
+    }
+
+    async toggleMaintenance(assetId) {
+        const match = this.findAsset(assetId);
+        if (!match) return;
+
+        try {
+            await this.setMaintenance(assetId, !match.asset.maintenanceRequired);
+            this.showStationInfo(match.station);
+        } catch (error) {
+            console.error('Failed to update maintenance state:', error);
+            this.showError(this.t('info.maintenanceFailed', { error: error.message }));
+        }
+    }
+
+    // Explicitly set or clear the maintenance state of an asset
+    async setMaintenance(assetId, maintenanceRequired) {
+        const recorded = await this.recordEvent({
+            assetId,
+            type: 'status_override',
+            date: this.getTodayISO(),
+            author: localStorage.getItem('fireSafety.inspectorName') || '',
+            maintenanceRequired,
+            notes: maintenanceRequired ? 'Marked for maintenance' : 'Maintenance cleared'
+        });
+
+        console.log(`Maintenance ${maintenanceRequired ? 'set' : 'cleared'} for ${assetId}`);
+        return recorded;
+    }
+
+    refreshStationPopup(station) {
+        this.markersLayer.eachLayer(layer => {
+            if (layer.station === station) {
+                layer.setPopupContent(this.createPopupContent(station));
+            }
+        });
+    }
+
+    // Calendar months; the day is clamped to the target month (Jan 31 + 1 month = Feb 28/29)
+    addMonths(isoDate, months) {
+        const [year, month, day] = isoDate.split('-').map(Number);
+        const lastDay = new Date(year, month - 1 + months + 1, 0).getDate();
+        return this.formatISODate(new Date(year, month - 1 + months, Math.min(day, lastDay)));
+    }
+
+    // Format using local calendar fields (toISOString would shift to UTC)
+    formatISODate(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    // Map filters and legend
+    hasActiveFilters() {
+        const { dueWithinDays, dueFrom, dueTo, ...groups } = this.filters;
+        return dueWithinDays !== null || dueFrom !== null || dueTo !== null
+            || Object.values(groups).some(values => values.length > 0);
+    }
+
+    assetMatchesFilters(asset, station) {
+        const { statuses, assetTypes, types, isoCategories, buildings, manufacturers, dueWithinDays, dueFrom, dueTo } = this.filters;
+        const allows = (values, value) => values.length === 0 || values.includes(String(value));
+
+        if (!allows(buildings, station.building)) return false;
+        if (!allows(statuses, asset.status)) return false;
+        if (!allows(assetTypes, asset.assetType)) return false;
+        if (!allows(types, asset.type)) return false;
+        if (!allows(isoCategories, asset.isoCategory)) return false;
+        if (!allows(manufacturers, asset.manufacturer)) return false;
+
+        // Overdue assets count as due within any window
+        if (dueWithinDays !== null) {
+            if (!asset.nextDue || this.getDaysUntilDue(asset) > dueWithinDays) return false;
+        }
+        if (dueFrom !== null || dueTo !== null) {
+            if (!asset.nextDue) return false;
+            if (dueFrom !== null && asset.nextDue < dueFrom) return false;
+            if (dueTo !== null && asset.nextDue > dueTo) return false;
+        }
+
+        return true;
+    }
+
+    stationMatchesFilters(station) {
+        if (!this.hasActiveFilters()) return true;
+        return station.assets.some(asset => this.assetMatchesFilters(asset, station));
+    }
+
+    setFilters(filters, mode = this.filterMode) {
+        this.filters = { ...this.EMPTY_FILTERS, ...filters };
+        this.filterMode = mode;
+
+        this.rebuildMarkers();
+        this.updateStats();
+        this.updateFilterBadge();
+        this.updateUrlState();
+        console.log(`Filters: ${this.describeFilters() || 'none'}`);
+    }
+
+    describeFilters() {
+        const { dueWithinDays, dueFrom, dueTo, ...groups } = this.filters;
+        const labels = {
+            statuses: this.t('filter.status'),
+            assetTypes: this.t('filter.assetType'),
+            types: this.t('filter.agentType'),
+            isoCategories: this.t('filter.isoCategory'),
+            buildings: this.t('common.building'),
+            manufacturers: this.t('filter.manufacturer')
+        };
+
+        const parts = Object.entries(groups)
+            .filter(([, values]) => values.length > 0)
+            .map(([key, values]) => {
+                const shown = key === 'statuses' ? values.map(value => this.statusLabels[value] || value) : values;
+                return `${labels[key]}: ${shown.join(', ')}`;
+            });
+
+        if (dueWithinDays !== null) {
+            parts.push(this.t('filter.dueWithinDays', { count: dueWithinDays }));
+        }
+        if (dueFrom !== null && dueTo !== null) {
+            parts.push(this.t('filter.dueBetween', { from: this.formatDisplayDate(dueFrom), to: this.formatDisplayDate(dueTo) }));
+        } else if (dueFrom !== null) {
+            parts.push(this.t('filter.dueOnOrAfter', { date: this.formatDisplayDate(dueFrom) }));
+        } else if (dueTo !== null) {
+            parts.push(this.t('filter.dueOnOrBefore', { date: this.formatDisplayDate(dueTo) }));
+        }
+
+        return parts.join('; ');
+    }
+
+    updateFilterBadge() {
+        const filterBadge = document.getElementById('filterBadge');
+        if (!filterBadge) return;
+
+        const { dueWithinDays, dueFrom, dueTo, ...groups } = this.filters;
+        const count = Object.values(groups).filter(values => values.length > 0).length
+            + (dueWithinDays !== null ? 1 : 0) + (dueFrom !== null || dueTo !== null ? 1 : 0);
+
+        filterBadge.textContent = count;
+        filterBadge.classList.toggle('hidden', count === 0);
+    }
+
+    // Distinct values present in the data, for the filter checkboxes
+    getFilterOptions() {
+        const collect = getter => {
+            const values = new Set();
+            this.stations.forEach(station => station.assets.forEach(asset => {
+                const value = getter(asset);
+                if (value !== undefined && value !== null && value !== '') values.add(String(value));
+            }));
+            return Array.from(values).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+        };
+
+        return {
+            statuses: this.statusPriority.map(status => ({ value: status, label: this.statusLabels[status] })),
+            assetTypes: collect(asset => asset.assetType).map(value => ({ value, label: value })),
+            types: collect(asset => asset.type).map(value => ({ value, label: value })),
+            isoCategories: collect(asset => asset.isoCategory).map(value => ({ value, label: value })),
+            buildings: this.buildings.map(building => ({ value: String(building.id), label: building.name })),
+            manufacturers: collect(asset => asset.manufacturer).map(value => ({ value, label: value }))
+        };
+    }
+
+    renderFilterPanel() {
+        const filterPanel = document.getElementById('filterPanel');
+        if (!filterPanel) return;
+
+        const options = this.getFilterOptions();
+        const groupTitles = {
+            statuses: this.t('filter.status'),
+            assetTypes: this.t('filter.assetType'),
+            types: this.t('filter.agentType'),
+            isoCategories: this.t('filter.isoCategory'),
+            buildings: this.t('common.building'),
+            manufacturers: this.t('filter.manufacturer')
+        };
+
+        const groups = Object.entries(groupTitles).map(([key, title]) => `
+            <fieldset class="filter-group">
+                <legend>${title}</legend>
+                ${options[key].length > 0 ? options[key].map(option => `
+                    <label class="filter-option">
+                        <input type="checkbox" data-filter="${key}" value="${this.escapeHtml(option.value)}"
+                               ${this.filters[key].includes(option.value) ? 'checked' : ''}>
+                        ${key === 'statuses' ? `<span class="legend-swatch" style="background: ${this.statusColors[option.value]};"></span>` : ''}
+                        ${this.escapeHtml(option.label)}
+                    </label>
+                `).join('') : `<p class="filter-empty">${this.t('filter.noValues')}</p>`}
+            </fieldset>
+        `).join('');
+
+        filterPanel.innerHTML = `
+            <div class="filter-row">
+                <label class="form-label" for="filterDueWithin">${this.t('filter.dueWithin')}</label>
+                <input type="number" min="0" class="form-control" id="filterDueWithin" data-filter="dueWithinDays"
+                       value="${this.filters.dueWithinDays === null ? '' : this.filters.dueWithinDays}">
+            </div>
+            <div class="filter-row">
+                <label class="form-label" for="filterDueFrom">${this.t('filter.dueFrom')}</label>
+                <input type="date" class="form-control" id="filterDueFrom" value="${this.filters.dueFrom || ''}">
+                <label class="form-label" for="filterDueTo">${this.t('filter.dueTo')}</label>
+                <input type="date" class="form-control" id="filterDueTo" value="${this.filters.dueTo || ''}">
+            </div>
+            <div class="filter-row">
+                <span class="form-label">${this.t('filter.nonMatching')}</span>
+                <label class="filter-option"><input type="radio" name="filterMode" value="hide" ${this.filterMode === 'hide' ? 'checked' : ''}> ${this.t('filter.hide')}</label>
+                <label class="filter-option"><input type="radio" name="filterMode" value="dim" ${this.filterMode === 'dim' ? 'checked' : ''}> ${this.t('filter.dim')}</label>
+            </div>
+            <div class="filter-groups">${groups}</div>
+        `;
+    }
+
+    collectFilters() {
+        const filterPanel = document.getElementById('filterPanel');
+        const filters = { ...this.EMPTY_FILTERS };
+
+        Object.keys(this.EMPTY_FILTERS)
+            .filter(key => Array.isArray(this.EMPTY_FILTERS[key]))
+            .forEach(key => {
+                filters[key] = Array.from(filterPanel.querySelectorAll(`input[data-filter="${key}"]:checked`))
+                    .map(input => input.value);
+            });
+
+        const dueWithin = parseInt(document.getElementById('filterDueWithin').value);
+        filters.dueWithinDays = isNaN(dueWithin) ? null : dueWithin;
+        filters.dueFrom = document.getElementById('filterDueFrom').value || null;
+        filters.dueTo = document.getElementById('filterDueTo').value || null;
+
+        const mode = filterPanel.querySelector('input[name="filterMode"]:checked');
+
+        return { filters, mode: mode ? mode.value : 'hide' };
+    }
+
+    addLegend() {
+        const legend = L.control({ position: 'bottomright' });
+
+        legend.onAdd = () => {
+            this.legendContainer = L.DomUtil.create('div', 'map-legend');
+            this.renderLegend();
+            L.DomEvent.disableClickPropagation(this.legendContainer);
+            return this.legendContainer;
+        };
+
+        legend.addTo(this.map);
+    }
+
+    renderLegend() {
+        if (!this.legendContainer) return;
+
+        this.legendContainer.setAttribute('aria-label', this.t('legend.label'));
+        this.legendContainer.innerHTML = `
+            <div class="map-legend__title">${this.t('legend.title')}</div>
+            ${this.statusPriority.slice().reverse().map(status => `
+                <div class="map-legend__item">
+                    <span class="legend-swatch" style="background: ${this.statusColors[status]};"></span>
+                    ${this.statusLabels[status]}
+                </div>
+            `).join('')}
+            <div class="map-legend__note">${this.t('legend.note')}</div>
+        `;
+    }
+
+    // Map scale calibration and measuring.
+    //
+    // Conversion API (coordinates are image pixels {x, y} as in stations.csv;
+    // mapId defaults to the plan currently shown). Functions return null when
+    // the map has not been calibrated:
+    //   getMetersPerPixel(mapId)            meters per image pixel
+    //   pixelsToMeters(pixels, mapId)       pixel length -> meters
+    //   metersToPixels(meters, mapId)       meters -> pixel length
+    //   distanceInMeters(a, b, mapId)       straight-line distance between two points
+    //   pathLengthInMeters(points, mapId)   length of a polyline through points
+    //   pointToLatLng(point) / latLngToPoint(latLng) convert to and from Leaflet positions
+    loadMapScales() {
+        this.mapScales = {};
+        this.mapRegistry.maps.forEach(map => {
+            if (map.metersPerPixel > 0) {
+                this.mapScales[map.id] = { metersPerPixel: map.metersPerPixel, source: 'maps.json' };
+            }
+        });
+
+        const calibrated = localStorage.getItem('fireSafety.mapScales');
+        if (calibrated) {
+            try {
+                Object.assign(this.mapScales, JSON.parse(calibrated));
+            } catch (error) {
+                console.warn('Ignoring invalid map calibration:', error.message);
+            }
+        }
+    }
+
+    saveMapScale(mapId, scale) {
+        this.mapScales[mapId] = scale;
+
+        const calibrated = Object.fromEntries(Object.entries(this.mapScales)
+            .filter(([, value]) => value.source === 'calibration'));
+        localStorage.setItem('fireSafety.mapScales', JSON.stringify(calibrated));
+    }
+
+    getMetersPerPixel(mapId = this.currentMapId) {
+        const scale = this.mapScales[mapId];
+        return scale && scale.metersPerPixel > 0 ? scale.metersPerPixel : null;
+    }
+
+    pixelsToMeters(pixels, mapId = this.currentMapId) {
+        const metersPerPixel = this.getMetersPerPixel(mapId);
+        return metersPerPixel === null ? null : pixels * metersPerPixel;
+    }
+
+    metersToPixels(meters, mapId = this.currentMapId) {
+        const metersPerPixel = this.getMetersPerPixel(mapId);
+        return metersPerPixel === null ? null : meters / metersPerPixel;
+    }
+
+    distanceInMeters(a, b, mapId = this.currentMapId) {
+        return this.pixelsToMeters(Math.hypot(b.x - a.x, b.y - a.y), mapId);
+    }
+
+    pathLengthInMeters(points, mapId = this.currentMapId) {
+        const pixels = points.slice(1).reduce((sum, point, index) =>
+            sum + Math.hypot(point.x - points[index].x, point.y - points[index].y), 0);
+        return this.pixelsToMeters(pixels, mapId);
+    }
+
+    pointToLatLng(point) {
+        return [this.MAP_HEIGHT - point.y, point.x];
+    }
+
+    latLngToPoint(latLng) {
+        return { x: latLng.lng, y: this.MAP_HEIGHT - latLng.lat };
+    }
+
+    formatDistance(points) {
+        const meters = this.pathLengthInMeters(points);
+        if (meters !== null) {
+            return meters >= 100 ? `${Math.round(meters)} m` : `${meters.toFixed(1)} m`;
+        }
+
+        const pixels = points.slice(1).reduce((sum, point, index) =>
+            sum + Math.hypot(point.x - points[index].x, point.y - points[index].y), 0);
+        return `${Math.round(pixels)} px (not calibrated)`;
+    }
+
+    showMeasureToolbar(visible) {
+        const measureToolbar = document.getElementById('measureToolbar');
+        const measureBtn = document.getElementById('measureBtn');
+
+        if (measureToolbar) measureToolbar.classList.toggle('hidden', !visible);
+        if (measureBtn) measureBtn.classList.toggle('fab--active', visible);
+
+        if (visible) {
+            this.updateMeasureStatus();
+        } else {
+            this.setMapTool(null);
+            this.clearMeasurements();
+        }
+    }
+
+    setMapTool(tool) {
+        this.mapTool = tool;
+        this.toolPoints = [];
+        this.toolLayer.clearLayers();
+
+        const mapElement = document.getElementById('map');
+        if (mapElement) mapElement.classList.toggle('map--measuring', tool !== null);
+
+        // Double-click finishes a measurement instead of zooming
+        if (tool === 'measure') {
+            this.map.doubleClickZoom.disable();
+        } else {
+            this.map.doubleClickZoom.enable();
+        }
+
+        this.updateMeasureStatus();
+    }
+
+    updateMeasureStatus(message) {
+        const measureStatus = document.getElementById('measureStatus');
+        if (!measureStatus) return;
+
+        if (message) {
+            measureStatus.textContent = message;
+            return;
+        }
+
+        const config = this.getMapConfig(this.currentMapId);
+        const metersPerPixel = this.getMetersPerPixel();
+        const scaleText = metersPerPixel
+            ? `Scale: 1 m = ${(1 / metersPerPixel).toFixed(1)} px`
+            : 'Scale not calibrated';
+
+        if (this.mapTool === 'calibrate') {
+            measureStatus.textContent = this.toolPoints.length === 0
+                ? 'Calibrate: click the first of two points with a known distance'
+                : 'Calibrate: click the second point';
+        } else if (this.mapTool === 'measure') {
+            measureStatus.textContent = this.toolPoints.length < 2
+                ? `Measure: click points along the path, double-click to finish (${scaleText})`
+                : `Length: ${this.formatDistance(this.toolPoints)} — double-click to finish`;
+        } else {
+            measureStatus.textContent = `${config ? config.name : ''}: ${scaleText}`;
+        }
+    }
+
+    handleToolClick(latLng) {
+        const point = this.latLngToPoint(latLng);
+        this.toolPoints.push(point);
+
+        if (this.mapTool === 'calibrate') {
+            L.circleMarker(latLng, { radius: 5, color: '#FF9800' }).addTo(this.toolLayer);
+            if (this.toolPoints.length === 2) {
+                L.polyline(this.toolPoints.map(p => this.pointToLatLng(p)), { color: '#FF9800', dashArray: '6 4' })
+                    .addTo(this.toolLayer);
+                this.completeCalibration();
+            } else {
+                this.updateMeasureStatus();
+            }
+            return;
+        }
+
+        if (this.mapTool === 'measure') {
+            this.toolLayer.clearLayers();
+            const latLngs = this.toolPoints.map(p => this.pointToLatLng(p));
+            L.polyline(latLngs, { color: '#007cba', weight: 3 }).addTo(this.toolLayer);
+            latLngs.forEach(position => L.circleMarker(position, { radius: 4, color: '#007cba' }).addTo(this.toolLayer));
+            this.updateMeasureStatus();
+        }
+    }
+
+    completeCalibration() {
+        const [a, b] = this.toolPoints;
+        const pixels = Math.hypot(b.x - a.x, b.y - a.y);
+        const answer = prompt(this.t('measure.distancePrompt'));
+        const meters = parseFloat(String(answer || '').replace(',', '.'));
+
+        if (pixels < 1 || !(meters > 0)) {
+            this.setMapTool(null);
+            if (answer !== null) this.showError(this.t('measure.calibrationInvalid'));
+            return;
+        }
+
+        this.saveMapScale(this.currentMapId, {
+            metersPerPixel: meters / pixels,
+            source: 'calibration',
+            calibratedAt: new Date().toISOString(),
+            points: [a, b].map(p => ({ x: Math.round(p.x), y: Math.round(p.y) })),
+            meters
+        });
+
+        console.log(`Calibrated ${this.currentMapId}: ${(meters / pixels).toFixed(5)} m/px`);
+        this.setMapTool(null);
+    }
+
+    finishMeasurement() {
+        // The double-click also registered two clicks on the last point
+        const points = this.toolPoints.filter((point, index) =>
+            index === 0 || point.x !== this.toolPoints[index - 1].x || point.y !== this.toolPoints[index - 1].y);
+
+        if (points.length >= 2) {
+            L.polyline(points.map(p => this.pointToLatLng(p)), { color: '#007cba', weight: 3 })
+                .bindTooltip(this.formatDistance(points), { permanent: true, className: 'measure-label' })
+                .addTo(this.measureLayer);
+        }
+
+        this.setMapTool('measure');
+    }
+
+    clearMeasurements() {
+        if (this.measureLayer) this.measureLayer.clearLayers();
+        if (this.toolLayer) this.toolLayer.clearLayers();
+        this.toolPoints = [];
+    }
+
+    // Extinguisher coverage analysis. Travel distance is approximated by straight-line
+    // distance on the calibrated plan; areas are building outlines from maps.json or,
+    // without one, the bounding box of the building's stations.
+    loadCoverageSettings() {
+        const saved = localStorage.getItem('fireSafety.coverage');
+        if (!saved) return;
+
+        try {
+            this.coverageSettings = { ...this.DEFAULT_COVERAGE_SETTINGS, ...JSON.parse(saved) };
+        } catch (error) {
+            console.warn('Ignoring invalid coverage settings:', error.message);
+        }
+    }
+
+    setCoverageSettings(settings) {
+        this.coverageSettings = { ...this.coverageSettings, ...settings };
+        localStorage.setItem('fireSafety.coverage', JSON.stringify(this.coverageSettings));
+
+        if (this.coverageMode) {
+            this.renderCoverage();
+        }
+        this.populateBuildings();
+    }
+
+    // Stations with at least one extinguisher suitable for the chosen agent type
+    getCoverageStations(mapId, agentType = this.coverageSettings.agentType) {
+        return this.getStationsOnMap(mapId).filter(station => station.assets.some(asset =>
+            asset.assetType === 'extinguisher' &&
+            (!agentType || String(asset.type || '').toLowerCase() === agentType.toLowerCase())));
+    }
+
+    getCoverageAreas(mapId) {
+        const config = this.getMapConfig(mapId) || {};
+        const outlines = config.buildingOutlines || {};
+        const stationsByBuilding = new Map();
+
+        this.getStationsOnMap(mapId).forEach(station => {
+            if (!stationsByBuilding.has(station.building)) stationsByBuilding.set(station.building, []);
+            stationsByBuilding.get(station.building).push(station);
+        });
+        Object.keys(outlines).forEach(building => {
+            if (!stationsByBuilding.has(parseInt(building))) stationsByBuilding.set(parseInt(building), []);
+        });
+
+        return Array.from(stationsByBuilding.entries()).map(([building, stations]) => {
+            const outline = outlines[building];
+            const points = outline ? outline.map(([x, y]) => ({ x, y })) : stations;
+
+            return {
+                building,
+                polygon: outline ? points : null,
+                bounds: {
+                    minX: Math.min(...points.map(p => p.x)),
+                    maxX: Math.max(...points.map(p => p.x)),
+                    minY: Math.min(...points.map(p => p.y)),
+                    maxY: Math.max(...points.map(p => p.y))
+                }
+            };
+        }).filter(area => area.bounds.maxX > area.bounds.minX && area.bounds.maxY > area.bounds.minY);
+    }
+
+    isPointInPolygon(point, polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            if ((a.y > point.y) !== (b.y > point.y) &&
+                point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    // Rasterize a plan into grid cells and mark the ones inside a building area that no
+    // suitable station reaches. Returns null when the plan has no scale.
+    analyzeCoverage(mapId = this.currentMapId, settings = this.coverageSettings) {
+        const config = this.getMapConfig(mapId);
+        const radius = this.metersToPixels(settings.radiusMeters, mapId);
+        if (!config || radius === null) return null;
+
+        const cellSize = Math.max(
+            Math.max(config.width, config.height) / this.COVERAGE_GRID_CELLS,
+            this.metersToPixels(0.5, mapId)
+        );
+        const cols = Math.ceil(config.width / cellSize);
+        const rows = Math.ceil(config.height / cellSize);
+        const centers = this.getCoverageStations(mapId, settings.agentType);
+        const areas = this.getCoverageAreas(mapId);
+        const radiusSquared = radius * radius;
+
+        const uncovered = new Uint8Array(cols * rows);
+        const buildings = {};
+
+        areas.forEach(area => {
+            const summary = buildings[area.building] || { cells: 0, uncoveredCells: 0 };
+            buildings[area.building] = summary;
+
+            // Only stations that can reach this area matter
+            const nearby = centers.filter(station =>
+                station.x >= area.bounds.minX - radius && station.x <= area.bounds.maxX + radius &&
+                station.y >= area.bounds.minY - radius && station.y <= area.bounds.maxY + radius);
+
+            const firstCol = Math.max(0, Math.floor(area.bounds.minX / cellSize));
+            const lastCol = Math.min(cols - 1, Math.floor(area.bounds.maxX / cellSize));
+            const firstRow = Math.max(0, Math.floor(area.bounds.minY / cellSize));
+            const lastRow = Math.min(rows - 1, Math.floor(area.bounds.maxY / cellSize));
+
+            for (let row = firstRow; row <= lastRow; row++) {
+                for (let col = firstCol; col <= lastCol; col++) {
+                    const point = { x: (col + 0.5) * cellSize, y: (row + 0.5) * cellSize };
+                    if (area.polygon && !this.isPointInPolygon(point, area.polygon)) continue;
+
+                    summary.cells++;
+                    const covered = nearby.some(station =>
+                        (station.x - point.x) ** 2 + (station.y - point.y) ** 2 <= radiusSquared);
+                    if (!covered) {
+                        summary.uncoveredCells++;
+                        uncovered[row * cols + col] = 1;
+                    }
+                }
+            }
+        });
+
+        return { mapId, cellSize, cols, rows, radius, centers, areas, uncovered, buildings };
+    }
+
+    // Uncovered share per building, summed over all plans the building appears on
+    getBuildingCoverage(settings = this.coverageSettings) {
+        const totals = {};
+
+        this.mapRegistry.maps.forEach(map => {
+            const analysis = this.analyzeCoverage(map.id, settings);
+            if (!analysis) return;
+
+            Object.entries(analysis.buildings).forEach(([building, summary]) => {
+                const total = totals[building] || { cells: 0, uncoveredCells: 0 };
+                total.cells += summary.cells;
+                total.uncoveredCells += summary.uncoveredCells;
+                totals[building] = total;
+            });
+        });
+
+        Object.values(totals).forEach(total => {
+            total.uncoveredPercent = total.cells > 0 ? (total.uncoveredCells / total.cells) * 100 : null;
+        });
+
+        return totals;
+    }
+
+    describeBuildingCoverage(coverage, buildingId) {
+        const summary = coverage[buildingId];
+        const agent = this.coverageSettings.agentType ? `${this.coverageSettings.agentType} ` : '';
+
+        if (!summary || summary.uncoveredPercent === null) {
+            return this.t(this.mapRegistry.maps.some(map => this.getMetersPerPixel(map.id))
+                ? 'coverage.noArea'
+                : 'coverage.notCalibrated');
+        }
+
+        return this.t('coverage.summary', {
+            percent: summary.uncoveredPercent.toFixed(1),
+            agent,
+            radius: this.coverageSettings.radiusMeters
+        });
+    }
+
+    showCoverageToolbar(visible) {
+        const coverageToolbar = document.getElementById('coverageToolbar');
+        const coverageBtn = document.getElementById('coverageBtn');
+
+        this.coverageMode = visible;
+        if (coverageToolbar) coverageToolbar.classList.toggle('hidden', !visible);
+        if (coverageBtn) coverageBtn.classList.toggle('fab--active', visible);
+
+        if (visible) {
+            this.renderCoverageControls();
+            this.renderCoverage();
+        } else {
+            this.coverageLayer.clearLayers();
+        }
+    }
+
+    renderCoverageControls() {
+        const coverageRadius = document.getElementById('coverageRadius');
+        const coverageAgent = document.getElementById('coverageAgent');
+
+        if (coverageRadius) coverageRadius.value = this.coverageSettings.radiusMeters;
+        if (coverageAgent) {
+            const agents = new Set();
+            this.stations.forEach(station => station.assets
+                .filter(asset => asset.assetType === 'extinguisher' && asset.type)
+                .forEach(asset => agents.add(asset.type)));
+
+            coverageAgent.innerHTML = `
+                <option value="">${this.t('coverage.allAgents')}</option>
+                ${Array.from(agents).sort().map(agent => `
+                    <option value="${this.escapeHtml(agent)}" ${agent === this.coverageSettings.agentType ? 'selected' : ''}>${this.escapeHtml(agent)}</option>
+                `).join('')}
+            `;
+        }
+    }
+
+    renderCoverage() {
+        const coverageSummary = document.getElementById('coverageSummary');
+        this.coverageLayer.clearLayers();
+
+        const analysis = this.analyzeCoverage();
+        if (!analysis) {
+            if (coverageSummary) coverageSummary.textContent = this.t('coverage.calibrateHint');
+            return;
+        }
+
+        analysis.centers.forEach(station => {
+            L.circle(this.pointToLatLng(station), {
+                radius: analysis.radius,
+                color: '#4CAF50',
+                weight: 1,
+                fillOpacity: 0.08,
+                interactive: false
+            }).addTo(this.coverageLayer);
+        });
+
+        analysis.areas.forEach(area => {
+            const outline = area.polygon || [
+                { x: area.bounds.minX, y: area.bounds.minY },
+                { x: area.bounds.maxX, y: area.bounds.minY },
+                { x: area.bounds.maxX, y: area.bounds.maxY },
+                { x: area.bounds.minX, y: area.bounds.maxY }
+            ];
+            L.polygon(outline.map(point => this.pointToLatLng(point)), {
+                color: '#555555',
+                weight: 1,
+                dashArray: '4 4',
+                fill: false,
+                interactive: false
+            }).addTo(this.coverageLayer);
+        });
+
+        // Uncovered cells are drawn one pixel each into a small canvas stretched over the plan
+        const canvas = document.createElement('canvas');
+        canvas.width = analysis.cols;
+        canvas.height = analysis.rows;
+        const context = canvas.getContext('2d');
+        if (context) {
+            context.fillStyle = '#F44336';
+            for (let index = 0; index < analysis.uncovered.length; index++) {
+                if (analysis.uncovered[index]) {
+                    context.fillRect(index % analysis.cols, Math.floor(index / analysis.cols), 1, 1);
+                }
+            }
+
+            const gridBounds = [
+                [this.MAP_HEIGHT - analysis.rows * analysis.cellSize, 0],
+                [this.MAP_HEIGHT, analysis.cols * analysis.cellSize]
+            ];
+            L.imageOverlay(canvas.toDataURL(), gridBounds, { opacity: 0.45, className: 'coverage-overlay' })
+                .addTo(this.coverageLayer);
+        }
+
+        const summaries = Object.values(analysis.buildings);
+        const cells = summaries.reduce((sum, summary) => sum + summary.cells, 0);
+        const uncoveredCells = summaries.reduce((sum, summary) => sum + summary.uncoveredCells, 0);
+        if (coverageSummary) {
+            coverageSummary.textContent = cells > 0
+                ? this.t('coverage.planSummary', {
+                    percent: ((uncoveredCells / cells) * 100).toFixed(1),
+                    stations: this.t('buildings.stations', { count: analysis.centers.length })
+                })
+                : this.t('coverage.noPlanArea');
+        }
+    }
+
+    // Inspection round planner: order the due stations into a short walk
+    getDueStations(buildingId = null, includeDueSoon = true) {
+        const dueStatuses = includeDueSoon ? ['overdue', 'inspection_due_soon'] : ['overdue'];
+
+        return this.stations.filter(station =>
+            (buildingId === null || station.building === buildingId) &&
+            station.assets.some(asset => dueStatuses.includes(asset.status)));
+    }
+
+    // Nearest-neighbour tour from a fixed start, then 2-opt segment reversals while they
+    // shorten the path. The path is open (no return to the start). Returns indices.
+    orderStops(points, startIndex = 0) {
+        const distance = (a, b) => Math.hypot(points[a].x - points[b].x, points[a].y - points[b].y);
+        const remaining = new Set(points.map((point, index) => index));
+        const order = [startIndex];
+        remaining.delete(startIndex);
+
+        while (remaining.size > 0) {
+            const last = order[order.length - 1];
+            let nearest = null;
+            remaining.forEach(index => {
+                if (nearest === null || distance(last, index) < distance(last, nearest)) nearest = index;
+            });
+            order.push(nearest);
+            remaining.delete(nearest);
+        }
+
+        let improved = true;
+        for (let pass = 0; improved && pass < 50; pass++) {
+            improved = false;
+            for (let i = 1; i < order.length - 1; i++) {
+                for (let j = i + 1; j < order.length; j++) {
+                    const next = order[j + 1];
+                    const before = distance(order[i - 1], order[i]) + (next === undefined ? 0 : distance(order[j], next));
+                    const after = distance(order[i - 1], order[j]) + (next === undefined ? 0 : distance(order[i], next));
+                    if (after < before - 1e-9) {
+                        const reversed = order.slice(i, j + 1).reverse();
+                        order.splice(i, reversed.length, ...reversed);
+                        improved = true;
+                    }
+                }
+            }
+        }
+
+        return order;
+    }
+
+    // Plans are walked one after another in registry order; the route starts at the
+    // selected station when it is one of the stops, otherwise at the westernmost stop
+    planRoute(stations) {
+        const route = [];
+
+        this.mapRegistry.maps.forEach(map => {
+            const stops = stations.filter(station => this.getStationMapId(station) === map.id);
+            if (stops.length === 0) return;
+
+            let startIndex = stops.indexOf(this.selectedStation);
+            if (startIndex < 0) {
+                startIndex = stops.reduce((best, station, index) => station.x < stops[best].x ? index : best, 0);
+            }
+
+            this.orderStops(stops, startIndex).forEach(index => route.push(stops[index]));
+        });
+
+        return route;
+    }
+
+    getRouteLength(stations) {
+        let meters = 0;
+        let calibrated = true;
+
+        this.mapRegistry.maps.forEach(map => {
+            const stops = stations.filter(station => this.getStationMapId(station) === map.id);
+            if (stops.length < 2) return;
+
+            const length = this.pathLengthInMeters(stops, map.id);
+            if (length === null) {
+                calibrated = false;
+            } else {
+                meters += length;
+            }
+        });
+
+        return calibrated ? meters : null;
+    }
+
+    renderRoundForm() {
+        const roundBuilding = document.getElementById('roundBuilding');
+        if (!roundBuilding) return;
+
+        roundBuilding.innerHTML = `
+            <option value="">${this.t('round.allBuildings')}</option>
+            ${this.buildings.map(building => `
+                <option value="${building.id}">${building.name} (${this.getBuildingStats(building.id)})</option>
+            `).join('')}
+        `;
+        if (this.round && this.round.buildingId !== null) {
+            roundBuilding.value = this.round.buildingId;
+        }
+
+        const printRound = document.getElementById('printRound');
+        if (printRound) printRound.disabled = !this.round;
+
+        this.renderRoundChecklist();
+    }
+
+    planRound() {
+        const buildingValue = document.getElementById('roundBuilding').value;
+        const buildingId = buildingValue ? parseInt(buildingValue) : null;
+        const includeDueSoon = document.getElementById('roundIncludeDueSoon').checked;
+
+        const dueStations = this.getDueStations(buildingId, includeDueSoon);
+        if (dueStations.length === 0) {
+            this.endRound();
+            const roundResult = document.getElementById('roundResult');
+            if (roundResult) roundResult.innerHTML = `<p>${this.t('round.nothingDue')}</p>`;
+            return;
+        }
+
+        const route = this.planRoute(dueStations);
+        this.round = {
+            buildingId,
+            includeDueSoon,
+            // Stops hold the station objects so renumbering in edit mode keeps the round intact
+            stops: route.map(station => ({ station, done: false })),
+            currentIndex: 0,
+            lengthMeters: this.getRouteLength(route),
+            plannedAt: new Date().toISOString()
+        };
+
+        console.log(`Planned inspection round with ${route.length} stops`);
+
+        const printRound = document.getElementById('printRound');
+        if (printRound) printRound.disabled = false;
+
+        this.renderRoundChecklist();
+        this.updateRoundToolbar();
+        this.hideModal('roundModal');
+        this.selectStation(route[0].stationId);
+        this.renderRoundRoute();
+    }
+
+    renderRoundChecklist() {
+        const roundResult = document.getElementById('roundResult');
+        if (!roundResult) return;
+
+        if (!this.round) {
+            roundResult.innerHTML = '';
+            return;
+        }
+
+        const length = this.round.lengthMeters === null
+            ? this.t('round.notCalibrated')
+            : this.t('round.walking', { meters: Math.round(this.round.lengthMeters) });
+
+        roundResult.innerHTML = `
+            <p>${this.t('round.summary', { stops: this.t('round.stops', { count: this.round.stops.length }), length })}</p>
+            <table class="history-table round-checklist">
+                <thead>
+                    <tr><th>#</th><th>${this.t('common.station')}</th><th>${this.t('round.dueAssets')}</th><th>${this.t('common.done')}</th></tr>
+                </thead>
+                <tbody>
+                    ${this.round.stops.map((stop, index) => {
+                        const station = this.getRoundStation(stop);
+                        const rowClass = stop.done ? 'round-row--done' : (index === this.round.currentIndex ? 'round-row--current' : '');
+                        return `
+                            <tr class="${rowClass}">
+                                <td>${index + 1}</td>
+                                <td><a href="#" onclick="window.app.goToRoundStop(${index}); return false;">${this.escapeHtml(stop.station.stationId)}</a></td>
+                                <td>${station ? this.describeDueAssets(station) : this.t('round.stationGone')}</td>
+                                <td><input type="checkbox" ${stop.done ? 'checked' : ''} aria-label="${this.t('round.stopDone', { stop: index + 1 })}"
+                                           onchange="window.app.setRoundStopDone(${index}, this.checked)"></td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    describeDueAssets(station) {
+        const dueStatuses = this.round && !this.round.includeDueSoon ? ['overdue'] : ['overdue', 'inspection_due_soon'];
+        return station.assets
+            .filter(asset => dueStatuses.includes(asset.status))
+            .map(asset => `${this.escapeHtml(asset.assetId)} (${this.escapeHtml(asset.type)}, ${this.t('round.due', {
+                date: asset.nextDue ? this.formatDisplayDate(asset.nextDue) : this.t('scan.unknownDate')
+            })})`)
+            .join(', ');
+    }
+
+    // Null when the station was deleted after planning
+    getRoundStation(stop) {
+        return this.stations.includes(stop.station) ? stop.station : null;
+    }
+
+    renderRoundRoute() {
+        if (!this.roundLayer) return;
+        this.roundLayer.clearLayers();
+        if (!this.round) return;
+
+        const stopsOnMap = this.round.stops
+            .map((stop, index) => ({ stop, index, station: this.getRoundStation(stop) }))
+            .filter(({ station }) => station && this.getStationMapId(station) === this.currentMapId);
+
+        if (stopsOnMap.length > 1) {
+            L.polyline(stopsOnMap.map(({ station }) => this.pointToLatLng(station)), {
+                color: '#21808d',
+                weight: 3,
+                opacity: 0.8,
+                dashArray: '8 6',
+                interactive: false
+            }).addTo(this.roundLayer);
+        }
+
+        stopsOnMap.forEach(({ stop, index, station }) => {
+            const stateClass = stop.done ? 'round-stop--done' : (index === this.round.currentIndex ? 'round-stop--current' : '');
+            L.marker(this.pointToLatLng(station), {
+                icon: L.divIcon({
+                    html: `<div class="round-stop ${stateClass}">${index + 1}</div>`,
+                    className: 'round-stop-marker',
+                    iconSize: [0, 0]
+                }),
+                interactive: false,
+                keyboard: false
+            }).addTo(this.roundLayer);
+        });
+    }
+
+    updateRoundToolbar() {
+        const roundToolbar = document.getElementById('roundToolbar');
+        const roundStatus = document.getElementById('roundStatus');
+        if (roundToolbar) roundToolbar.classList.toggle('hidden', !this.round);
+        if (!this.round || !roundStatus) return;
+
+        const doneCount = this.round.stops.filter(stop => stop.done).length;
+        const current = this.round.stops[this.round.currentIndex];
+        roundStatus.textContent = doneCount === this.round.stops.length
+            ? this.t('roundBar.complete', { count: doneCount })
+            : this.t('roundBar.stop', {
+                stop: this.round.currentIndex + 1,
+                total: this.round.stops.length,
+                stationId: current.station.stationId,
+                done: doneCount
+            });
+    }
+
+    goToRoundStop(index) {
+        if (!this.round || !this.round.stops[index]) return;
+
+        this.round.currentIndex = index;
+        this.hideModal('roundModal');
+        this.selectStation(this.round.stops[index].station.stationId);
+        this.refreshRound();
+    }
+
+    setRoundStopDone(index, done) {
+        if (!this.round || !this.round.stops[index]) return;
+
+        this.round.stops[index].done = done;
+        this.refreshRound();
+    }
+
+    // Mark the current stop done and move on to the next open one
+    advanceRound() {
+        if (!this.round) return;
+
+        this.round.stops[this.round.currentIndex].done = true;
+
+        const stops = this.round.stops;
+        const offset = stops.slice(this.round.currentIndex + 1).findIndex(stop => !stop.done);
+        const nextIndex = offset >= 0 ? this.round.currentIndex + 1 + offset : stops.findIndex(stop => !stop.done);
+
+        if (nextIndex >= 0) {
+            this.round.currentIndex = nextIndex;
+            this.selectStation(stops[nextIndex].station.stationId);
+        } else {
+            console.log('Inspection round complete');
+        }
+
+        this.refreshRound();
+    }
+
+    refreshRound() {
+        this.renderRoundRoute();
+        this.renderRoundChecklist();
+        this.updateRoundToolbar();
+    }
+
+    endRound() {
+        this.round = null;
+        this.refreshRound();
+
+        const printRound = document.getElementById('printRound');
+        if (printRound) printRound.disabled = true;
+    }
+
+    printRoundChecklist() {
+        if (!this.round) return;
+
+        const building = this.buildings.find(b => b.id === this.round.buildingId);
+        const rows = this.round.stops.map((stop, index) => {
+            const station = this.getRoundStation(stop);
+            const mapLabel = station ? this.getStationMapLabel(station) : '';
+            return `
+                <tr>
+                    <td>${index + 1}</td>
+                    <td>${this.escapeHtml(stop.station.stationId)}${mapLabel ? `<br><small>${this.escapeHtml(mapLabel)}</small>` : ''}</td>
+                    <td>${station ? this.describeDueAssets(station) : ''}</td>
+                    <td>${stop.done ? '☑' : '☐'}</td>
+                    <td style="width: 30%;"></td>
+                </tr>
+            `;
+        }).join('');
+
+        this.printHtml(`
+            <h1>${this.t('round.checklistTitle')}</h1>
+            <p>
+                ${building ? building.name : this.t('round.allBuildings')} ·
+                ${this.t('round.planned', { date: this.formatDisplayDate(this.formatISODate(new Date(this.round.plannedAt))) })} ·
+                ${this.t('round.stops', { count: this.round.stops.length })}
+                ${this.round.lengthMeters === null ? '' : ` · ${this.t('round.distance', { meters: Math.round(this.round.lengthMeters) })}`}
+            </p>
+            <table>
+                <thead>
+                    <tr>
+                        <th>#</th><th>${this.t('common.station')}</th><th>${this.t('round.dueAssets')}</th>
+                        <th>${this.t('common.done')}</th><th>${this.t('form.notes')}</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <div class="print-signatures">
+                <div class="print-signature">${this.t('form.inspector')}</div>
+                <div class="print-signature">${this.t('form.date')}</div>
+            </div>
+        `);
+    }
+
+    // Printable inspection reports for one building or the whole site
+    getAssetStatusCounts(stations) {
+        const counts = { stations: stations.length, total: 0, good: 0, inspection_due_soon: 0, overdue: 0, maintenance_required: 0 };
+
+        stations.forEach(station => {
+            station.assets.forEach(asset => {
+                counts.total++;
+                counts[asset.status] = (counts[asset.status] || 0) + 1;
+            });
+        });
+
+        return counts;
+    }
+
+    renderReportForm() {
+        const reportBuilding = document.getElementById('reportBuilding');
+        if (!reportBuilding) return;
+
+        reportBuilding.innerHTML = `
+            <option value="">${this.t('report.entireSite')}</option>
+            ${this.buildings.map(building => `<option value="${building.id}">${building.name}</option>`).join('')}
+        `;
+    }
+
+    printReport() {
+        const buildingValue = document.getElementById('reportBuilding').value;
+        const includeMap = document.getElementById('reportIncludeMap').checked;
+
+        this.printHtml(this.buildReportHtml(buildingValue ? parseInt(buildingValue) : null, { includeMap }));
+        this.hideModal('reportModal');
+    }
+
+    buildReportHtml(buildingId = null, options = {}) {
+        const { includeMap = true } = options;
+        const buildings = buildingId === null
+            ? this.buildings
+            : this.buildings.filter(building => building.id === buildingId);
+        const stations = this.stations.filter(station => buildingId === null || station.building === buildingId);
+        const counts = this.getAssetStatusCounts(stations);
+        const scope = buildingId === null ? this.t('report.entireSite') : (buildings[0] ? buildings[0].name : `Building-${buildingId}`);
+
+        const summaryRows = buildingId === null ? buildings.map(building => {
+            const buildingCounts = this.getAssetStatusCounts(stations.filter(station => station.building === building.id));
+            return `
+                <tr>
+                    <td>${this.escapeHtml(building.name)}</td>
+                    <td>${buildingCounts.stations}</td>
+                    <td>${buildingCounts.total}</td>
+                    <td>${buildingCounts.good}</td>
+                    <td>${buildingCounts.inspection_due_soon}</td>
+                    <td>${buildingCounts.overdue}</td>
+                    <td>${buildingCounts.maintenance_required}</td>
+                </tr>
+            `;
+        }).join('') : '';
+
+        const sections = buildings.map(building => {
+            const buildingStations = stations.filter(station => station.building === building.id);
+            if (buildingStations.length === 0) return '';
+
+            const excerpts = includeMap
+                ? this.mapRegistry.maps
+                    .map(map => ({ map, mapStations: buildingStations.filter(station => this.getStationMapId(station) === map.id) }))
+                    .filter(({ mapStations }) => mapStations.length > 0)
+                    .map(({ map, mapStations }) => this.renderMapExcerpt(map.id, mapStations))
+                    .join('')
+                : '';
+
+            return `
+                <section class="report-building">
+                    <h2>${this.escapeHtml(building.name)}</h2>
+                    <p>${this.getBuildingStats(building.id)}</p>
+                    ${excerpts}
+                    ${this.renderReportAssetTable(buildingStations)}
+                </section>
+            `;
+        }).join('');
+
+        return `
+            <div class="report">
+                <header class="report-header">
+                    <h1>${this.t('report.heading')}</h1>
+                    <p>${this.escapeHtml(scope)} · ${this.t('report.generated', { date: this.formatDisplayDate(this.getTodayISO()) })}</p>
+                </header>
+                <table class="report-summary">
+                    <thead>
+                        <tr>
+                            ${buildingId === null ? `<th>${this.t('common.building')}</th>` : ''}
+                            <th>${this.t('labels.stations')}</th><th>${this.t('report.assets')}</th><th>${this.t('status.good')}</th>
+                            <th>${this.t('report.dueSoon')}</th><th>${this.t('status.overdue')}</th><th>${this.t('report.maintenance')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${summaryRows}
+                        <tr class="report-summary__total">
+                            ${buildingId === null ? `<td>${this.t('report.total')}</td>` : ''}
+                            <td>${counts.stations}</td>
+                            <td>${counts.total}</td>
+                            <td>${counts.good}</td>
+                            <td>${counts.inspection_due_soon}</td>
+                            <td>${counts.overdue}</td>
+                            <td>${counts.maintenance_required}</td>
+                        </tr>
+                    </tbody>
+                </table>
+                ${sections}
+                <div class="print-signatures">
+                    <div class="print-signature">${this.t('report.inspectedBy')}</div>
+                    <div class="print-signature">${this.t('report.officer')}</div>
+                    <div class="print-signature">${this.t('form.date')}</div>
+                </div>
+            </div>
+        `;
+    }
+
+    renderReportAssetTable(stations) {
+        const rows = stations.map(station => station.assets.map((asset, index) => {
+            const details = this.getStatusDetails(asset);
+            return `
+                <tr>
+                    ${index === 0 ? `
+                        <td rowspan="${station.assets.length}">
+                            ${this.escapeHtml(station.stationId)}
+                            ${this.getStationMapLabel(station) ? `<br><small>${this.escapeHtml(this.getStationMapLabel(station))}</small>` : ''}
+                        </td>
+                    ` : ''}
+                    <td>${this.escapeHtml(asset.assetId)}</td>
+                    <td>${this.escapeHtml(asset.type)} ${this.escapeHtml(asset.size)}</td>
+                    <td>${this.escapeHtml(asset.inspectionStickerID)}</td>
+                    <td>${this.formatDisplayDate(asset.lastInspection) || '—'}</td>
+                    <td>${this.formatDisplayDate(asset.nextDue) || '—'}</td>
+                    <td>
+                        <span class="legend-swatch" style="background: ${this.statusColors[asset.status]};"></span>
+                        ${details.label}<br><small>${details.description}</small>
+                    </td>
+                </tr>
+            `;
+        }).join('')).join('');
+
+        return `
+            <table class="report-assets">
+                <thead>
+                    <tr>
+                        <th>${this.t('common.station')}</th><th>${this.t('alerts.asset')}</th><th>${this.t('report.typeSize')}</th>
+                        <th>${this.t('report.sticker')}</th><th>${this.t('report.lastInspection')}</th><th>${this.t('report.nextDue')}</th>
+                        <th>${this.t('popup.status')}</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    // SVG crop of a floor plan around the given stations, with status-colored markers
+    renderMapExcerpt(mapId, stations) {
+        const config = this.getMapConfig(mapId);
+        if (!config || stations.length === 0) return '';
+
+        const xs = stations.map(station => station.x);
+        const ys = stations.map(station => station.y);
+        const padding = Math.round(Math.max(150, (Math.max(...xs) - Math.min(...xs) + Math.max(...ys) - Math.min(...ys)) * 0.05));
+        const minX = Math.max(0, Math.min(...xs) - padding);
+        const minY = Math.max(0, Math.min(...ys) - padding);
+        const width = Math.min(config.width, Math.max(...xs) + padding) - minX;
+        const height = Math.min(config.height, Math.max(...ys) + padding) - minY;
+        const radius = Math.max(width, height) / 90;
+
+        const markers = stations.map(station => `
+            <circle cx="${station.x}" cy="${station.y}" r="${radius}"
+                    fill="${this.statusColors[this.getStationStatus(station)] || '#999999'}" stroke="white" stroke-width="${radius / 4}"/>
+            <text x="${station.x + radius * 1.3}" y="${station.y + radius / 2}" font-size="${radius * 1.4}"
+                  font-family="Arial, sans-serif" font-weight="bold" fill="black" stroke="white" stroke-width="${radius / 6}"
+                  paint-order="stroke">${this.escapeHtml(station.stationId.replace('ST-', ''))}</text>
+        `).join('');
+
+        return `
+            <figure class="report-map">
+                <svg viewBox="${minX} ${minY} ${width} ${height}" xmlns="http://www.w3.org/2000/svg" role="img"
+                     aria-label="${this.escapeHtml(config.name)} excerpt">
+                    <image href="${this.escapeHtml(config.image)}" x="0" y="0" width="${config.width}" height="${config.height}"
+                           preserveAspectRatio="none"/>
+                    ${markers}
+                </svg>
+                <figcaption>${this.escapeHtml(config.name)}</figcaption>
+            </figure>
+        `;
+    }
+
+    // Shareable URL state. The hash holds the plan and view, the selected station, the open
+    // modal, the search text and the map filters, e.g.
+    // #map=site&view=5120,2210,1&station=ST-3-007&status=overdue&building=3
+    // Selecting a station adds a history entry; everything else replaces the current one.
+    getHashParams() {
+        return new URLSearchParams(window.location.hash.replace(/^#/, ''));
+    }
+
+    getDeepLink(type, id) {
+        const url = new URL(window.location.href);
+        url.hash = `${type}=${encodeURIComponent(id)}`;
+        return url.toString();
+    }
+
+    hasUrlView() {
+        const params = this.getHashParams();
+        return params.has('view') || params.has('station') || params.has('asset');
+    }
+
+    buildUrlHash() {
+        const params = new URLSearchParams();
+
+        if (this.currentMapId && this.currentMapId !== this.mapRegistry.defaultMapId) {
+            params.set('map', this.currentMapId);
+        }
+        if (this.map) {
+            const center = this.latLngToPoint(this.map.getCenter());
+            params.set('view', `${Math.round(center.x)},${Math.round(center.y)},${this.map.getZoom()}`);
+        }
+        if (this.selectedStation) {
+            params.set('station', this.selectedStation.stationId);
+        }
+
+        const searchInput = document.getElementById('searchInput');
+        const query = searchInput ? searchInput.value.trim() : '';
+        if (query && (!this.selectedStation || query !== this.selectedStation.stationId)) {
+            params.set('q', query);
+        }
+
+        Object.entries(this.URL_FILTER_PARAMS).forEach(([key, param]) => {
+            this.filters[key].forEach(value => params.append(param, value));
+        });
+        if (this.filters.dueWithinDays !== null) {
+            params.set('due', this.filters.dueWithinDays);
+        }
+        if (this.filters.dueFrom !== null) params.set('dueFrom', this.filters.dueFrom);
+        if (this.filters.dueTo !== null) params.set('dueTo', this.filters.dueTo);
+        if (this.hasActiveFilters() && this.filterMode !== 'hide') {
+            params.set('filterMode', this.filterMode);
+        }
+
+        const openModal = document.querySelector('.modal.visible');
+        if (openModal && this.URL_MODALS.includes(openModal.id)) {
+            params.set('modal', openModal.id.replace(/Modal$/, ''));
+        }
+
+        // Commas are safe in a hash and keep the view readable
+        const hash = params.toString().replace(/%2C/g, ',');
+        return hash ? `#${hash}` : '';
+    }
+
+    updateUrlState(options = {}) {
+        const { push = false } = options;
+        if (this.restoringUrlState || !this.map) return;
+
+        const hash = this.buildUrlHash();
+        if (hash === window.location.hash) return;
+
+        const url = `${window.location.pathname}${window.location.search}${hash}`;
+        if (push) {
+            history.pushState(null, '', url);
+        } else {
+            history.replaceState(null, '', url);
+        }
+        this.urlHash = window.location.hash;
+    }
+
+    // Restore everything the hash describes; state it leaves out is reset
+    applyUrlState() {
+        const params = this.getHashParams();
+        this.restoringUrlState = true;
+
+        try {
+            const filters = { ...this.EMPTY_FILTERS };
+            Object.entries(this.URL_FILTER_PARAMS).forEach(([key, param]) => {
+                filters[key] = params.getAll(param);
+            });
+            const due = parseInt(params.get('due'));
+            filters.dueWithinDays = isNaN(due) ? null : due;
+            const isoDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value || '') ? value : null;
+            filters.dueFrom = isoDate(params.get('dueFrom'));
+            filters.dueTo = isoDate(params.get('dueTo'));
+            const mode = params.get('filterMode') === 'dim' ? 'dim' : 'hide';
+            if (JSON.stringify(filters) !== JSON.stringify(this.filters) || mode !== this.filterMode) {
+                this.setFilters(filters, mode);
+            }
+
+            let station = null;
+            if (params.has('asset')) {
+                const match = this.findAsset(params.get('asset'));
+                station = match ? match.station : null;
+                if (!match) this.showError(this.t('app.assetNotFound', { assetId: params.get('asset') }));
+            } else if (params.has('station')) {
+                station = this.findStation(params.get('station'));
+                if (!station) this.showError(this.t('app.stationNotFound', { stationId: params.get('station') }));
+            }
+
+            if (station) {
+                if (station !== this.selectedStation) this.selectStation(station.stationId);
+            } else if (this.selectedStation) {
+                this.selectedStation = null;
+                this.clearSearch();
+            }
+
+            const mapId = params.get('map') || (station ? this.getStationMapId(station) : this.mapRegistry.defaultMapId);
+            if (this.getMapConfig(mapId)) {
+                this.switchMap(mapId, { fit: false });
+            }
+
+            const view = (params.get('view') || '').split(',').map(Number);
+            if (view.length === 3 && view.every(value => !isNaN(value))) {
+                this.map.setView(this.pointToLatLng({ x: view[0], y: view[1] }), view[2]);
+            }
+
+            const searchInput = document.getElementById('searchInput');
+            if (searchInput && params.has('q')) {
+                searchInput.value = params.get('q');
+                this.handleSearch(searchInput.value);
+            }
+
+            // Label and calendar links (#station=… or #asset=…) carry no view; they open the station's details
+            document.querySelectorAll('.modal.visible').forEach(modal => this.hideModal(modal.id));
+            const modal = params.get('modal') || (station && !params.has('view') ? 'info' : null);
+            if (modal) {
+                this.openModalFromUrl(`${modal}Modal`);
+            }
+
+            if (station) {
+                console.log(`Opened ${station.stationId} from link`);
+            }
+        } finally {
+            this.restoringUrlState = false;
+        }
+
+        // Normalizes the hash, e.g. an asset link becomes its station
+        this.updateUrlState();
+        this.urlHash = window.location.hash;
+    }
+
+    openModalFromUrl(modalId) {
+        if (!this.URL_MODALS.includes(modalId)) return;
+
+        if (modalId === 'infoModal') {
+            if (this.selectedStation) this.showStationInfo(this.selectedStation);
+            return;
+        }
+
+        if (modalId === 'filterModal') this.renderFilterPanel();
+        if (modalId === 'settingsModal') {
+            this.renderLanguageSelect();
+            this.renderInspectionRulesEditor();
+            this.renderDateSettings();
+        }
+        if (modalId === 'historyModal') this.renderSiteHistory();
+        if (modalId === 'roundModal') this.renderRoundForm();
+        if (modalId === 'reportModal') this.renderReportForm();
+        if (modalId === 'labelsModal') this.renderLabelsForm();
+        if (modalId === 'calendarModal') this.renderCalendar();
+        if (modalId === 'alertsModal') {
+            this.renderAlertCenter();
+            this.renderAlertSubscriptions();
+        }
+        this.showModal(modalId);
+        if (modalId === 'buildingsModal') this.populateBuildings();
+    }
+
+    // QR code labels, encoded locally with the vendored qrcode-generator; descriptionId must be
+    // unique on the page as the SVG is labelled by it
+    createQrSvg(text, descriptionId) {
+        const code = qrcode(0, 'M');
+        code.addData(text);
+        code.make();
+        return code.createSvgTag({ cellSize: 4, margin: 8, scalable: true, alt: { text, id: descriptionId } });
+    }
+
+    renderLabelsForm() {
+        const labelsScope = document.getElementById('labelsScope');
+        if (!labelsScope) return;
+
+        labelsScope.innerHTML = `
+            <option value="all">${this.t('labels.allStations')}</option>
+            <option value="filter" ${this.hasActiveFilters() ? '' : 'disabled'}>${this.t('labels.filteredStations')}</option>
+            ${this.buildings.map(building => `<option value="${building.id}">${building.name}</option>`).join('')}
+        `;
+        if (this.hasActiveFilters()) {
+            labelsScope.value = 'filter';
+        }
+    }
+
+    getLabelStations(scope) {
+        if (scope === 'filter') {
+            return this.stations.filter(station => this.stationMatchesFilters(station));
+        }
+        if (scope !== 'all') {
+            return this.stations.filter(station => station.building === parseInt(scope));
+        }
+        return this.stations;
+    }
+
+    printLabels() {
+        const scope = document.getElementById('labelsScope').value;
+        const perAsset = document.getElementById('labelsPerAsset').checked;
+        const stations = this.getLabelStations(scope);
+
+        if (stations.length === 0) {
+            this.showError(this.t('labels.none'));
+            return;
+        }
+
+        const labels = perAsset
+            ? stations.flatMap(station => station.assets.map(asset => ({
+                link: this.getDeepLink('asset', asset.assetId),
+                id: `asset-${asset.assetId}`,
+                title: asset.assetId,
+                lines: [station.stationId, station.buildingName, `${asset.type || ''} ${asset.size || ''}`.trim()]
+            })))
+            : stations.map(station => ({
+                link: this.getDeepLink('station', station.stationId),
+                id: `station-${station.stationId}`,
+                title: station.stationId,
+                lines: [station.buildingName, station.assets.map(asset => asset.assetId).join(', ')]
+            }));
+
+        // Description IDs come from the asset or station ID; IDs repeated in the data get a suffix
+        labels.forEach(label => { label.id = `qr-${label.id.replace(/[^\w-]/g, '_')}`; });
+        const usedIds = new Set(labels.map(label => label.id));
+        const seenIds = new Set();
+        labels.forEach(label => {
+            if (seenIds.has(label.id)) {
+                let count = 2;
+                while (usedIds.has(`${label.id}-${count}`)) count++;
+                label.id = `${label.id}-${count}`;
+                usedIds.add(label.id);
+            }
+            seenIds.add(label.id);
+        });
+
+        this.printHtml(`
+            <div class="label-sheet">
+                ${labels.map(label => `
+                    <div class="qr-label">
+                        <div class="qr-label__code">${this.createQrSvg(label.link, label.id)}</div>
+                        <div class="qr-label__text">
+                            <strong>${this.escapeHtml(label.title)}</strong>
+                            ${label.lines.filter(Boolean).map(line => `<span>${this.escapeHtml(line)}</span>`).join('')}
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `);
+
+        console.log(`Printed ${labels.length} QR labels`);
+        this.hideModal('labelsModal');
+    }
+
+    // Due-date calendar: assets bucketed by nextDue as a month grid or a week timeline.
+    // Like the dashboard, it only counts assets matching the active map filters.
+    getDueAssetsByDate() {
+        const byDate = new Map();
+
+        this.stations.forEach(station => {
+            station.assets.forEach(asset => {
+                if (!asset.nextDue || (this.hasActiveFilters() && !this.assetMatchesFilters(asset, station))) return;
+
+                const date = String(asset.nextDue).slice(0, 10);
+                if (!byDate.has(date)) byDate.set(date, []);
+                byDate.get(date).push({ station, asset });
+            });
+        });
+
+        return byDate;
+    }
+
+    parseISODate(isoDate) {
+        const [year, month, day] = isoDate.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    addDays(date, days) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+    }
+
+    // Weeks start on Monday
+    getWeekStart(date) {
+        return this.addDays(date, -((date.getDay() + 6) % 7));
+    }
+
+    getDueEntriesBetween(byDate, from, to) {
+        const entries = [];
+        byDate.forEach((dayEntries, date) => {
+            if ((!from || date >= from) && (!to || date <= to)) entries.push(...dayEntries);
+        });
+        return entries;
+    }
+
+    renderStatusChips(entries) {
+        const counts = {};
+        entries.forEach(({ asset }) => {
+            counts[asset.status] = (counts[asset.status] || 0) + 1;
+        });
+
+        return this.statusPriority.slice().reverse()
+            .filter(status => counts[status])
+            .map(status => `
+                <span class="calendar-chip" style="background: ${this.statusColors[status]}; color: ${this.getContrastColor(this.statusColors[status])};"
+                      title="${counts[status]} ${this.statusLabels[status]}">${counts[status]}</span>
+            `).join('');
+    }
+
+    showCalendar() {
+        this.calendarDate = this.parseISODate(this.getTodayISO());
+        this.calendarSelection = null;
+        this.renderCalendar();
+        this.showModal('calendarModal');
+    }
+
+    moveCalendar(step) {
+        const date = this.calendarDate;
+        this.calendarDate = step === 0
+            ? this.parseISODate(this.getTodayISO())
+            : (this.calendarMode === 'weeks'
+                ? this.addDays(date, step * 7 * this.CALENDAR_TIMELINE_WEEKS)
+                : new Date(date.getFullYear(), date.getMonth() + step, 1));
+        this.renderCalendar();
+    }
+
+    renderCalendar() {
+        const calendarGrid = document.getElementById('calendarGrid');
+        const calendarPeriod = document.getElementById('calendarPeriod');
+        const calendarFilterNote = document.getElementById('calendarFilterNote');
+        if (!calendarGrid) return;
+
+        const byDate = this.getDueAssetsByDate();
+        const today = this.getTodayISO();
+        const mode = document.getElementById('calendarMode');
+        if (mode) mode.value = this.calendarMode;
+
+        let start;
+        let end;
+        if (this.calendarMode === 'weeks') {
+            start = this.getWeekStart(this.calendarDate);
+            end = this.addDays(start, 7 * this.CALENDAR_TIMELINE_WEEKS - 1);
+            calendarGrid.innerHTML = this.renderCalendarTimeline(byDate, start);
+        } else {
+            const monthStart = new Date(this.calendarDate.getFullYear(), this.calendarDate.getMonth(), 1);
+            start = monthStart;
+            end = new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 0);
+            calendarGrid.innerHTML = this.renderCalendarMonth(byDate, monthStart, today);
+        }
+
+        const from = this.formatISODate(start);
+        const to = this.formatISODate(end);
+        const before = this.getDueEntriesBetween(byDate, null, this.formatISODate(this.addDays(start, -1)));
+        if (calendarPeriod) {
+            calendarPeriod.innerHTML = `
+                ${this.calendarMode === 'weeks' ? `${this.formatDisplayDate(from)} – ${this.formatDisplayDate(to)}` : start.toLocaleDateString(this.language, { month: 'long', year: 'numeric' })}
+                ${before.length > 0 ? `
+                    <a href="#" onclick="window.app.showCalendarAssets(null, '${this.formatISODate(this.addDays(start, -1))}'); return false;">
+                        ${this.t('calendar.dueEarlier', { count: before.length })}
+                    </a>
+                ` : ''}
+            `;
+        }
+        if (calendarFilterNote) {
+            calendarFilterNote.textContent = this.hasActiveFilters() ? this.t('dashboard.filtered', { filters: this.describeFilters() }) : '';
+        }
+
+        if (this.calendarSelection) {
+            this.showCalendarAssets(this.calendarSelection.from, this.calendarSelection.to);
+        } else {
+            const calendarAssets = document.getElementById('calendarAssets');
+            if (calendarAssets) calendarAssets.innerHTML = `<p>${this.t('calendar.hint')}</p>`;
+        }
+    }
+
+    renderCalendarMonth(byDate, monthStart, today) {
+        const gridStart = this.getWeekStart(monthStart);
+        const monthEnd = new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 0);
+        const weeks = [];
+
+        for (let weekStart = gridStart; weekStart <= monthEnd; weekStart = this.addDays(weekStart, 7)) {
+            const days = Array.from({ length: 7 }, (unused, index) => this.addDays(weekStart, index));
+            const from = this.formatISODate(days[0]);
+            const to = this.formatISODate(days[6]);
+            const weekEntries = this.getDueEntriesBetween(byDate, from, to);
+
+            weeks.push(`
+                <tr>
+                    ${days.map(day => {
+                        const date = this.formatISODate(day);
+                        const entries = byDate.get(date) || [];
+                        const classes = [
+                            'calendar-day',
+                            day.getMonth() !== monthStart.getMonth() ? 'calendar-day--outside' : '',
+                            date === today ? 'calendar-day--today' : ''
+                        ].join(' ');
+                        return `
+                            <td>
+                                <button class="${classes}" ${entries.length ? '' : 'disabled'}
+                                        aria-label="${this.t('calendar.dayDue', { date: this.formatDisplayDate(date), count: entries.length })}"
+                                        onclick="window.app.showCalendarAssets('${date}', '${date}')">
+                                    <span class="calendar-day__number">${day.getDate()}</span>
+                                    ${this.renderStatusChips(entries)}
+                                </button>
+                            </td>
+                        `;
+                    }).join('')}
+                    <td class="calendar-week-total">
+                        ${weekEntries.length ? `
+                            <a href="#" onclick="window.app.showCalendarAssets('${from}', '${to}'); return false;">${weekEntries.length}</a>
+                        ` : '—'}
+                    </td>
+                </tr>
+            `);
+        }
+
+        return `
+            <table class="calendar-month">
+                <thead>
+                    <tr>
+                        ${Array.from({ length: 7 }, (unused, index) => `
+                            <th>${this.addDays(gridStart, index).toLocaleDateString(this.language, { weekday: 'short' })}</th>
+                        `).join('')}
+                        <th>${this.t('calendar.week')}</th>
+                    </tr>
+                </thead>
+                <tbody>${weeks.join('')}</tbody>
+            </table>
+        `;
+    }
+
+    renderCalendarTimeline(byDate, start) {
+        const weeks = Array.from({ length: this.CALENDAR_TIMELINE_WEEKS }, (unused, index) => {
+            const weekStart = this.addDays(start, index * 7);
+            const from = this.formatISODate(weekStart);
+            const to = this.formatISODate(this.addDays(weekStart, 6));
+            return { weekStart, from, to, entries: this.getDueEntriesBetween(byDate, from, to) };
+        });
+        const busiest = Math.max(1, ...weeks.map(week => week.entries.length));
+
+        let currentMonth = null;
+        return `
+            <table class="calendar-timeline">
+                <tbody>
+                    ${weeks.map(week => {
+                        const month = week.weekStart.toLocaleDateString(this.language, { month: 'long', year: 'numeric' });
+                        const heading = month !== currentMonth
+                            ? `<tr class="calendar-timeline__month"><th colspan="3">${month}</th></tr>`
+                            : '';
+                        currentMonth = month;
+
+                        const segments = this.statusPriority.slice().reverse().map(status => {
+                            const count = week.entries.filter(({ asset }) => asset.status === status).length;
+                            return count ? `
+                                <span style="width: ${(count / busiest) * 100}%; background: ${this.statusColors[status]};"
+                                      title="${count} ${this.statusLabels[status]}"></span>
+                            ` : '';
+                        }).join('');
+
+                        return `${heading}
+                            <tr>
+                                <td class="calendar-timeline__week">${this.formatDisplayDate(week.from)}</td>
+                                <td class="calendar-timeline__bar">
+                                    ${week.entries.length ? `
+                                        <button class="calendar-bar" aria-label="${this.t('calendar.weekDue', { date: this.formatDisplayDate(week.from), count: week.entries.length })}"
+                                                onclick="window.app.showCalendarAssets('${week.from}', '${week.to}')">${segments}</button>
+                                    ` : ''}
+                                </td>
+                                <td class="calendar-week-total">${week.entries.length || '—'}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // List the assets due in an inclusive date range (from null = everything before `to`)
+    showCalendarAssets(from, to) {
+        const calendarAssets = document.getElementById('calendarAssets');
+        if (!calendarAssets) return;
+
+        this.calendarSelection = { from, to };
+        const entries = this.getDueEntriesBetween(this.getDueAssetsByDate(), from, to)
+            .sort((a, b) => a.asset.nextDue.localeCompare(b.asset.nextDue) ||
+                a.station.stationId.localeCompare(b.station.stationId, undefined, { numeric: true }));
+        const title = !from
+            ? this.t('calendar.dueBefore', { date: this.formatDisplayDate(this.formatISODate(this.addDays(this.parseISODate(to), 1))) })
+            : this.t('calendar.dueOn', { date: from === to ? this.formatDisplayDate(from) : `${this.formatDisplayDate(from)} – ${this.formatDisplayDate(to)}` });
+
+        calendarAssets.innerHTML = `
+            <h3>${title} (${entries.length})</h3>
+            ${entries.length === 0 ? `<p>${this.t('calendar.nothingDue')}</p>` : `
+                <table class="history-table">
+                    <thead>
+                        <tr>
+                            <th>${this.t('calendar.due')}</th><th>${this.t('common.station')}</th><th>${this.t('alerts.asset')}</th>
+                            <th>${this.t('popup.type')}</th><th>${this.t('popup.status')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${entries.map(({ station, asset }) => `
+                            <tr>
+                                <td>${this.formatDisplayDate(asset.nextDue)}</td>
+                                <td><a href="#" onclick="window.app.goToCalendarStation('${station.stationId}'); return false;">${this.escapeHtml(station.stationId)}</a></td>
+                                <td>${this.escapeHtml(asset.assetId)}</td>
+                                <td>${this.escapeHtml(asset.type)} ${this.escapeHtml(asset.size)}</td>
+                                <td><span class="legend-swatch" style="background: ${this.statusColors[asset.status]};"></span> ${this.statusLabels[asset.status] || ''}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `}
+        `;
+    }
+
+    goToCalendarStation(stationId) {
+        this.hideModal('calendarModal');
+        this.selectStation(stationId);
+    }
+
+    // iCalendar export: one all-day event per station and due date. UIDs are stable so
+    // calendar clients update events in place when the file is imported again.
+    buildDueCalendar() {
+        const events = new Map();
+        this.getDueAssetsByDate().forEach((entries, date) => {
+            entries.forEach(({ station, asset }) => {
+                const key = `${station.stationId}|${date}`;
+                if (!events.has(key)) events.set(key, { station, date, assets: [] });
+                events.get(key).assets.push(asset);
+            });
+        });
+
+        const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+        const compactDate = date => date.replace(/-/g, '');
+        const escape = text => String(text === undefined || text === null ? '' : text)
+            .replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Fire Safety Station Manager//Due Dates//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            'X-WR-CALNAME:Fire safety inspections due'
+        ];
+
+        Array.from(events.values())
+            .sort((a, b) => a.date.localeCompare(b.date) || a.station.stationId.localeCompare(b.station.stationId, undefined, { numeric: true }))
+            .forEach(({ station, date, assets }) => {
+                const location = [station.buildingName, this.getStationMapLabel(station)].filter(Boolean).join(', ');
+                const description = assets
+                    .map(asset => `${asset.assetId}: ${[asset.type, asset.size].filter(Boolean).join(' ')} (${this.statusLabels[asset.status] || asset.status})`)
+                    .concat(this.getDeepLink('station', station.stationId))
+                    .join('\n');
+
+                lines.push(
+                    'BEGIN:VEVENT',
+                    `UID:${escape(station.stationId)}-${compactDate(date)}@fire-safety-stations`,
+                    `DTSTAMP:${stamp}`,
+                    `DTSTART;VALUE=DATE:${compactDate(date)}`,
+                    `DTEND;VALUE=DATE:${compactDate(this.formatISODate(this.addDays(this.parseISODate(date), 1)))}`,
+                    `SUMMARY:${escape(`Inspection due: ${station.stationId} (${assets.length} ${assets.length === 1 ? 'asset' : 'assets'})`)}`,
+                    `LOCATION:${escape(location)}`,
+                    `DESCRIPTION:${escape(description)}`,
+                    `URL:${this.getDeepLink('station', station.stationId)}`,
+                    'END:VEVENT'
+                );
+            });
+
+        lines.push('END:VCALENDAR');
+
+        return lines.map(line => this.foldICalendarLine(line)).join('\r\n') + '\r\n';
+    }
+
+    // RFC 5545: lines over 75 octets continue on the next line after a single space
+    foldICalendarLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let octets = 0;
+
+        for (const char of line) {
+            const size = encoder.encode(char).length;
+            if (octets + size > (parts.length === 0 ? 75 : 74)) {
+                parts.push(current);
+                current = '';
+                octets = 0;
+            }
+            current += char;
+            octets += size;
+        }
+        parts.push(current);
+
+        return parts.join('\r\n ');
+    }
+
+    exportCalendar() {
+        const timestamp = this.formatISODate(new Date());
+        this.downloadFile(this.buildDueCalendar(), `fire_safety_due_dates_${timestamp}.ics`, 'text/calendar');
+    }
+
+    // Print a generated document instead of the app (see the print styles in style.css)
+    async printHtml(html) {
+        const printArea = document.getElementById('printArea');
+        if (!printArea) return;
+
+        printArea.innerHTML = html;
+        document.body.classList.add('printing');
+        window.addEventListener('afterprint', () => {
+            document.body.classList.remove('printing');
+        }, { once: true });
+
+        // Map excerpts would print blank until their floor plan image has loaded
+        await this.waitForImages(printArea);
+        window.print();
+    }
+
+    waitForImages(container) {
+        const images = Array.from(container.querySelectorAll('image, img'));
+        if (images.length === 0) return Promise.resolve();
+
+        const loaded = Promise.all(images.map(image => new Promise(resolve => {
+            if (image.complete) {
+                resolve();
+                return;
+            }
+            image.addEventListener('load', resolve, { once: true });
+            image.addEventListener('error', resolve, { once: true });
+        })));
+        const timeout = new Promise(resolve => setTimeout(resolve, this.PRINT_IMAGE_TIMEOUT));
+        return Promise.race([loaded, timeout]);
+    }
+
+    // Map edit mode: place, drag, renumber and delete stations; edit their assets
+    setEditMode(enabled) {
+        this.editMode = enabled;
+
+        const editToolbar = document.getElementById('editToolbar');
+        const editModeBtn = document.getElementById('editModeBtn');
+        const mapElement = document.getElementById('map');
+
+        if (editToolbar) editToolbar.classList.toggle('hidden', !enabled);
+        if (editModeBtn) editModeBtn.classList.toggle('fab--active', enabled);
+        if (mapElement) mapElement.classList.toggle('map--editing', enabled);
+
+        if (!enabled) {
+            this.hideModal('stationEditorModal');
+        }
+
+        this.map.closePopup();
+        this.rebuildMarkers();
+        this.updateEditToolbar();
+        console.log(`Edit mode ${enabled ? 'enabled' : 'disabled'}`);
+    }
+
+    updateEditToolbar() {
+        const undoEdit = document.getElementById('undoEdit');
+        const redoEdit = document.getElementById('redoEdit');
+
+        if (undoEdit) {
+            const command = this.undoStack[this.undoStack.length - 1];
+            undoEdit.disabled = !command;
+            undoEdit.title = command ? `Undo: ${command.label}` : 'Nothing to undo';
+        }
+        if (redoEdit) {
+            const command = this.redoStack[this.redoStack.length - 1];
+            redoEdit.disabled = !command;
+            redoEdit.title = command ? `Redo: ${command.label}` : 'Nothing to redo';
+        }
+    }
+
+    executeEdit(command) {
+        command.apply();
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.MAX_UNDO_STEPS) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+
+        this.afterLayoutChange();
+        this.queueChange('layout', command.change);
+        console.log(`Edit: ${command.label}`);
+    }
+
+    undoEdit() {
+        const command = this.undoStack.pop();
+        if (!command) return;
+
+        command.revert();
+        this.redoStack.push(command);
+        this.afterLayoutChange();
+        this.queueChange('layout', { ...command.change, undo: true });
+        console.log(`Undo: ${command.label}`);
+    }
+
+    redoEdit() {
+        const command = this.redoStack.pop();
+        if (!command) return;
+
+        command.apply();
+        this.undoStack.push(command);
+        this.afterLayoutChange();
+        this.queueChange('layout', command.change);
+        console.log(`Redo: ${command.label}`);
+    }
+
+    clearEditHistory() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.updateEditToolbar();
+    }
+
+    // Re-derive everything that depends on the station layout
+    afterLayoutChange() {
+        this.stations.forEach(station => this.decorateStation(station));
+        this.refreshBuildingCounts();
+
+        if (this.selectedStation && !this.stations.includes(this.selectedStation)) {
+            this.selectedStation = null;
+        }
+
+        this.rebuildMarkers();
+        this.updateStats();
+        this.populateBuildings();
+        this.runDataChecks();
+        this.updateEditToolbar();
+
+        if (this.coverageMode) {
+            this.renderCoverage();
+        }
+
+        if (this.round) {
+            this.refreshRound();
+        }
+
+        if (this.editingStation) {
+            this.renderStationEditor();
+        }
+    }
+
+    rebuildMarkers() {
+        this.clearBlinkingMarker();
+        this.markersLayer.clearLayers();
+        this.addMarkers();
+    }
+
+    decorateStation(station) {
+        let building = this.buildings.find(b => b.id === station.building);
+        if (!building) {
+            const buildingColors = ['#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4', '#FECA57', '#FF9FF3'];
+            building = {
+                id: station.building,
+                name: `Building-${station.building}`,
+                stations: 0,
+                totalAssets: 0,
+                color: buildingColors[this.buildings.length % buildingColors.length]
+            };
+            this.buildings.push(building);
+        }
+
+        station.buildingName = building.name;
+        station.buildingColor = building.color;
+        station.assets.forEach(asset => {
+            asset.status = this.calculateRealTimeStatus(asset);
+        });
+        station.status = this.getStationStatus(station);
+    }
+
+    refreshBuildingCounts() {
+        this.buildings.forEach(building => {
+            const buildingStations = this.stations.filter(s => s.building === building.id);
+            building.stations = buildingStations.length;
+            building.totalAssets = buildingStations.reduce((sum, s) => sum + s.assets.length, 0);
+        });
+    }
+
+    // Edit commands: apply/revert closures plus a serializable description for the change queue.
+    // Descriptions carry what the server needs to replay an undo as well.
+    addStationCommand(station) {
+        return {
+            label: `Add station ${station.stationId}`,
+            change: { action: 'addStation', station: { ...station, assets: [] } },
+            apply: () => this.stations.push(station),
+            revert: () => this.stations.splice(this.stations.indexOf(station), 1)
+        };
+    }
+
+    updateStationCommand(station, changes) {
+        const previous = {};
+        Object.keys(changes).forEach(key => {
+            previous[key] = station[key];
+        });
+
+        const label = changes.stationId && changes.stationId !== station.stationId
+            ? `Renumber ${station.stationId} to ${changes.stationId}`
+            : `Update station ${station.stationId}`;
+
+        return {
+            label,
+            change: { action: 'updateStation', stationId: station.stationId, changes, previous },
+            apply: () => Object.assign(station, changes),
+            revert: () => Object.assign(station, previous)
+        };
+    }
+
+    deleteStationCommand(station) {
+        const index = this.stations.indexOf(station);
+
+        return {
+            label: `Delete station ${station.stationId}`,
+            change: { action: 'deleteStation', stationId: station.stationId, station: { ...station } },
+            apply: () => this.stations.splice(this.stations.indexOf(station), 1),
+            revert: () => this.stations.splice(index, 0, station)
+        };
+    }
+
+    addAssetCommand(station, asset) {
+        return {
+            label: `Add asset ${asset.assetId} to ${station.stationId}`,
+            change: { action: 'addAsset', stationId: station.stationId, asset },
+            apply: () => station.assets.push(asset),
+            revert: () => station.assets.splice(station.assets.indexOf(asset), 1)
+        };
+    }
+
+    removeAssetCommand(station, asset) {
+        const index = station.assets.indexOf(asset);
+
+        return {
+            label: `Remove asset ${asset.assetId} from ${station.stationId}`,
+            change: { action: 'removeAsset', stationId: station.stationId, assetId: asset.assetId, asset },
+            apply: () => station.assets.splice(station.assets.indexOf(asset), 1),
+            revert: () => station.assets.splice(index, 0, asset)
+        };
+    }
+
+    // Layout correction only; physical relocations are logged as history events instead
+    moveAssetCommand(asset, fromStation, toStation) {
+        const index = fromStation.assets.indexOf(asset);
+
+        return {
+            label: `Move asset ${asset.assetId} to ${toStation.stationId}`,
+            change: { action: 'moveAsset', assetId: asset.assetId, fromStationId: fromStation.stationId, toStationId: toStation.stationId },
+            apply: () => {
+                fromStation.assets.splice(fromStation.assets.indexOf(asset), 1);
+                toStation.assets.push(asset);
+            },
+            revert: () => {
+                toStation.assets.splice(toStation.assets.indexOf(asset), 1);
+                fromStation.assets.splice(index, 0, asset);
+            }
+        };
+    }
+
+    suggestStationId(building) {
+        const pattern = new RegExp(`^ST-${building}-(\\d+)$`);
+        const numbers = this.stations
+            .map(station => pattern.exec(station.stationId))
+            .filter(Boolean)
+            .map(match => parseInt(match[1]));
+        const next = numbers.length > 0 ? Math.max(...numbers) + 1 : 1;
+        return `ST-${building}-${String(next).padStart(3, '0')}`;
+    }
+
+    findNearestStation(x, y, stations = this.stations) {
+        return stations.reduce((nearest, station) => {
+            const distance = Math.hypot(station.x - x, station.y - y);
+            return !nearest || distance < nearest.distance ? { station, distance } : nearest;
+        }, null);
+    }
+
+    // Open the editor for an existing station, or for a new one at a clicked map position
+    openStationEditor(stationId, latLng) {
+        if (stationId) {
+            const station = this.findStation(stationId);
+            if (!station) return;
+            this.editingStation = station;
+        } else {
+            const x = Math.round(latLng.lng);
+            const y = Math.round(this.MAP_HEIGHT - latLng.lat);
+            const mapConfig = this.getMapConfig(this.currentMapId);
+            const nearest = this.findNearestStation(x, y, this.getStationsOnMap(this.currentMapId));
+            const building = mapConfig && mapConfig.building !== undefined
+                ? parseInt(mapConfig.building)
+                : (nearest ? nearest.station.building : 1);
+
+            this.editingStation = {
+                isNew: true,
+                stationId: this.suggestStationId(building),
+                building,
+                x,
+                y,
+                mapId: this.currentMapId,
+                assets: []
+            };
+        }
+
+        this.map.closePopup();
+        this.renderStationEditor();
+        this.showModal('stationEditorModal');
+    }
+
+    renderStationEditor() {
+        const editor = document.getElementById('stationEditor');
+        const station = this.editingStation;
+        if (!editor || !station) return;
+
+        if (!station.isNew && !this.stations.includes(station)) {
+            editor.innerHTML = `<p>${this.t('editor.stationGone')}</p>`;
+            return;
+        }
+
+        const otherStations = this.stations.filter(s => s !== station);
+        const stationOptions = otherStations
+            .map(s => `<option value="${s.stationId}">${s.stationId}</option>`)
+            .join('');
+
+        const assetRows = station.assets.map(asset => `
+            <tr>
+                <td>${this.escapeHtml(asset.assetId)}</td>
+                <td>${this.escapeHtml(asset.assetType)}</td>
+                <td>${this.escapeHtml(asset.type)} ${this.escapeHtml(asset.size)}</td>
+                <td>${this.formatDisplayDate(asset.nextDue)}</td>
+                <td class="station-editor__asset-actions">
+                    <select class="form-control" id="move-asset-${asset.assetId}" aria-label="${this.t('editor.moveLabel', { assetId: this.escapeHtml(asset.assetId) })}">
+                        ${stationOptions}
+                    </select>
+                    <button class="btn btn--secondary btn--sm" onclick="window.app.moveAssetFromEditor('${asset.assetId}')">${this.t('editor.move')}</button>
+                    <button class="btn btn--outline btn--sm" onclick="window.app.removeAssetFromEditor('${asset.assetId}')">${this.t('editor.remove')}</button>
+                </td>
+            </tr>
+        `).join('');
+
+        editor.innerHTML = `
+            <div class="detail-group">
+                <h3>${station.isNew ? this.t('editor.newStation') : this.t('editor.station', { stationId: this.escapeHtml(station.stationId) })}</h3>
+                <div class="station-editor__fields">
+                    <div class="form-group">
+                        <label class="form-label" for="station-editor-id">${this.t('column.stationId')}</label>
+                        <input type="text" class="form-control" id="station-editor-id" value="${this.escapeHtml(station.stationId)}">
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label" for="station-editor-building">${this.t('common.building')}</label>
+                        <input type="number" min="1" class="form-control" id="station-editor-building" value="${station.building}">
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label" for="station-editor-x">X</label>
+                        <input type="number" class="form-control" id="station-editor-x" value="${station.x}">
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label" for="station-editor-y">Y</label>
+                        <input type="number" class="form-control" id="station-editor-y" value="${station.y}">
+                    </div>
+                    <div class="form-group ${this.mapRegistry.maps.length < 2 ? 'hidden' : ''}">
+                        <label class="form-label" for="station-editor-map">${this.t('column.mapId')}</label>
+                        <select class="form-control" id="station-editor-map">
+                            ${this.mapRegistry.maps.map(map => `
+                                <option value="${this.escapeHtml(map.id)}" ${map.id === this.getStationMapId(station) ? 'selected' : ''}>
+                                    ${this.escapeHtml(map.name)}
+                                </option>
+                            `).join('')}
+                        </select>
+                    </div>
+                </div>
+                <div class="dashboard-actions">
+                    <button class="btn btn--primary" onclick="window.app.saveStationFromEditor()">
+                        ${station.isNew ? this.t('editor.create') : this.t('editor.save')}
+                    </button>
+                    ${station.isNew ? '' : `
+                        <button class="btn btn--outline" onclick="window.app.deleteStationFromEditor()">${this.t('editor.delete')}</button>
+                    `}
+                </div>
+            </div>
+            ${station.isNew ? '' : `
+                <div class="detail-group">
+                    <h3>${this.t('editor.assets', { count: station.assets.length })}</h3>
+                    ${station.assets.length > 0 ? `
+                        <table class="history-table">
+                            <thead>
+                                <tr>
+                                    <th>${this.t('popup.id')}</th><th>${this.t('editor.kind')}</th><th>${this.t('popup.type')}</th>
+                                    <th>${this.t('report.nextDue')}</th><th></th>
+                                </tr>
+                            </thead>
+                            <tbody>${assetRows}</tbody>
+                        </table>
+                    ` : `<p>${this.t('editor.noAssets')}</p>`}
+                </div>
+                <div class="detail-group">
+                    <h3>${this.t('editor.addAsset')}</h3>
+                    <div class="station-editor__fields">
+                        <div class="form-group">
+                            <label class="form-label" for="asset-editor-id">${this.t('column.assetId')}</label>
+                            <input type="text" class="form-control" id="asset-editor-id">
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label" for="asset-editor-kind">${this.t('editor.kind')}</label>
+                            <select class="form-control" id="asset-editor-kind">
+                                <option value="extinguisher">${this.t('editor.extinguisher')}</option>
+                                <option value="hose">${this.t('editor.hose')}</option>
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label" for="asset-editor-type">${this.t('filter.agentType')}</label>
+                            <input type="text" class="form-control" id="asset-editor-type" placeholder="${this.t('editor.agentPlaceholder')}">
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label" for="asset-editor-size">${this.t('editor.sizeLength')}</label>
+                            <input type="text" class="form-control" id="asset-editor-size">
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label" for="asset-editor-manufacturer">${this.t('filter.manufacturer')}</label>
+                            <input type="text" class="form-control" id="asset-editor-manufacturer">
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label" for="asset-editor-sticker">${this.t('column.inspectionStickerID')}</label>
+                            <input type="text" class="form-control" id="asset-editor-sticker">
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label" for="asset-editor-last">${this.t('report.lastInspection')}</label>
+                            <input type="date" class="form-control" id="asset-editor-last">
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label" for="asset-editor-next">${this.t('report.nextDue')}</label>
+                            <input type="date" class="form-control" id="asset-editor-next">
+                        </div>
+                    </div>
+                    <button class="btn btn--secondary" onclick="window.app.addAssetFromEditor()">${this.t('editor.addAsset')}</button>
+                </div>
+            `}
+        `;
+    }
+
+    saveStationFromEditor() {
+        const station = this.editingStation;
+        if (!station) return;
+
+        const stationId = document.getElementById('station-editor-id').value.trim();
+        const building = parseInt(document.getElementById('station-editor-building').value);
+        const x = parseFloat(document.getElementById('station-editor-x').value);
+        const y = parseFloat(document.getElementById('station-editor-y').value);
+        const mapId = document.getElementById('station-editor-map').value;
+        const mapConfig = this.getMapConfig(mapId);
+
+        if (!stationId) {
+            this.showError(this.t('editor.stationIdRequired'));
+            return;
+        }
+        if (this.stations.some(s => s !== station && s.stationId === stationId)) {
+            this.showError(this.t('editor.stationIdInUse', { stationId }));
+            return;
+        }
+        if (isNaN(building) || isNaN(x) || isNaN(y)) {
+            this.showError(this.t('editor.notNumbers'));
+            return;
+        }
+        if (x < 0 || x > mapConfig.width || y < 0 || y > mapConfig.height) {
+            this.showError(this.t('editor.outOfBounds', { width: mapConfig.width, height: mapConfig.height, map: mapConfig.name }));
+            return;
+        }
+
+        if (station.isNew) {
+            const newStation = { stationId, building, x, y, assets: [] };
+            if (mapId !== this.mapRegistry.defaultMapId) {
+                newStation.mapId = mapId;
+            }
+            this.editingStation = newStation;
+            this.executeEdit(this.addStationCommand(newStation));
+            return;
+        }
+
+        const changes = {};
+        if (stationId !== station.stationId) changes.stationId = stationId;
+        if (building !== station.building) changes.building = building;
+        if (x !== station.x) changes.x = x;
+        if (y !== station.y) changes.y = y;
+        if (mapId !== this.getStationMapId(station)) changes.mapId = mapId;
+
+        if (Object.keys(changes).length > 0) {
+            this.executeEdit(this.updateStationCommand(station, changes));
+        }
+    }
+
+    deleteStationFromEditor() {
+        const station = this.editingStation;
+        if (!station || station.isNew) return;
+
+        const message = station.assets.length > 0
+            ? this.t('editor.confirmDeleteWithAssets', { stationId: station.stationId, count: station.assets.length })
+            : this.t('editor.confirmDelete', { stationId: station.stationId });
+        if (!confirm(message)) return;
+
+        this.editingStation = null;
+        this.hideModal('stationEditorModal');
+        this.executeEdit(this.deleteStationCommand(station));
+    }
+
+    addAssetFromEditor() {
+        const station = this.editingStation;
+        if (!station || station.isNew) return;
+
+        const value = id => document.getElementById(id).value.trim();
+        const assetId = value('asset-editor-id');
+        const assetType = value('asset-editor-kind');
+        const type = value('asset-editor-type');
+        const size = value('asset-editor-size');
+
+        if (!assetId) {
+            this.showError(this.t('editor.assetIdRequired'));
+            return;
+        }
+        if (this.findAsset(assetId)) {
+            this.showError(this.t('editor.assetIdInUse', { assetId }));
+            return;
+        }
+
+        const asset = {
+            assetId,
+            assetType,
+            type,
+            size,
+            manufacturer: value('asset-editor-manufacturer'),
+            lastInspection: value('asset-editor-last') || null,
+            nextDue: value('asset-editor-next') || null,
+            inspectionStickerID: value('asset-editor-sticker') || 'STK-NOT-ASSIGNED',
+            maintenanceRequired: false,
+            history: []
+        };
+
+        if (assetType === 'hose') {
+            asset.length = size;
+            asset.diameter = '25mm';
+        } else {
+            asset.isoCategory = this.determineISOCategory(type);
+        }
+
+        asset.status = this.calculateRealTimeStatus(asset);
+        asset.originalStatus = asset.status;
+
+        this.executeEdit(this.addAssetCommand(station, asset));
+    }
+
+    removeAssetFromEditor(assetId) {
+        const match = this.findAsset(assetId);
+        if (!match) return;
+
+        if (!confirm(this.t('editor.confirmRemoveAsset', { assetId, stationId: match.station.stationId }))) return;
+        this.executeEdit(this.removeAssetCommand(match.station, match.asset));
+    }
+
+    moveAssetFromEditor(assetId) {
+        const match = this.findAsset(assetId);
+        const select = document.getElementById(`move-asset-${assetId}`);
+        const target = select ? this.findStation(select.value) : null;
+        if (!match || !target) return;
+
+        this.executeEdit(this.moveAssetCommand(match.asset, match.station, target));
+    }
+
+    // CSV import wizard: pick a file, map columns, validate, then replace the dataset
+    setupImportWizard() {
+        const importCSV = document.getElementById('importCSV');
+        const dropZone = document.getElementById('importDropZone');
+        const fileInput = document.getElementById('importFileInput');
+        const wizard = document.getElementById('importWizard');
+
+        if (importCSV) {
+            importCSV.addEventListener('click', () => {
+                this.resetImportWizard();
+                this.hideModal('dashboardModal');
+                this.showModal('importModal');
+            });
+        }
+
+        if (fileInput) {
+            fileInput.addEventListener('change', (e) => {
+                if (e.target.files.length > 0) {
+                    this.readImportFile(e.target.files[0]);
+                }
+            });
+        }
+
+        if (dropZone) {
+            dropZone.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                dropZone.classList.add('import-drop-zone--active');
+            });
+            dropZone.addEventListener('dragleave', () => {
+                dropZone.classList.remove('import-drop-zone--active');
+            });
+            dropZone.addEventListener('drop', (e) => {
+                e.preventDefault();
+                dropZone.classList.remove('import-drop-zone--active');
+                if (e.dataTransfer.files.length > 0) {
+                    this.readImportFile(e.dataTransfer.files[0]);
+                }
+            });
+        }
+
+        if (wizard) {
+            wizard.addEventListener('change', (e) => {
+                if (!this.importState) return;
+
+                const field = e.target.getAttribute('data-import-field');
+                if (field) {
+                    this.importState.mapping[field] = parseInt(e.target.value);
+                } else if (e.target.id === 'importDateFormat') {
+                    this.importState.dateFormat = e.target.value;
+                } else if (e.target.id === 'importSkipInvalid') {
+                    this.importState.skipInvalid = e.target.checked;
+                }
+                this.renderImportWizard();
+            });
+
+            wizard.addEventListener('click', (e) => {
+                if (e.target.id === 'importApply') {
+                    this.applyImport();
+                }
+            });
+        }
     }
 
-    // This script improves the search functionality by normalizing case and handling undefined fields
-handleSearch(query) {
-    const searchSuggestions = document.getElementById('searchSuggestions');
+    resetImportWizard() {
+        const fileInput = document.getElementById('importFileInput');
+        const wizard = document.getElementById('importWizard');
 
-    if (!query.trim()) {
-        if (searchSuggestions) {
-            searchSuggestions.classList.remove('visible');
-            searchSuggestions.innerHTML = '';
-        }
-        return;
+        this.importState = null;
+        if (fileInput) fileInput.value = '';
+        if (wizard) wizard.innerHTML = '';
     }
 
-    const lowerQuery = query.toLowerCase();
-    const matches = [];
+    async readImportFile(file) {
+        try {
+            const text = await file.text();
+            this.parseImportText(text, file.name);
+        } catch (error) {
+            this.showError(this.t('import.readFailed', { fileName: file.name, error: error.message }));
+        }
+    }
 
-    this.stations.forEach(station => {
-        if (station.stationId && station.stationId.toLowerCase().includes(lowerQuery)) {
-            matches.push({
-                type: 'station',
-                station: station,
-                display: `${station.stationId} - ${station.buildingName}`,
-                subtitle: `Station with ${station.assets.length} assets`
-            });
+    parseImportText(csvText, fileName) {
+        if (typeof Papa === 'undefined') {
+            this.showError('Papa Parse library not loaded');
+            return;
         }
 
-        station.assets.forEach(asset => {
-            const assetId = asset.assetId ? asset.assetId.toLowerCase() : '';
-            const type = asset.type ? asset.type.toLowerCase() : '';
-            const manufacturer = asset.manufacturer ? asset.manufacturer.toLowerCase() : '';
-
-            if (assetId.includes(lowerQuery) || type.includes(lowerQuery) || manufacturer.includes(lowerQuery)) {
-                matches.push({
-                    type: 'asset',
-                    station: station,
-                    asset: asset,
-                    display: `${asset.assetId} - ${station.stationId}`,
-                    subtitle: `${asset.assetType}: ${asset.type} ${asset.size}`
-                });
-            }
+        // Parse without headers or typing so every cell stays a raw string
+        const results = Papa.parse(csvText, {
+            header: false,
+            dynamicTyping: false,
+            skipEmptyLines: false
         });
-    });
 
-    if (!searchSuggestions) return;
+        // Keep the source line number of every row for the validation report
+        const rows = results.data
+            .map((cells, index) => ({ line: index + 1, cells }))
+            .filter(row => row.cells.some(cell => String(cell).trim() !== ''));
 
-    if (matches.length === 0) {
-        searchSuggestions.innerHTML = '<div class="suggestion-item">No results found</div>';
-        searchSuggestions.classList.add('visible');
-        return;
+        if (rows.length < 2) {
+            this.showError(this.t('import.noRows', { fileName }));
+            return;
+        }
+
+        const [headerRow, ...sourceRows] = rows;
+        let headers = headerRow.cells.map(cell => String(cell).trim());
+        let dataRows = sourceRows;
+        const legacy = this.isLegacyAssetLayout(headers);
+
+        // Legacy backup layout: derive stations first, then map and validate as usual.
+        // Rows with the wrong column count keep their cells so they are still reported.
+        if (legacy) {
+            const sourceHeaders = headers;
+            const stationRows = this.groupLegacyAssetRows(sourceRows.map(row =>
+                Object.fromEntries(sourceHeaders.map((header, index) => [header, row.cells[index]]))));
+            headers = Object.keys(stationRows[0]);
+            dataRows = sourceRows.map((row, index) => ({
+                line: row.line,
+                cells: row.cells.length === sourceHeaders.length ? headers.map(header => stationRows[index][header]) : row.cells
+            }));
+        }
+
+        const mapping = this.guessColumnMapping(headers);
+
+        this.importState = {
+            fileName,
+            headers,
+            rows: dataRows,
+            mapping,
+            legacy,
+            dateFormat: this.guessDateFormat(dataRows, mapping),
+            skipInvalid: false
+        };
+
+        this.renderImportWizard();
     }
 
-    searchSuggestions.innerHTML = matches.slice(0, 10).map(match => `
-        <div class="suggestion-item" data-station-id="${match.station.stationId}" tabindex="0">
-            <strong>${match.display}</strong>
-            <br><small style="color: #666;">${match.subtitle}</small>
-        </div>
-    `).join('');
+    guessColumnMapping(headers) {
+        const normalize = value => String(value).toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+        const normalizedHeaders = headers.map(normalize);
 
-    searchSuggestions.classList.add('visible');
+        return this.IMPORT_FIELDS.reduce((mapping, field) => {
+            // Also the translated column headers of exports made with localized headers
+            const translated = Object.values(this.messages).map(catalog => catalog[`column.${field.key}`]).filter(Boolean);
+            const candidates = [field.key, ...field.aliases, ...translated].map(normalize);
+            mapping[field.key] = normalizedHeaders.findIndex(header => candidates.includes(header));
+            return mapping;
+        }, {});
+    }
 
-    searchSuggestions.querySelectorAll('.suggestion-item').forEach(item => {
-        item.addEventListener('click', () => {
-            const stationId = item.getAttribute('data-station-id');
-            if (stationId) {
-                this.selectStation(stationId);
+    getImportDateSamples(rows, mapping) {
+        const samples = [];
+        ['lastInspection', 'nextDue'].forEach(field => {
+            if (mapping[field] >= 0) {
+                rows.forEach(row => samples.push(String(row.cells[mapping[field]] || '').trim()));
             }
         });
-    });
-}
+        return samples;
+    }
+
+    guessDateFormat(rows, mapping) {
+        return this.detectDateFormat(this.getImportDateSamples(rows, mapping)).format;
+    }
 
+    // Parse a date in an explicit format; returns YYYY-MM-DD or null when invalid
+    parseDateWithFormat(value, format) {
+        const patterns = {
+            'MM/DD/YYYY': { regex: /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/, order: ['month', 'day', 'year'] },
+            'DD/MM/YYYY': { regex: /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/, order: ['day', 'month', 'year'] },
+            'DD.MM.YYYY': { regex: /^(\d{1,2})\.(\d{1,2})\.(\d{4})$/, order: ['day', 'month', 'year'] },
+            'YYYY-MM-DD': { regex: /^(\d{4})-(\d{1,2})-(\d{1,2})$/, order: ['year', 'month', 'day'] }
+        };
 
-    selectStation(stationId) {
-        const station = this.findStation(stationId);
-        if (!station) return;
-        
-        const searchInput = document.getElementById('searchInput');
-        if (searchInput) {
-            searchInput.value = station.stationId;
-        }
-        
-        const searchSuggestions = document.getElementById('searchSuggestions');
-        if (searchSuggestions) {
-            searchSuggestions.classList.remove('visible');
+        const pattern = patterns[format];
+        const match = pattern && String(value).trim().match(pattern.regex);
+        if (!match) return null;
+
+        const parts = {};
+        pattern.order.forEach((part, index) => {
+            parts[part] = parseInt(match[index + 1]);
+        });
+
+        // Reject dates that roll over, e.g. 31/02/2025
+        const date = new Date(parts.year, parts.month - 1, parts.day);
+        if (date.getFullYear() !== parts.year || date.getMonth() !== parts.month - 1 || date.getDate() !== parts.day) {
+            return null;
         }
-        
-        this.clearBlinkingMarker();
-        
-        this.markersLayer.eachLayer(layer => {
-            if (layer.station && layer.station.stationId === stationId) {
-                const markerElement = layer.getElement();
-                if (markerElement) {
-                    const markerDiv = markerElement.querySelector('.station-marker');
-                    if (markerDiv) {
-                        markerDiv.classList.add('marker-blinking');
-                        this.blinkingMarker = markerDiv;
-                    }
+
+        return this.formatISODate(date);
+    }
+
+    // Validate mapped rows; returns accepted row values and issues with line numbers
+    validateImport() {
+        const { headers, rows, mapping, dateFormat } = this.importState;
+        const knownStatuses = [...this.statusPriority, 'unknown'];
+        const issues = [];
+        const records = [];
+        const seenAssets = new Map();
+        const stationBuildings = new Map();
+        const label = key => this.IMPORT_FIELDS.find(field => field.key === key).label;
+
+        this.IMPORT_FIELDS.forEach(field => {
+            if (field.required && mapping[field.key] < 0) {
+                issues.push({ line: null, severity: 'error', message: this.t('import.unmapped', { column: label(field.key) }) });
+            }
+        });
+
+        rows.forEach(row => {
+            const rowIssues = [];
+            const addIssue = (severity, message) => rowIssues.push({ line: row.line, severity, message });
+            const values = {};
+
+            this.IMPORT_FIELDS.forEach(field => {
+                const index = mapping[field.key];
+                values[field.key] = index >= 0 ? String(row.cells[index] === undefined ? '' : row.cells[index]).trim() : '';
+            });
+
+            if (row.cells.length !== headers.length) {
+                addIssue('error', this.t('import.columnCount', { expected: headers.length, found: row.cells.length }));
+            }
+
+            this.IMPORT_FIELDS.forEach(field => {
+                if (field.required && mapping[field.key] >= 0 && !values[field.key]) {
+                    addIssue('error', this.t('import.missing', { column: label(field.key) }));
+                }
+            });
+
+            ['x', 'y'].forEach(field => {
+                if (values[field] && !/^-?\d+(\.\d+)?$/.test(values[field])) {
+                    addIssue('error', this.t('import.coordinateNotNumber', { column: label(field), value: values[field] }));
+                }
+            });
+
+            if (values.building && !/^\d+$/.test(values.building)) {
+                addIssue('error', this.t('import.notNumber', { column: label('building'), value: values.building }));
+            }
+
+            ['lastInspection', 'nextDue'].forEach(field => {
+                if (!values[field]) {
+                    if (mapping[field] >= 0) addIssue('warning', this.t('import.missing', { column: label(field) }));
+                    return;
+                }
+                const parsed = this.parseDateWithFormat(values[field], dateFormat);
+                if (parsed) {
+                    values[field] = parsed;
+                } else {
+                    addIssue('error', this.t('import.dateMismatch', { column: label(field), value: values[field], format: dateFormat }));
+                }
+            });
+
+            if (values.lastInspection && values.nextDue && /^\d{4}-/.test(values.lastInspection) &&
+                /^\d{4}-/.test(values.nextDue) && values.nextDue < values.lastInspection) {
+                addIssue('warning', this.t('import.dueBeforeInspection', { nextDue: label('nextDue'), lastInspection: label('lastInspection') }));
+            }
+
+            if (values.assetType && !['extinguisher', 'hose'].includes(values.assetType.toLowerCase())) {
+                addIssue('error', this.t('import.unknownAssetType', { value: values.assetType }));
+            } else if (values.assetType) {
+                values.assetType = values.assetType.toLowerCase();
+            }
+
+            if (values.status && !knownStatuses.includes(values.status)) {
+                addIssue('error', this.t('import.unknownStatus', { value: values.status }));
+            }
+
+            if (values.isoCategory && !/^\d+$/.test(values.isoCategory)) {
+                addIssue('error', this.t('import.notNumber', { column: label('isoCategory'), value: values.isoCategory }));
+            }
+
+            if (values.assetId) {
+                if (seenAssets.has(values.assetId)) {
+                    addIssue('error', this.t('import.duplicateAsset', { assetId: values.assetId, line: seenAssets.get(values.assetId) }));
+                } else {
+                    seenAssets.set(values.assetId, row.line);
+                }
+            }
+
+            if (values.stationId && values.building) {
+                const building = stationBuildings.get(values.stationId);
+                if (building === undefined) {
+                    stationBuildings.set(values.stationId, values.building);
+                } else if (building !== values.building) {
+                    addIssue('warning', this.t('import.stationBuilding', { stationId: values.stationId, building }));
                 }
-                
-                const latLng = [this.MAP_HEIGHT - station.y, station.x];
-                this.map.setView(latLng, 1);
             }
+
+            issues.push(...rowIssues);
+            records.push({
+                line: row.line,
+                values,
+                valid: !rowIssues.some(issue => issue.severity === 'error')
+            });
         });
-        
-        this.selectedStation = station;
+
+        return { records, issues };
     }
 
-    clearSearch() {
-        const searchInput = document.getElementById('searchInput');
-        const searchSuggestions = document.getElementById('searchSuggestions');
-        
-        if (searchInput) {
-            searchInput.value = '';
-        }
-        if (searchSuggestions) {
-            searchSuggestions.classList.remove('visible');
-        }
-        this.clearBlinkingMarker();
+    renderImportWizard() {
+        const wizard = document.getElementById('importWizard');
+        if (!wizard || !this.importState) return;
+
+        const { fileName, headers, rows, mapping, legacy, dateFormat, skipInvalid } = this.importState;
+        const { records, issues } = this.validateImport();
+        const errors = issues.filter(issue => issue.severity === 'error');
+        const warnings = issues.filter(issue => issue.severity === 'warning');
+        const blocked = issues.some(issue => issue.line === null);
+        const validCount = records.filter(record => record.valid).length;
+        const invalidCount = records.length - validCount;
+        const canImport = !blocked && validCount > 0 && (invalidCount === 0 || skipInvalid);
+
+        const columnOptions = selected => [
+            `<option value="-1"${selected < 0 ? ' selected' : ''}>${this.t('import.notMapped')}</option>`,
+            ...headers.map((header, index) =>
+                `<option value="${index}"${selected === index ? ' selected' : ''}>${this.escapeHtml(header)}</option>`)
+        ].join('');
+
+        const dateDetection = this.detectDateFormat(this.getImportDateSamples(rows, mapping));
+        const previewRecords = records.slice(0, 10);
+        const mappedFields = this.IMPORT_FIELDS.filter(field => mapping[field.key] >= 0);
+        const shownIssues = issues.slice(0, 200);
+
+        wizard.innerHTML = `
+            <p class="import-summary">
+                <strong>${this.escapeHtml(fileName)}</strong>: ${this.t('import.size', {
+                    rows: this.t('import.rows', { count: rows.length }),
+                    columns: this.t('import.columns', { count: headers.length })
+                })}
+                ${legacy ? `<br>${this.t('import.legacy')}` : ''}
+            </p>
+
+            <div class="detail-group">
+                <h3>${this.t('import.mapping')}</h3>
+                <div class="import-mapping">
+                    ${this.IMPORT_FIELDS.map(field => `
+                        <label class="form-label" for="import-map-${field.key}">
+                            ${field.label}${field.required ? ' *' : ''}
+                        </label>
+                        <select class="form-control" id="import-map-${field.key}" data-import-field="${field.key}">
+                            ${columnOptions(mapping[field.key])}
+                        </select>
+                    `).join('')}
+                </div>
+                <div class="form-group">
+                    <label class="form-label" for="importDateFormat">${this.t('import.dateFormat')}</label>
+                    <select class="form-control" id="importDateFormat">
+                        ${this.DATE_FORMATS.map(format =>
+                            `<option value="${format}"${format === dateFormat ? ' selected' : ''}>${format}</option>`).join('')}
+                    </select>
+                    ${dateDetection.ambiguous ? `
+                        <p class="import-issue--warning">
+                            ${this.t('import.ambiguousDates', { example: this.escapeHtml(dateDetection.example) })}
+                        </p>
+                    ` : ''}
+                </div>
+            </div>
+
+            <div class="detail-group">
+                <h3>${this.t('import.preview', { count: previewRecords.length })}</h3>
+                <div class="import-preview">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>${this.t('import.line')}</th>
+                                ${mappedFields.map(field => `<th>${field.label}</th>`).join('')}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${previewRecords.map(record => `
+                                <tr class="${record.valid ? '' : 'import-row--invalid'}">
+                                    <td>${record.line}</td>
+                                    ${mappedFields.map(field => `<td>${this.escapeHtml(record.values[field.key])}</td>`).join('')}
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+
+            <div class="detail-group">
+                <h3>${this.t('import.report')}</h3>
+                <p>${this.t('import.reportSummary', {
+                    valid: this.t('import.validRows', { count: validCount }),
+                    invalid: this.t('import.invalidRows', { count: invalidCount }),
+                    warnings: this.t('import.warnings', { count: warnings.length })
+                })}</p>
+                <ul class="import-issues">
+                    ${shownIssues.map(issue => `
+                        <li class="import-issue import-issue--${issue.severity}">
+                            ${issue.line === null ? '' : `<strong>${this.t('import.lineNumber', { line: issue.line })}</strong> `}${this.escapeHtml(issue.message)}
+                        </li>
+                    `).join('')}
+                    ${issues.length > shownIssues.length ? `<li>${this.t('import.more', { count: issues.length - shownIssues.length })}</li>` : ''}
+                </ul>
+                ${errors.length > 0 && !blocked ? `
+                    <label class="import-skip">
+                        <input type="checkbox" id="importSkipInvalid"${skipInvalid ? ' checked' : ''}>
+                        ${this.t('import.skipInvalid', { count: invalidCount })}
+                    </label>
+                ` : ''}
+            </div>
+
+            <button id="importApply" class="btn btn--primary btn--full-width"${canImport ? '' : ' disabled'}>
+                ${this.t('import.apply', { count: validCount })}
+            </button>
+        `;
     }
 
-    clearBlinkingMarker() {
-        if (this.blinkingMarker) {
-            this.blinkingMarker.classList.remove('marker-blinking');
-            this.blinkingMarker = null;
+    async applyImport() {
+        if (!this.importState) return;
+
+        const { records, issues } = this.validateImport();
+        const validRecords = records.filter(record => record.valid);
+
+        if (issues.some(issue => issue.line === null) || validRecords.length === 0 ||
+            (validRecords.length < records.length && !this.importState.skipInvalid)) {
+            return;
         }
+
+        const data = this.convertCSVToJSON(validRecords.map(record => record.values));
+        await this.replaceDataset(data);
+        await this.queueChange('dataset', { buildings: this.buildings, stations: this.stations });
+
+        console.log(`Imported ${validRecords.length} rows from ${this.importState.fileName}`);
+        this.resetImportWizard();
+        this.hideModal('importModal');
+        alert(this.t('import.done', {
+            stations: this.t('buildings.stations', { count: this.stations.length }),
+            assets: this.t('buildings.assets', { count: this.getTotalAssets() })
+        }));
     }
 
-    findStation(stationId) {
-        return this.stations.find(station => station.stationId === stationId);
+    // Replace the active dataset and rebuild everything derived from it
+    async replaceDataset(data) {
+        this.processLoadedData(data);
+        await this.applyStoredRecords();
+
+        this.selectedStation = null;
+        this.clearEditHistory();
+        this.rebuildMarkers();
+        this.updateStats();
+        this.populateBuildings();
     }
 
-    fitToMarkers() {
-        if (this.markersLayer.getLayers().length === 0) {
-            const imageBounds = [[0, 0], [this.MAP_HEIGHT, this.MAP_WIDTH]];
-            this.map.fitBounds(imageBounds);
-            return;
+    // Dataset compare: diff two copies of the data (current, CSV or JSON exports from
+    // other tablets) per station and asset, pick a side per difference and merge
+    setupCompare() {
+        const openCompare = document.getElementById('openCompare');
+        const compareResult = document.getElementById('compareResult');
+
+        if (openCompare) {
+            openCompare.addEventListener('click', () => {
+                this.resetCompare();
+                this.hideModal('dashboardModal');
+                this.showModal('compareModal');
+            });
+        }
+
+        document.querySelectorAll('[data-compare-current]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.setCompareSide(button.getAttribute('data-compare-current'), null, this.getCurrentDataset());
+            });
+        });
+
+        document.querySelectorAll('[data-compare-side]').forEach(input => {
+            input.addEventListener('change', (e) => {
+                if (e.target.files.length > 0) {
+                    this.readCompareFile(input.getAttribute('data-compare-side'), e.target.files[0]);
+                }
+            });
+        });
+
+        if (compareResult) {
+            compareResult.addEventListener('change', (e) => {
+                const index = e.target.getAttribute('data-compare-index');
+                if (index !== null) {
+                    this.compareState.differences[parseInt(index)].choice = e.target.value;
+                } else if (e.target.id === 'compareKind') {
+                    this.compareState.kind = e.target.value;
+                    this.renderCompare();
+                }
+            });
         }
-        
-        const group = new L.featureGroup(this.markersLayer.getLayers());
-        this.map.fitBounds(group.getBounds().pad(0.1));
     }
 
-    showModal(modalId) {
-        const modal = document.getElementById(modalId);
-        if (modal) {
-            modal.classList.add('visible');
+    resetCompare() {
+        document.querySelectorAll('[data-compare-side]').forEach(input => {
+            input.value = '';
+        });
+
+        this.compareState = { a: null, b: null, differences: [], kind: '' };
+        this.setCompareSide('a', null, this.getCurrentDataset());
+    }
+
+    getCurrentDataset() {
+        return { buildings: this.buildings, stations: this.stations };
+    }
+
+    async readCompareFile(side, file) {
+        try {
+            this.setCompareSide(side, file.name, await this.readDatasetFile(file));
+        } catch (error) {
+            this.showError(this.t('import.readFailed', { fileName: file.name, error: error.message }));
         }
     }
 
-    hideModal(modalId) {
-        const modal = document.getElementById(modalId);
-        if (modal) {
-            modal.classList.remove('visible');
+    // JSON exports (exportData format) or CSV files, in any supported schema version
+    async readDatasetFile(file) {
+        const text = await file.text();
+        let data;
+
+        if (/\.json$/i.test(file.name) || text.trim().startsWith('{')) {
+            data = this.migrateDataset(JSON.parse(text));
+        } else {
+            if (typeof Papa === 'undefined') {
+                throw new Error('Papa Parse library not loaded');
+            }
+            const results = Papa.parse(text, { header: true, dynamicTyping: false, skipEmptyLines: true });
+            data = this.migrateDataset(this.convertCSVRowsToDataset(results.data));
+        }
+
+        if (!data || !Array.isArray(data.stations) || data.stations.length === 0) {
+            throw new Error(this.t('compare.noStations'));
         }
+        return data;
     }
 
-    updateStats() {
-        const stats = {
-            totalStations: this.stations.length,
-            totalAssets: this.getTotalAssets(),
-            good: 0,
-            inspection_due_soon: 0,
-            overdue: 0,
-            maintenance_required: 0
-        };
-        
-        this.stations.forEach(station => {
-            station.assets.forEach(asset => {
-                asset.status = this.calculateRealTimeStatus(asset);
-                stats[asset.status] = (stats[asset.status] || 0) + 1;
-            });
-        });
-        
-        const totalCount = document.getElementById('totalCount');
-        const goodCount = document.getElementById('goodCount');
-        const dueSoonCount = document.getElementById('dueSoonCount');
-        const overdueCount = document.getElementById('overdueCount');
-        const maintenanceCount = document.getElementById('maintenanceCount');
-        
-        if (totalCount) totalCount.textContent = stats.totalAssets;
-        if (goodCount) goodCount.textContent = stats.good;
-        if (dueSoonCount) dueSoonCount.textContent = stats.inspection_due_soon;
-        if (overdueCount) overdueCount.textContent = stats.overdue;
-        if (maintenanceCount) maintenanceCount.textContent = stats.maintenance_required;
+    // A null name is the current data, labeled in the active language
+    setCompareSide(side, name, data) {
+        this.compareState[side] = { name, data };
+
+        const { a, b } = this.compareState;
+        this.compareState.differences = a && b ? this.getDatasetDifferences(a.data, b.data) : [];
+        this.renderCompare();
     }
 
-    populateBuildings() {
-        const buildingsList = document.getElementById('buildingsList');
-        
-        if (!buildingsList) return;
-        
-        if (this.buildings.length === 0) {
-            buildingsList.innerHTML = '<div class="building-item">No buildings available</div>';
-            return;
-        }
-        
-        buildingsList.innerHTML = this.buildings.map(building => {
-            const buildingStations = this.stations.filter(s => s.building === building.id);
-            const totalAssets = buildingStations.reduce((sum, s) => sum + s.assets.length, 0);
-            
-            return `
-                <div class="building-item" data-building="${building.id}" style="border-left: 4px solid ${building.color}; padding: 10px; margin: 5px 0; cursor: pointer;">
-                    <h3>${building.name}</h3>
-                    <p>${building.stations} stations / ${totalAssets} assets</p>
-                    <small style="color: #666;">
-                        ${this.getBuildingStats(building.id)}
-                    </small>
-                </div>
-            `;
-        }).join('');
-        
-        buildingsList.querySelectorAll('.building-item').forEach(item => {
-            item.addEventListener('click', () => {
-                const buildingId = parseInt(item.getAttribute('data-building'));
-                this.focusOnBuilding(buildingId);
-                this.hideModal('buildingsModal');
+    // Copy of a station without the fields the app derives on load
+    cleanCompareStation(station) {
+        const { buildingName, buildingColor, status, ...fields } = JSON.parse(JSON.stringify(station));
+        fields.assets = (fields.assets || []).map(asset => this.cleanCompareAsset(asset));
+        return fields;
+    }
+
+    cleanCompareAsset(asset) {
+        const { originalStatus, ...fields } = JSON.parse(JSON.stringify(asset));
+        if (originalStatus !== undefined) fields.status = originalStatus;
+        fields.history = Array.isArray(fields.history) ? fields.history : [];
+        return fields;
+    }
+
+    getFieldChanges(a, b, fields) {
+        const normalize = value => (value === undefined || value === null ? '' : String(value).trim());
+        return fields
+            .filter(field => normalize(a[field]) !== normalize(b[field]))
+            .map(field => ({ field, a: a[field], b: b[field] }));
+    }
+
+    // Differences from A to B; each starts out keeping A, except assets inspected more recently in B
+    getDatasetDifferences(dataA, dataB) {
+        const stationsA = new Map(dataA.stations.map(station => [station.stationId, this.cleanCompareStation(station)]));
+        const stationsB = new Map(dataB.stations.map(station => [station.stationId, this.cleanCompareStation(station)]));
+        const stationIds = [...new Set([...stationsA.keys(), ...stationsB.keys()])]
+            .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+        const differences = [];
+
+        stationIds.forEach(stationId => {
+            const a = stationsA.get(stationId);
+            const b = stationsB.get(stationId);
+
+            if (!a || !b) {
+                differences.push({ level: 'station', kind: a ? 'removed' : 'added', stationId, a, b, choice: 'a' });
+                return;
+            }
+
+            const stationChanges = this.getFieldChanges(a, b, this.COMPARE_STATION_FIELDS);
+            if (stationChanges.length > 0) {
+                const moved = stationChanges.some(change => change.field !== 'building');
+                differences.push({ level: 'station', kind: moved ? 'moved' : 'changed', stationId, a, b, changes: stationChanges, choice: 'a' });
+            }
+
+            const assetsA = new Map(a.assets.map(asset => [asset.assetId, asset]));
+            const assetsB = new Map(b.assets.map(asset => [asset.assetId, asset]));
+            [...new Set([...assetsA.keys(), ...assetsB.keys()])].forEach(assetId => {
+                const assetA = assetsA.get(assetId);
+                const assetB = assetsB.get(assetId);
+
+                if (!assetA || !assetB) {
+                    differences.push({ level: 'asset', kind: assetA ? 'removed' : 'added', stationId, assetId, a: assetA, b: assetB, choice: 'a' });
+                    return;
+                }
+
+                const changes = this.getFieldChanges(assetA, assetB, this.COMPARE_ASSET_FIELDS);
+                if (changes.length > 0) {
+                    const newerInB = assetA.lastInspection && assetB.lastInspection && assetB.lastInspection > assetA.lastInspection;
+                    differences.push({ level: 'asset', kind: 'changed', stationId, assetId, a: assetA, b: assetB, changes, choice: newerInB ? 'b' : 'a' });
+                }
             });
         });
+
+        return differences;
     }
 
-    getBuildingStats(buildingId) {
-        const buildingStations = this.stations.filter(s => s.building === buildingId);
-        const statusCounts = {
-            good: 0,
-            inspection_due_soon: 0,
-            overdue: 0,
-            maintenance_required: 0
-        };
-        
-        buildingStations.forEach(station => {
-            station.assets.forEach(asset => {
-                statusCounts[asset.status] = (statusCounts[asset.status] || 0) + 1;
-            });
+    setAllCompareChoices(side) {
+        this.compareState.differences.forEach(difference => {
+            difference.choice = side;
         });
-        
-        return `${statusCounts.good} good, ${statusCounts.inspection_due_soon} due soon, ${statusCounts.overdue} overdue, ${statusCounts.maintenance_required} maintenance`;
+        this.renderCompare();
     }
 
-    focusOnBuilding(buildingId) {
-        const buildingStations = this.stations.filter(s => s.building === buildingId);
-        
-        if (buildingStations.length === 0) return;
-        
-        const minX = Math.min(...buildingStations.map(s => s.x));
-        const maxX = Math.max(...buildingStations.map(s => s.x));
-        const minY = Math.min(...buildingStations.map(s => s.y));
-        const maxY = Math.max(...buildingStations.map(s => s.y));
-        
-        const centerX = (minX + maxX) / 2;
-        const centerY = (minY + maxY) / 2;
-        
-        const latLng = [this.MAP_HEIGHT - centerY, centerX];
-        this.map.setView(latLng, -1);
-    }
+    renderCompare() {
+        const compareResult = document.getElementById('compareResult');
+        const { a, b, differences, kind } = this.compareState;
+        const nameOf = side => (side.name === null ? this.t('compare.current') : side.name);
 
-    showStationDetails(stationId) {
-        const station = this.findStation(stationId);
-        if (station) {
-            this.selectedStation = station;
-            this.showStationInfo(station);
+        const nameA = document.getElementById('compareNameA');
+        const nameB = document.getElementById('compareNameB');
+        if (nameA) nameA.textContent = a ? nameOf(a) : this.t('compare.noFile');
+        if (nameB) nameB.textContent = b ? nameOf(b) : this.t('compare.noFile');
+        if (!compareResult) return;
+
+        if (!a || !b) {
+            compareResult.innerHTML = `<p class="alert-note">${this.t('compare.hint')}</p>`;
+            return;
         }
-    }
 
-    showStationInfo(station) {
-        const stationInfo = document.getElementById('extinguisherInfo');
-        
-        if (!stationInfo) return;
-        
-        if (!station) {
-            stationInfo.innerHTML = '<p>No station selected. Click on a marker to view details.</p>';
-            this.showModal('infoModal');
+        if (differences.length === 0) {
+            compareResult.innerHTML = `<p>${this.t('compare.same', { a: this.escapeHtml(nameOf(a)), b: this.escapeHtml(nameOf(b)) })}</p>`;
             return;
         }
-        
-        const extinguishers = station.assets.filter(a => a.assetType === 'extinguisher');
-        const hoses = station.assets.filter(a => a.assetType === 'hose');
-        
-        let content = `
-            <div class="station-details">
-                <div class="detail-group">
-                    <h3>Station Information</h3>
-                    <div class="detail-row">
-                        <span class="detail-label">Station ID:</span>
-                        <span class="detail-value">${station.stationId}</span>
-                    </div>
-                    <div class="detail-row">
-                        <span class="detail-label">Building:</span>
-                        <span class="detail-value">${station.buildingName}</span>
-                    </div>
-                    <div class="detail-row">
-                        <span class="detail-label">Location:</span>
-                        <span class="detail-value">${station.x}, ${station.y}</span>
-                    </div>
-                    <div class="detail-row">
-                        <span class="detail-label">Total Assets:</span>
-                        <span class="detail-value">${station.assets.length}</span>
-                    </div>
-                </div>
+
+        const kindLabels = Object.fromEntries(['added', 'removed', 'moved', 'changed'].map(key => [key, this.t(`compare.${key}`)]));
+        const counts = differences.reduce((totals, difference) => {
+            totals[difference.kind] = (totals[difference.kind] || 0) + 1;
+            return totals;
+        }, {});
+        const shown = differences
+            .map((difference, index) => ({ difference, index }))
+            .filter(({ difference }) => !kind || difference.kind === kind);
+
+        // Field names are the data's own keys; the import column names label them where they exist
+        const fieldLabel = field => {
+            const label = this.t(`column.${field}`);
+            return label === `column.${field}` ? field : label;
+        };
+        const formatValue = value => (value === undefined || value === null || value === '' ? '—' : this.escapeHtml(value));
+        const describe = difference => {
+            if (difference.changes) {
+                return difference.changes.map(change => `
+                    <span class="compare-change">${this.escapeHtml(fieldLabel(change.field))}: <del>${formatValue(change.a)}</del> → <ins>${formatValue(change.b)}</ins></span>
+                `).join('');
+            }
+            const item = difference.a || difference.b;
+            const where = this.t('compare.onlyIn', { name: this.escapeHtml(nameOf(difference.kind === 'added' ? b : a)) });
+            return difference.level === 'station'
+                ? `${this.t('buildings.assets', { count: item.assets.length })}, ${where}`
+                : `${this.escapeHtml([item.type, item.size].filter(Boolean).join(' '))} ${where}`;
+        };
+
+        compareResult.innerHTML = `
+            <div class="compare-toolbar">
+                <select id="compareKind" class="form-control" aria-label="${this.t('compare.show')}">
+                    <option value="">${this.t('compare.all', { count: differences.length })}</option>
+                    ${Object.keys(kindLabels).filter(key => counts[key]).map(key => `
+                        <option value="${key}" ${kind === key ? 'selected' : ''}>${kindLabels[key]} (${counts[key]})</option>
+                    `).join('')}
+                </select>
+                <button class="btn btn--outline btn--sm" onclick="window.app.setAllCompareChoices('a')">${this.t('compare.keepAll', { side: 'A' })}</button>
+                <button class="btn btn--outline btn--sm" onclick="window.app.setAllCompareChoices('b')">${this.t('compare.keepAll', { side: 'B' })}</button>
+            </div>
+            <p class="alert-note">${this.t('compare.note')}</p>
+            <div class="compare-list">
+                <table class="history-table compare-table">
+                    <thead>
+                        <tr>
+                            <th>${this.t('common.station')}</th><th>${this.t('alerts.asset')}</th><th>${this.t('compare.difference')}</th>
+                            <th>${this.t('compare.details')}</th><th>${this.t('compare.keep')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${shown.slice(0, this.MAX_COMPARE_ROWS).map(({ difference, index }) => `
+                            <tr>
+                                <td>${this.escapeHtml(difference.stationId)}</td>
+                                <td>${difference.level === 'asset' ? this.escapeHtml(difference.assetId) : '—'}</td>
+                                <td><span class="compare-kind compare-kind--${difference.kind}">${kindLabels[difference.kind]}</span></td>
+                                <td>${describe(difference)}</td>
+                                <td class="compare-choice">
+                                    <label><input type="radio" name="compare-choice-${index}" value="a" data-compare-index="${index}" ${difference.choice === 'a' ? 'checked' : ''}> A</label>
+                                    <label><input type="radio" name="compare-choice-${index}" value="b" data-compare-index="${index}" ${difference.choice === 'b' ? 'checked' : ''}> B</label>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                ${shown.length > this.MAX_COMPARE_ROWS ? `<p class="alert-note">${this.t('compare.more', { count: shown.length - this.MAX_COMPARE_ROWS })}</p>` : ''}
+            </div>
+            <div class="dashboard-actions">
+                <button class="btn btn--secondary" onclick="window.app.exportMergedDataset()">${this.t('compare.exportMerged')}</button>
+                <button class="btn btn--primary" onclick="window.app.applyMergedDataset()">${this.t('compare.useMerged')}</button>
+            </div>
         `;
-        
-        if (extinguishers.length > 0) {
-            content += `
-                <div class="detail-group">
-                    <h3>Fire Extinguishers (${extinguishers.length})</h3>
-            `;
-            
-            extinguishers.forEach(ext => {
-                const statusDetails = this.getStatusDetails(ext);
-                const statusColor = this.statusColors[ext.status];
-                
-                content += `
-                    <div style="border: 1px solid var(--color-border); border-radius: 8px; padding: 12px; margin-bottom: 8px;">
-                        <div class="detail-row">
-                            <span class="detail-label">Asset ID:</span>
-                            <span class="detail-value">${ext.assetId}</span>
-                        </div>
-                        <div class="detail-row">
-                            <span class="detail-label">Type:</span>
-                            <span class="detail-value">${ext.type} (${ext.size})</span>
-                        </div>
-                        <div class="detail-row">
-                            <span class="detail-label">Manufacturer:</span>
-                            <span class="detail-value">${ext.manufacturer}</span>
-                        </div>
-                        <div class="detail-row">
-                            <span class="detail-label">ISO Category:</span>
-                            <span class="detail-value">${ext.isoCategory}</span>
-                        </div>
-                        <div class="detail-row">
-                            <span class="detail-label">Status:</span>
-                            <span class="detail-value" style="color: ${statusColor}; font-weight: bold;">
-                                ${statusDetails.icon} ${statusDetails.label}
-                            </span>
-                        </div>
-                        <div class="detail-row">
-                            <span class="detail-label">Next Due:</span>
-                            <span class="detail-value">${ext.nextDue}</span>
-                        </div>
-                    </div>
-                `;
-            });
-            
-            content += `</div>`;
-        }
-        
-        if (hoses.length > 0) {
-            content += `
-                <div class="detail-group">
-                    <h3>Fire Hoses (${hoses.length})</h3>
-            `;
-            
-            hoses.forEach(hose => {
-                const statusDetails = this.getStatusDetails(hose);
-                const statusColor = this.statusColors[hose.status];
-                
-                content += `
-                    <div style="border: 1px solid var(--color-border); border-radius: 8px; padding: 12px; margin-bottom: 8px;">
-                        <div class="detail-row">
-                            <span class="detail-label">Asset ID:</span>
-                            <span class="detail-value">${hose.assetId}</span>
-                        </div>
-                        <div class="detail-row">
-                            <span class="detail-label">Length:</span>
-                            <span class="detail-value">${hose.length}</span>
-                        </div>
-                        <div class="detail-row">
-                            <span class="detail-label">Manufacturer:</span>
-                            <span class="detail-value">${hose.manufacturer}</span>
-                        </div>
-                        <div class="detail-row">
-                            <span class="detail-label">Status:</span>
-                            <span class="detail-value" style="color: ${statusColor}; font-weight: bold;">
-                                ${statusDetails.icon} ${statusDetails.label}
-                            </span>
-                        </div>
-                        <div class="detail-row">
-                            <span class="detail-label">Next Due:</span>
-                            <span class="detail-value">${hose.nextDue}</span>
-                        </div>
-                    </div>
-                `;
+    }
+
+    // Start from A and apply every difference where B was picked
+    buildMergedDataset() {
+        const { a, b, differences } = this.compareState;
+        const stations = a.data.stations.map(station => this.cleanCompareStation(station));
+
+        differences.filter(difference => difference.choice === 'b').forEach(difference => {
+            const station = stations.find(existing => existing.stationId === difference.stationId);
+
+            if (difference.level === 'station') {
+                if (difference.kind === 'added') {
+                    stations.push(this.cleanCompareStation(difference.b));
+                } else if (difference.kind === 'removed') {
+                    stations.splice(stations.indexOf(station), 1);
+                } else {
+                    this.COMPARE_STATION_FIELDS.forEach(field => {
+                        if (difference.b[field] === undefined) {
+                            delete station[field];
+                        } else {
+                            station[field] = difference.b[field];
+                        }
+                    });
+                }
+                return;
+            }
+
+            // The station itself was dropped by another choice
+            if (!station) return;
+
+            const index = station.assets.findIndex(asset => asset.assetId === difference.assetId);
+            if (difference.kind === 'added') {
+                station.assets.push(this.cleanCompareAsset(difference.b));
+            } else if (difference.kind === 'removed') {
+                station.assets.splice(index, 1);
+            } else {
+                station.assets[index] = this.cleanCompareAsset(difference.b);
+            }
+        });
+
+        // History is an append-only log, so events recorded on either side are kept
+        const histories = new Map();
+        [a.data, b.data].forEach(data => data.stations.forEach(station => (station.assets || []).forEach(asset => {
+            const key = `${station.stationId}|${asset.assetId}`;
+            const events = histories.get(key) || [];
+            (asset.history || []).forEach(event => {
+                if (!events.some(existing => existing.eventId === event.eventId)) {
+                    events.push(event);
+                }
             });
-            
-            content += `</div>`;
-        }
-        
-        content += `</div>`;
-        
-        stationInfo.innerHTML = content;
-        this.showModal('infoModal');
+            histories.set(key, events);
+        })));
+
+        stations.forEach(station => station.assets.forEach(asset => {
+            const events = histories.get(`${station.stationId}|${asset.assetId}`);
+            if (events) {
+                asset.history = JSON.parse(JSON.stringify(events))
+                    .sort((first, second) => String(first.date).localeCompare(String(second.date)));
+            }
+        }));
+
+        const buildings = JSON.parse(JSON.stringify(a.data.buildings || []));
+        (b.data.buildings || []).forEach(building => {
+            if (!buildings.some(existing => existing.id === building.id)) {
+                buildings.push(JSON.parse(JSON.stringify(building)));
+            }
+        });
+
+        return { buildings, stations };
+    }
+
+    exportMergedDataset() {
+        const merged = this.buildMergedDataset();
+        const timestamp = new Date().toISOString().split('T')[0];
+        const json = JSON.stringify({
+            schemaVersion: this.getCurrentSchemaVersion(),
+            exported_at: new Date().toISOString(),
+            total_stations: merged.stations.length,
+            total_assets: merged.stations.reduce((total, station) => total + station.assets.length, 0),
+            buildings: merged.buildings,
+            stations: merged.stations
+        }, null, 2);
+        this.downloadFile(json, `fire_safety_stations_merged_${timestamp}.json`, 'application/json');
+    }
+
+    async applyMergedDataset() {
+        const merged = this.buildMergedDataset();
+        if (!confirm(this.t('compare.confirmReplace', { stations: this.t('buildings.stations', { count: merged.stations.length }) }))) return;
+
+        await this.replaceDataset(merged);
+        await this.queueChange('dataset', { buildings: this.buildings, stations: this.stations });
+
+        const { a, b } = this.compareState;
+        console.log(`Merged ${a.name || 'current data'} with ${b.name || 'current data'}`);
+        this.hideModal('compareModal');
+        alert(this.t('compare.merged', {
+            stations: this.t('buildings.stations', { count: this.stations.length }),
+            assets: this.t('buildings.assets', { count: this.getTotalAssets() })
+        }));
+    }
+
+    escapeHtml(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
 
     exportData(format) {
         const timestamp = new Date().toISOString().split('T')[0];
         
         if (format === 'csv') {
-            const csv = this.convertToCSV();
+            const localizedHeaders = document.getElementById('exportLocalizedHeaders');
+            const csv = this.convertToCSV({ localizedHeaders: !!(localizedHeaders && localizedHeaders.checked) });
             this.downloadFile(csv, `fire_safety_stations_${timestamp}.csv`, 'text/csv');
         } else if (format === 'json') {
             const exportData = {
+                schemaVersion: this.getCurrentSchemaVersion(),
                 exported_at: new Date().toISOString(),
                 total_stations: this.stations.length,
                 total_assets: this.getTotalAssets(),
@@ -1096,11 +7557,23 @@ handleSearch(query) {
         }
     }
 
-    convertToCSV() {
-        const headers = ['stationId', 'building', 'buildingName', 'x', 'y', 'assetId', 'assetType', 'type', 'size', 'manufacturer', 'isoCategory', 'inspectionStickerID', 'status', 'lastInspection', 'nextDue'];
+    // Column headers are the field names unless localizedHeaders is set; the import
+    // wizard recognises the translated headers, loadFromCSV does not
+    convertToCSV({ localizedHeaders = false } = {}) {
+        const headers = ['stationId', 'building', 'buildingName', 'x', 'y', 'floor', 'mapId', 'assetId', 'assetType', 'type', 'size', 'manufacturer', 'isoCategory', 'inspectionStickerID', 'status', 'lastInspection', 'nextDue', 'schemaVersion'];
+        const schemaVersion = this.getCurrentSchemaVersion();
         const rows = [];
         
         this.stations.forEach(station => {
+            // Keep empty stations so the layout survives a round trip
+            if (station.assets.length === 0) {
+                const row = [station.stationId, station.building, station.buildingName, station.x, station.y, station.floor, station.mapId];
+                while (row.length < headers.length - 1) row.push('');
+                row.push(schemaVersion);
+                rows.push(row.map(val => `"${val || ''}"`).join(','));
+                return;
+            }
+            
             station.assets.forEach(asset => {
                 const row = [
                     station.stationId,
@@ -1108,6 +7581,8 @@ handleSearch(query) {
                     station.buildingName,
                     station.x,
                     station.y,
+                    station.floor,
+                    station.mapId,
                     asset.assetId,
                     asset.assetType,
                     asset.type,
@@ -1117,13 +7592,17 @@ handleSearch(query) {
                     asset.inspectionStickerID || '',
                     asset.status,
                     asset.lastInspection,
-                    asset.nextDue
+                    asset.nextDue,
+                    schemaVersion
                 ];
                 rows.push(row.map(val => `"${val || ''}"`).join(','));
             });
         });
         
-        return [headers.join(','), ...rows].join('\n');
+        const headerRow = localizedHeaders
+            ? headers.map(header => `"${this.t(`column.${header}`).replace(/"/g, '""')}"`)
+            : headers;
+        return [headerRow.join(','), ...rows].join('\n');
     }
 
     downloadFile(content, filename, contentType) {
@@ -1138,6 +7617,181 @@ handleSearch(query) {
         URL.revokeObjectURL(url);
     }
 
+    // Offline support: service worker, connection indicator and change queue
+    setupOfflineSupport() {
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.register('sw.js')
+                .then(() => console.log('Service worker registered'))
+                .catch(error => console.warn('Service worker registration failed:', error.message));
+        }
+
+        window.addEventListener('online', () => {
+            this.updateConnectionStatus();
+            this.processPendingChanges();
+        });
+        window.addEventListener('offline', () => {
+            this.updateConnectionStatus();
+        });
+
+        const exportPendingChanges = document.getElementById('exportPendingChanges');
+        if (exportPendingChanges) {
+            exportPendingChanges.addEventListener('click', () => {
+                this.exportPendingChanges();
+            });
+        }
+
+        this.processPendingChanges();
+    }
+
+    updateConnectionStatus() {
+        const connectionStatus = document.getElementById('connectionStatus');
+        const connectionLabel = document.getElementById('connectionLabel');
+        const pendingChangesLabel = document.getElementById('pendingChangesLabel');
+        const exportPendingChanges = document.getElementById('exportPendingChanges');
+        const offline = !navigator.onLine;
+        const rejected = this.rejectedChangesCount > 0;
+
+        if (connectionStatus) {
+            connectionStatus.classList.toggle('connection-status--offline', offline);
+            connectionStatus.classList.toggle('connection-status--rejected', rejected);
+            connectionStatus.classList.toggle('visible', offline || this.pendingChangesCount > 0 || rejected);
+        }
+        if (connectionLabel) {
+            connectionLabel.textContent = this.t(offline ? 'connection.offline' : 'connection.online');
+        }
+        if (pendingChangesLabel) {
+            pendingChangesLabel.textContent = [
+                this.pendingChangesCount > 0 ? this.t('connection.queued', { count: this.pendingChangesCount }) : '',
+                rejected ? this.t('connection.rejected', { count: this.rejectedChangesCount }) : ''
+            ].filter(Boolean).join(', ');
+        }
+        if (exportPendingChanges) {
+            // Rejected changes can only leave the queue through an export
+            const canExport = rejected || (!offline && this.pendingChangesCount > 0 && !this.SYNC_ENDPOINT);
+            exportPendingChanges.classList.toggle('hidden', !canExport);
+        }
+    }
+
+    // Queue an edit for replay; online edits are only queued when there is somewhere to send them
+    async queueChange(type, payload) {
+        if (navigator.onLine && !this.SYNC_ENDPOINT) return;
+
+        try {
+            await this.saveStoredRecord('pendingChanges', {
+                type,
+                payload,
+                queuedAt: new Date().toISOString()
+            });
+        } catch (error) {
+            console.warn('Failed to queue change:', error.message);
+            return;
+        }
+
+        if (navigator.onLine) {
+            await this.processPendingChanges();
+        } else {
+            this.pendingChangesCount++;
+            this.updateConnectionStatus();
+        }
+    }
+
+    // One replay loop at a time: two loops would post the same queued records, and the
+    // second post of e.g. addStation fails. Calls during a replay run it once more afterwards.
+    processPendingChanges() {
+        if (this.pendingChangesReplay) {
+            this.pendingChangesRerun = true;
+            return this.pendingChangesReplay;
+        }
+
+        this.pendingChangesReplay = (async () => {
+            try {
+                do {
+                    this.pendingChangesRerun = false;
+                    await this.replayPendingChanges();
+                } while (this.pendingChangesRerun);
+            } finally {
+                this.pendingChangesReplay = null;
+            }
+        })();
+        return this.pendingChangesReplay;
+    }
+
+    async replayPendingChanges() {
+        let changes;
+        try {
+            changes = await this.getStoredRecords('pendingChanges');
+        } catch (error) {
+            console.warn('Pending changes unavailable:', error.message);
+            return;
+        }
+
+        const newlyRejected = [];
+        if (navigator.onLine && this.SYNC_ENDPOINT) {
+            for (const change of changes.filter(change => !change.rejected)) {
+                try {
+                    const response = await fetch(this.SYNC_ENDPOINT, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify(change)
+                    });
+                    // A rejected change (e.g. its station was deleted by someone else) would
+                    // block the queue forever; set it aside for export and keep going
+                    if (response.status >= 400 && response.status < 500 && ![408, 429].includes(response.status)) {
+                        const { error } = await response.json().catch(() => ({}));
+                        console.warn(`Server rejected queued ${change.type} change:`, error || response.status);
+                        change.rejected = {
+                            status: response.status,
+                            error: error || '',
+                            rejectedAt: new Date().toISOString()
+                        };
+                        await this.saveStoredRecord('pendingChanges', change);
+                        newlyRejected.push(change);
+                        continue;
+                    }
+                    if (!response.ok) {
+                        throw new Error(`HTTP error! Status: ${response.status}`);
+                    }
+                    await this.deleteStoredRecord('pendingChanges', change.id);
+                } catch (error) {
+                    console.warn('Replaying queued changes stopped:', error.message);
+                    break;
+                }
+            }
+            changes = await this.getStoredRecords('pendingChanges');
+        }
+
+        this.rejectedChangesCount = changes.filter(change => change.rejected).length;
+        this.pendingChangesCount = changes.length - this.rejectedChangesCount;
+        this.updateConnectionStatus();
+
+        if (newlyRejected.length > 0) {
+            const reasons = newlyRejected.map(change => change.rejected.error || `HTTP ${change.rejected.status}`);
+            this.showError(this.t('connection.rejectedError', {
+                count: newlyRejected.length,
+                reasons: [...new Set(reasons)].join('; ')
+            }));
+        }
+    }
+
+    async exportPendingChanges() {
+        const changes = await this.getStoredRecords('pendingChanges');
+        if (changes.length === 0) return;
+
+        const timestamp = new Date().toISOString().split('T')[0];
+        const json = JSON.stringify({
+            exported_at: new Date().toISOString(),
+            changes
+        }, null, 2);
+        this.downloadFile(json, `fire_safety_offline_changes_${timestamp}.json`, 'application/json');
+
+        if (confirm(this.t('connection.exportedConfirm'))) {
+            await this.clearStoredRecords('pendingChanges');
+            this.pendingChangesCount = 0;
+            this.rejectedChangesCount = 0;
+            this.updateConnectionStatus();
+        }
+    }
+
     showError(message) {
         console.error(message);
         alert(message);
@@ -1145,7 +7799,14 @@ handleSearch(query) {
 }
 
 // Initialize the application
-document.addEventListener('DOMContentLoaded', () => {
-    console.log('DOM loaded, initializing Fire Safety Station Manager...');
-    window.app = new FireSafetyStationApp();
-});
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        console.log('DOM loaded, initializing Fire Safety Station Manager...');
+        window.app = new FireSafetyStationApp();
+    });
+}
+
+// Headless use (Node): expose the class for FireSafetyStationApp.validateDataset
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FireSafetyStationApp;
+}
@@ -0,0 +1,50 @@
+// Fire Safety Station Manager - CSV parsing for the Node scripts and the API server
+//
+// Minimal RFC 4180 parser; values stay strings like the browser import
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [headers, ...dataRows] = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    return dataRows.map(cells => headers.reduce((record, header, index) => {
+        record[header.trim()] = cells[index] === undefined ? '' : cells[index].trim();
+        return record;
+    }, {}));
+}
+
+module.exports = parseCSV;
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+// Fire Safety Station Manager - headless data integrity check
+//
+// Usage: node scripts/validate-data.js [stations.json|stations.csv]
+// Runs FireSafetyStationApp.validateDataset and exits with status 1 when
+// errors are found, so it can gate data updates (e.g. before deploying).
+const fs = require('fs');
+const path = require('path');
+const FireSafetyStationApp = require('../app.js');
+const parseCSV = require('./parse-csv.js');
+
+const MAPS_FILE = path.join(__dirname, '..', 'maps.json');
+
+// Floor plan registry (same format as the app); the site overview alone if maps.json is missing
+function loadMapRegistry() {
+    if (!fs.existsSync(MAPS_FILE)) {
+        return {
+            defaultMapId: 'site',
+            maps: [{ id: 'site', name: 'Site overview', width: 7972, height: 5905 }]
+        };
+    }
+
+    const registry = JSON.parse(fs.readFileSync(MAPS_FILE, 'utf8'));
+    return { defaultMapId: registry.defaultMapId || registry.maps[0].id, maps: registry.maps };
+}
+
+// Any supported schema version (e.g. the legacy backup.csv) is upgraded first
+function loadDataset(file) {
+    const text = fs.readFileSync(file, 'utf8');
+
+    // Reuse the app's CSV conversion and migrations without running its constructor (no DOM here)
+    const converter = Object.create(FireSafetyStationApp.prototype);
+
+    if (path.extname(file).toLowerCase() === '.csv') {
+        return converter.migrateDataset(converter.convertCSVRowsToDataset(parseCSV(text)));
+    }
+
+    return converter.migrateDataset(JSON.parse(text));
+}
+
+const file = process.argv[2] || path.join(__dirname, '..', 'stations.csv');
+const issues = FireSafetyStationApp.validateDataset(loadDataset(file), {
+    mapRegistry: loadMapRegistry()
+});
+
+issues.forEach(issue => {
+    const location = [issue.stationId, issue.assetId].filter(Boolean).join(' / ');
+    console.log(`${issue.severity.toUpperCase()} [${issue.code}] ${location}: ${issue.message}`);
+});
+
+const errorCount = issues.filter(issue => issue.severity === 'error').length;
+console.log(`\n${errorCount} errors, ${issues.length - errorCount} warnings in ${file}`);
+process.exitCode = errorCount > 0 ? 1 : 0;
@@ -0,0 +1,244 @@
+#!/usr/bin/env node
+// Fire Safety Station Manager - local REST API server
+//
+// Usage: node server/server.js
+// Serves the app and a shared station dataset under /api (see server/openapi.json),
+// so several browsers on the site network edit the same data. The app falls back
+// to the static stations.json/stations.csv when no server answers.
+//
+// Environment: PORT (default 8080), HOST (default 0.0.0.0),
+// DB_FILE (default server/data/stations-db.json, seeded from stations.json/csv)
+//
+// Tests: node --test server/test/ (starts this server on a free port and a temporary DB_FILE)
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { StationStore, StoreError } = require('./store.js');
+
+const ROOT = path.join(__dirname, '..');
+const PORT = Number(process.env.PORT) || 8080;
+const HOST = process.env.HOST || '0.0.0.0';
+const DB_FILE = process.env.DB_FILE || path.join(__dirname, 'data', 'stations-db.json');
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.csv': 'text/csv; charset=utf-8',
+    '.webmanifest': 'application/manifest+json',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp'
+};
+
+const store = new StationStore({
+    file: DB_FILE,
+    seedDir: ROOT,
+    rulesFile: path.join(ROOT, 'inspection-rules.json')
+}).load();
+
+// Routes: [method, pattern, handler(params, body, query)]
+const routes = [
+    ['GET', '/api/health', () => ({ status: 'ok', revision: store.db.revision, updatedAt: store.db.updatedAt })],
+    ['GET', '/api/openapi.json', () => JSON.parse(fs.readFileSync(path.join(__dirname, 'openapi.json'), 'utf8'))],
+
+    ['GET', '/api/dataset', () => store.getDataset()],
+    ['PUT', '/api/dataset', (params, body) => store.replaceDataset(body)],
+    ['GET', '/api/changes', (params, body, query) => store.getChangesSince(query.get('since'))],
+    ['POST', '/api/changes', (params, body) => store.applyChange(body)],
+
+    ['GET', '/api/buildings', () => store.listBuildings()],
+    ['POST', '/api/buildings', (params, body) => [201, store.createBuilding(body)]],
+    ['GET', '/api/buildings/:id', ({ id }) => store.getBuilding(id)],
+    ['PUT', '/api/buildings/:id', ({ id }, body) => store.updateBuilding(id, body, true)],
+    ['PATCH', '/api/buildings/:id', ({ id }, body) => store.updateBuilding(id, body)],
+    ['DELETE', '/api/buildings/:id', ({ id }) => store.deleteBuilding(id)],
+
+    ['GET', '/api/stations', (params, body, query) => store.listStations({
+        building: query.get('building') || undefined,
+        since: query.get('since')
+    })],
+    ['POST', '/api/stations', (params, body) => [201, store.createStation(body)]],
+    ['GET', '/api/stations/:stationId', ({ stationId }) => store.getStation(stationId)],
+    ['PUT', '/api/stations/:stationId', ({ stationId }, body) => store.updateStation(stationId, body, true)],
+    ['PATCH', '/api/stations/:stationId', ({ stationId }, body) => store.updateStation(stationId, body)],
+    ['DELETE', '/api/stations/:stationId', ({ stationId }) => store.deleteStation(stationId)],
+
+    ['GET', '/api/assets', (params, body, query) => store.listAssets({ since: query.get('since') })],
+    ['GET', '/api/stations/:stationId/assets', ({ stationId }) => store.getStation(stationId).assets],
+    ['POST', '/api/stations/:stationId/assets', ({ stationId }, body) => [201, store.createAsset(stationId, body)]],
+    ['GET', '/api/stations/:stationId/assets/:assetId', ({ stationId, assetId }) => store.getAsset(stationId, assetId)],
+    ['PUT', '/api/stations/:stationId/assets/:assetId', ({ stationId, assetId }, body) => store.updateAsset(stationId, assetId, body, true)],
+    ['PATCH', '/api/stations/:stationId/assets/:assetId', ({ stationId, assetId }, body) => store.updateAsset(stationId, assetId, body)],
+    ['DELETE', '/api/stations/:stationId/assets/:assetId', ({ stationId, assetId }) => store.deleteAsset(stationId, assetId)]
+];
+
+// Percent-decoding throws on malformed input such as %E0%A4%A
+function decodePathPart(part) {
+    try {
+        return decodeURIComponent(part);
+    } catch (error) {
+        throw new StoreError(400, `Malformed URL path: ${part}`);
+    }
+}
+
+function matchRoute(method, pathname) {
+    const parts = pathname.split('/').filter(Boolean);
+    let pathMatched = false;
+
+    for (const [routeMethod, pattern, handler] of routes) {
+        const patternParts = pattern.split('/').filter(Boolean);
+        if (patternParts.length !== parts.length) continue;
+
+        const params = {};
+        const matches = patternParts.every((part, index) => {
+            if (part.startsWith(':')) {
+                params[part.slice(1)] = decodePathPart(parts[index]);
+                return true;
+            }
+            return part === parts[index];
+        });
+        if (!matches) continue;
+
+        pathMatched = true;
+        if (routeMethod === method) {
+            return { handler, params };
+        }
+    }
+
+    return pathMatched ? { methodNotAllowed: true } : null;
+}
+
+function sendJson(response, status, body) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store'
+    });
+    response.end(JSON.stringify(body));
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new StoreError(413, 'Request body too large'));
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf8');
+            if (!text) {
+                resolve({});
+                return;
+            }
+            let body;
+            try {
+                body = JSON.parse(text);
+            } catch (error) {
+                reject(new StoreError(400, `Invalid JSON: ${error.message}`));
+                return;
+            }
+            if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                reject(new StoreError(400, 'Request body must be a JSON object'));
+                return;
+            }
+            resolve(body);
+        });
+        request.on('error', reject);
+    });
+}
+
+async function handleApi(request, response, url) {
+    try {
+        const route = matchRoute(request.method, url.pathname);
+        if (!route) {
+            sendJson(response, 404, { error: `No route for ${url.pathname}` });
+            return;
+        }
+        if (route.methodNotAllowed) {
+            sendJson(response, 405, { error: `${request.method} not allowed on ${url.pathname}` });
+            return;
+        }
+
+        const body = ['POST', 'PUT', 'PATCH'].includes(request.method) ? await readBody(request) : {};
+        const result = route.handler(route.params, body, url.searchParams);
+        const [status, payload] = Array.isArray(result) && typeof result[0] === 'number' ? result : [200, result];
+        sendJson(response, status, payload);
+    } catch (error) {
+        if (error instanceof StoreError) {
+            sendJson(response, error.status, { error: error.message });
+        } else {
+            console.error(`${request.method} ${url.pathname} failed:`, error);
+            sendJson(response, 500, { error: 'Internal server error' });
+        }
+    }
+}
+
+// The app itself; the server's own files and dotfiles are not served
+function serveStatic(request, response, url) {
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+        response.writeHead(405);
+        response.end();
+        return;
+    }
+
+    let pathname;
+    try {
+        pathname = url.pathname === '/' ? '/index----.html' : decodeURIComponent(url.pathname);
+    } catch (error) {
+        response.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+        response.end('Malformed URL path');
+        return;
+    }
+    const file = path.normalize(path.join(ROOT, pathname));
+    const relative = path.relative(ROOT, file);
+    const blocked = relative.startsWith('..') || relative.split(path.sep).some(part => part.startsWith('.')) ||
+        relative.split(path.sep)[0] === 'server';
+
+    if (blocked || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+        response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        response.end('Not found');
+        return;
+    }
+
+    response.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream' });
+    if (request.method === 'HEAD') {
+        response.end();
+        return;
+    }
+    fs.createReadStream(file).pipe(response);
+}
+
+const server = http.createServer((request, response) => {
+    // No CORS headers: the API has no authentication, so only the app's own origin may call it
+    // from a browser. Scripts and other local tools are not bound by CORS.
+    const url = new URL(request.url, 'http://localhost');
+
+    if (url.pathname.startsWith('/api/')) {
+        // One failing request must never take down the shared server
+        handleApi(request, response, url).catch(error => {
+            console.error(`${request.method} ${url.pathname} failed:`, error);
+            if (response.headersSent) {
+                response.destroy();
+            } else {
+                sendJson(response, 500, { error: 'Internal server error' });
+            }
+        });
+    } else {
+        serveStatic(request, response, url);
+    }
+});
+
+server.listen(PORT, HOST, () => {
+    console.log(`Fire Safety Station Manager running at http://${HOST === '0.0.0.0' ? 'localhost' : HOST}:${PORT}/`);
+});
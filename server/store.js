@@ -0,0 +1,438 @@
+// Fire Safety Station Manager - file-backed station store for the API server
+//
+// The whole dataset lives in one JSON file that is rewritten (atomically, via a
+// temporary file) after every change. Stations, assets and buildings carry
+// createdAt/updatedAt timestamps; deleted stations leave a tombstone so clients
+// can ask for everything that changed since a point in time.
+const fs = require('fs');
+const path = require('path');
+const FireSafetyStationApp = require('../app.js');
+const parseCSV = require('../scripts/parse-csv.js');
+
+// Fields the app derives on load; they are never stored
+const DERIVED_STATION_FIELDS = ['buildingName', 'buildingColor', 'status'];
+const MAX_TOMBSTONES = 1000;
+
+class StoreError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+class StationStore {
+    constructor(options) {
+        this.file = options.file;
+        this.seedDir = options.seedDir;
+        this.rulesFile = options.rulesFile;
+        this.db = null;
+    }
+
+    load() {
+        if (fs.existsSync(this.file)) {
+            this.db = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            console.log(`Loaded ${this.db.stations.length} stations from ${this.file}`);
+        } else {
+            this.db = this.seed();
+            this.save();
+            console.log(`Created ${this.file} with ${this.db.stations.length} stations`);
+        }
+
+        this.engine = this.createEngine();
+        this.refreshBuildingCounts();
+        return this;
+    }
+
+    // First start: take the static dataset the app would otherwise load
+    seed() {
+        const now = new Date().toISOString();
+        const jsonFile = path.join(this.seedDir, 'stations.json');
+        const csvFile = path.join(this.seedDir, 'stations.csv');
+        let data = { buildings: [], stations: [] };
+
+        // Reuse the app's CSV conversion and migrations without running its constructor (no DOM here)
+        const converter = Object.create(FireSafetyStationApp.prototype);
+        if (fs.existsSync(jsonFile)) {
+            data = converter.migrateDataset(JSON.parse(fs.readFileSync(jsonFile, 'utf8')));
+        } else if (fs.existsSync(csvFile)) {
+            data = converter.migrateDataset(converter.convertCSVRowsToDataset(parseCSV(fs.readFileSync(csvFile, 'utf8'))));
+        }
+
+        return {
+            revision: 0,
+            updatedAt: now,
+            buildings: (data.buildings || []).map(building => ({ ...building, createdAt: now, updatedAt: now })),
+            stations: (data.stations || []).map(station => this.stamp(this.cleanStation(station), now, true)),
+            tombstones: []
+        };
+    }
+
+    // History events are applied with the app's own logic, so the stored dates and
+    // statuses match what the browser computes. Rules come from inspection-rules.json;
+    // rules edited in a browser's settings stay on that device.
+    createEngine() {
+        const engine = Object.create(FireSafetyStationApp.prototype);
+        engine.DEFAULT_INSPECTION_RULES = { default: { intervalMonths: 12, warningDays: 15 }, assetTypes: {} };
+        engine.inspectionRules = fs.existsSync(this.rulesFile)
+            ? JSON.parse(fs.readFileSync(this.rulesFile, 'utf8'))
+            : engine.DEFAULT_INSPECTION_RULES;
+        return engine;
+    }
+
+    save() {
+        const temporary = `${this.file}.tmp`;
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.writeFileSync(temporary, JSON.stringify(this.db, null, 2));
+        fs.renameSync(temporary, this.file);
+    }
+
+    // Every mutation goes through here: bump the revision, persist, return the result
+    commit(result) {
+        this.refreshBuildingCounts();
+        this.db.revision++;
+        this.db.updatedAt = new Date().toISOString();
+        this.save();
+        return result;
+    }
+
+    stamp(entity, now = new Date().toISOString(), created = false) {
+        if (created || !entity.createdAt) entity.createdAt = now;
+        entity.updatedAt = now;
+        (entity.assets || []).forEach(asset => {
+            if (created || !asset.createdAt) asset.createdAt = now;
+            if (created || !asset.updatedAt) asset.updatedAt = now;
+        });
+        return entity;
+    }
+
+    cleanStation(data) {
+        this.requireObject(data, 'Station');
+        const station = { ...data };
+        DERIVED_STATION_FIELDS.forEach(field => delete station[field]);
+        station.assets = (data.assets || []).map(asset => this.cleanAsset(asset));
+        return station;
+    }
+
+    // The app keeps the source status in originalStatus and a computed one in status
+    cleanAsset(data) {
+        this.requireObject(data, 'Asset');
+        const { originalStatus, ...asset } = data;
+        if (originalStatus !== undefined) asset.status = originalStatus;
+        asset.history = Array.isArray(asset.history) ? asset.history : [];
+        return asset;
+    }
+
+    requireObject(data, what) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new StoreError(400, `${what} must be a JSON object`);
+        }
+    }
+
+    validateStation(station) {
+        if (!station.stationId || typeof station.stationId !== 'string') {
+            throw new StoreError(400, 'stationId is required');
+        }
+        if (!Number.isInteger(Number(station.building))) {
+            throw new StoreError(400, 'building must be a building number');
+        }
+        if (!Number.isFinite(Number(station.x)) || !Number.isFinite(Number(station.y))) {
+            throw new StoreError(400, 'x and y must be numbers');
+        }
+        station.building = Number(station.building);
+        station.x = Number(station.x);
+        station.y = Number(station.y);
+        station.assets.forEach(asset => this.validateAsset(asset));
+    }
+
+    validateAsset(asset) {
+        if (!asset.assetId || typeof asset.assetId !== 'string') {
+            throw new StoreError(400, 'assetId is required');
+        }
+        if (!asset.assetType) {
+            throw new StoreError(400, 'assetType is required');
+        }
+    }
+
+    // Dataset in the format of stations.json, which the app loads directly
+    getDataset() {
+        const { revision, updatedAt, buildings, stations } = this.db;
+        return { schemaVersion: this.engine.getCurrentSchemaVersion(), revision, updatedAt, buildings, stations };
+    }
+
+    // Older layouts are upgraded with the app's migrations before they are stored
+    replaceDataset(dataset) {
+        let data;
+        try {
+            data = this.engine.migrateDataset(dataset);
+        } catch (error) {
+            throw new StoreError(422, error.message);
+        }
+
+        const now = new Date().toISOString();
+        const stations = (data.stations || []).map(station => this.stamp(this.cleanStation(station), now, true));
+        stations.forEach(station => this.validateStation(station));
+
+        this.db.stations.forEach(station => this.addTombstone(station.stationId, now));
+        this.db.buildings = (data.buildings || []).map(building => ({ ...building, createdAt: now, updatedAt: now }));
+        this.db.stations = stations;
+        this.commit();
+        return this.getDataset();
+    }
+
+    // Stations created, changed or deleted after `since` (an ISO timestamp)
+    getChangesSince(since) {
+        return {
+            revision: this.db.revision,
+            updatedAt: this.db.updatedAt,
+            buildings: this.db.buildings.filter(building => !since || building.updatedAt > since),
+            stations: this.db.stations.filter(station => !since || station.updatedAt > since),
+            deleted: this.db.tombstones.filter(tombstone => !since || tombstone.deletedAt > since)
+        };
+    }
+
+    addTombstone(stationId, deletedAt = new Date().toISOString()) {
+        this.db.tombstones = this.db.tombstones.filter(tombstone => tombstone.stationId !== stationId);
+        this.db.tombstones.push({ stationId, deletedAt });
+        if (this.db.tombstones.length > MAX_TOMBSTONES) {
+            this.db.tombstones.shift();
+        }
+    }
+
+    // Station and asset counts follow the stations, not what was stored with the building
+    refreshBuildingCounts() {
+        this.db.buildings.forEach(building => {
+            const buildingStations = this.db.stations.filter(station => station.building === building.id);
+            building.stations = buildingStations.length;
+            building.totalAssets = buildingStations.reduce((sum, station) => sum + station.assets.length, 0);
+        });
+    }
+
+    // Buildings
+    listBuildings() {
+        return this.db.buildings;
+    }
+
+    getBuilding(id) {
+        const building = this.db.buildings.find(existing => existing.id === Number(id));
+        if (!building) throw new StoreError(404, `Building ${id} not found`);
+        return building;
+    }
+
+    createBuilding(data) {
+        this.requireObject(data, 'Building');
+        const id = Number(data.id);
+        if (!Number.isInteger(id)) throw new StoreError(400, 'id must be a building number');
+        if (this.db.buildings.some(existing => existing.id === id)) throw new StoreError(409, `Building ${id} already exists`);
+
+        const building = this.stamp({ ...data, id }, undefined, true);
+        this.db.buildings.push(building);
+        return this.commit(building);
+    }
+
+    updateBuilding(id, data, replace = false) {
+        this.requireObject(data, 'Building');
+        const building = this.getBuilding(id);
+        const { createdAt } = building;
+        if (replace) Object.keys(building).forEach(key => delete building[key]);
+        Object.assign(building, data, { id: Number(id), createdAt });
+        return this.commit(this.stamp(building));
+    }
+
+    deleteBuilding(id) {
+        const building = this.getBuilding(id);
+        if (this.db.stations.some(station => station.building === building.id)) {
+            throw new StoreError(409, `Building ${id} still has stations`);
+        }
+
+        this.db.buildings.splice(this.db.buildings.indexOf(building), 1);
+        return this.commit(building);
+    }
+
+    // Stations
+    listStations(query = {}) {
+        return this.db.stations.filter(station =>
+            (query.building === undefined || station.building === Number(query.building)) &&
+            (!query.since || station.updatedAt > query.since));
+    }
+
+    getStation(stationId) {
+        const station = this.db.stations.find(existing => existing.stationId === stationId);
+        if (!station) throw new StoreError(404, `Station ${stationId} not found`);
+        return station;
+    }
+
+    createStation(data) {
+        const station = this.stamp(this.cleanStation(data), undefined, true);
+        this.validateStation(station);
+        if (this.db.stations.some(existing => existing.stationId === station.stationId)) {
+            throw new StoreError(409, `Station ${station.stationId} already exists`);
+        }
+
+        this.db.stations.push(station);
+        this.db.tombstones = this.db.tombstones.filter(tombstone => tombstone.stationId !== station.stationId);
+        return this.commit(station);
+    }
+
+    // PUT replaces the station (assets included when given); PATCH merges fields.
+    // A different stationId in the body renumbers the station.
+    updateStation(stationId, data, replace = false) {
+        const station = this.getStation(stationId);
+        const cleaned = this.cleanStation({ assets: station.assets, ...data });
+        const updated = replace
+            ? { ...cleaned, createdAt: station.createdAt }
+            : { ...station, ...cleaned, createdAt: station.createdAt };
+
+        this.validateStation(updated);
+        if (updated.stationId !== stationId && this.db.stations.some(existing => existing.stationId === updated.stationId)) {
+            throw new StoreError(409, `Station ${updated.stationId} already exists`);
+        }
+
+        this.db.stations[this.db.stations.indexOf(station)] = this.stamp(updated);
+        if (updated.stationId !== stationId) {
+            this.addTombstone(stationId);
+        }
+        return this.commit(updated);
+    }
+
+    deleteStation(stationId) {
+        const station = this.getStation(stationId);
+        this.db.stations.splice(this.db.stations.indexOf(station), 1);
+        this.addTombstone(stationId);
+        return this.commit(station);
+    }
+
+    // Assets (asset IDs are only unique within their station)
+    listAssets(query = {}) {
+        return this.db.stations.flatMap(station => station.assets
+            .filter(asset => !query.since || asset.updatedAt > query.since)
+            .map(asset => ({ ...asset, stationId: station.stationId })));
+    }
+
+    getAsset(stationId, assetId) {
+        const asset = this.getStation(stationId).assets.find(existing => existing.assetId === assetId);
+        if (!asset) throw new StoreError(404, `Asset ${assetId} not found at ${stationId}`);
+        return asset;
+    }
+
+    createAsset(stationId, data) {
+        const station = this.getStation(stationId);
+        const asset = this.cleanAsset(data);
+        this.validateAsset(asset);
+        if (station.assets.some(existing => existing.assetId === asset.assetId)) {
+            throw new StoreError(409, `Asset ${asset.assetId} already exists at ${stationId}`);
+        }
+
+        const now = new Date().toISOString();
+        station.assets.push(Object.assign(asset, { createdAt: now, updatedAt: now }));
+        this.stamp(station, now);
+        return this.commit(asset);
+    }
+
+    updateAsset(stationId, assetId, data, replace = false) {
+        const station = this.getStation(stationId);
+        const asset = this.getAsset(stationId, assetId);
+        const cleaned = this.cleanAsset(replace ? data : { ...asset, ...data });
+        const updated = { ...cleaned, assetId: cleaned.assetId || assetId, createdAt: asset.createdAt };
+        this.validateAsset(updated);
+        if (station.assets.some(existing => existing !== asset && existing.assetId === updated.assetId)) {
+            throw new StoreError(409, `Asset ${updated.assetId} already exists at ${stationId}`);
+        }
+
+        const now = new Date().toISOString();
+        station.assets[station.assets.indexOf(asset)] = Object.assign(updated, { updatedAt: now });
+        this.stamp(station, now);
+        return this.commit(updated);
+    }
+
+    deleteAsset(stationId, assetId) {
+        const station = this.getStation(stationId);
+        const asset = this.getAsset(stationId, assetId);
+        station.assets.splice(station.assets.indexOf(asset), 1);
+        this.stamp(station);
+        return this.commit(asset);
+    }
+
+    // Changes queued by the app (see queueChange in app.js): map edits, history events
+    // and imported datasets
+    applyChange(change) {
+        switch (change && change.type) {
+            case 'layout':
+                return this.applyLayoutChange(change.payload || {});
+            case 'event':
+                return this.applyEvent(change.payload || {});
+            case 'dataset':
+                return this.replaceDataset(change.payload || {});
+            default:
+                throw new StoreError(400, `Unknown change type ${change && change.type}`);
+        }
+    }
+
+    // Mirrors the app's edit commands; undo entries carry what is needed to revert
+    applyLayoutChange(change) {
+        const { action, undo } = change;
+
+        switch (action) {
+            case 'addStation':
+                return undo ? this.deleteStation(change.station.stationId) : this.createStation(change.station);
+            case 'updateStation': {
+                if (undo) {
+                    const current = change.changes.stationId || change.stationId;
+                    return this.updateStation(current, { ...change.previous, stationId: change.stationId });
+                }
+                return this.updateStation(change.stationId, change.changes);
+            }
+            case 'deleteStation':
+                if (undo) {
+                    if (!change.station) throw new StoreError(422, 'Undo of a station deletion needs the station');
+                    return this.createStation(change.station);
+                }
+                return this.deleteStation(change.stationId);
+            case 'addAsset':
+                return undo ? this.deleteAsset(change.stationId, change.asset.assetId) : this.createAsset(change.stationId, change.asset);
+            case 'removeAsset':
+                if (undo) {
+                    if (!change.asset) throw new StoreError(422, 'Undo of an asset removal needs the asset');
+                    return this.createAsset(change.stationId, change.asset);
+                }
+                return this.deleteAsset(change.stationId, change.assetId);
+            case 'moveAsset': {
+                const from = this.getStation(undo ? change.toStationId : change.fromStationId);
+                const to = this.getStation(undo ? change.fromStationId : change.toStationId);
+                const asset = this.getAsset(from.stationId, change.assetId);
+                if (to.assets.some(existing => existing.assetId === asset.assetId)) {
+                    throw new StoreError(409, `Asset ${asset.assetId} already exists at ${to.stationId}`);
+                }
+
+                from.assets.splice(from.assets.indexOf(asset), 1);
+                to.assets.push(asset);
+                const now = new Date().toISOString();
+                this.stamp(from, now);
+                this.stamp(to, now);
+                return this.commit(asset);
+            }
+            default:
+                throw new StoreError(400, `Unknown layout action ${action}`);
+        }
+    }
+
+    applyEvent(event) {
+        if (!event.eventId || !event.assetId || !event.type) {
+            throw new StoreError(400, 'Events need eventId, assetId and type');
+        }
+
+        this.engine.stations = this.db.stations;
+        const match = this.engine.findAsset(event.assetId);
+        if (!match) throw new StoreError(404, `Asset ${event.assetId} not found`);
+
+        // Already recorded (e.g. a replayed queue entry): nothing to do
+        const touched = this.engine.addHistoryEvent(event);
+        if (!touched) return event;
+
+        const now = new Date().toISOString();
+        match.asset.updatedAt = now;
+        touched.forEach(station => this.stamp(station, now));
+        return this.commit(event);
+    }
+}
+
+module.exports = { StationStore, StoreError };
@@ -0,0 +1,290 @@
+// Integration tests for the REST API server
+//
+// Usage: node --test server/test/
+// Starts server/server.js on a free port with a temporary DB_FILE (seeded from
+// stations.csv) and talks to it over HTTP, like the app and other local tools do.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+const START_TIMEOUT_MS = 15000;
+
+let server;
+let baseUrl;
+let tempDir;
+
+function findFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.on('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+function startServer(port, dbFile) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [SERVER], {
+            env: { ...process.env, PORT: String(port), HOST: '127.0.0.1', DB_FILE: dbFile },
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+        let output = '';
+        const timer = setTimeout(() => {
+            child.kill();
+            reject(new Error(`Server did not start within ${START_TIMEOUT_MS} ms:\n${output}`));
+        }, START_TIMEOUT_MS);
+
+        child.stdout.on('data', chunk => {
+            output += chunk;
+            if (output.includes('running at')) {
+                clearTimeout(timer);
+                resolve(child);
+            }
+        });
+        child.stderr.on('data', chunk => { output += chunk; });
+        child.on('exit', code => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited with code ${code}:\n${output}`));
+        });
+    });
+}
+
+async function api(method, pathname, body) {
+    const options = { method, headers: {} };
+    if (body !== undefined) {
+        options.headers['Content-Type'] = 'application/json';
+        options.body = typeof body === 'string' ? body : JSON.stringify(body);
+    }
+
+    const response = await fetch(`${baseUrl}${pathname}`, options);
+    return { status: response.status, body: await response.json() };
+}
+
+function testStation(stationId, assets = []) {
+    return { stationId, building: 1, x: 100, y: 200, assets };
+}
+
+function testAsset(assetId) {
+    return { assetId, assetType: 'extinguisher', type: 'CO2', lastInspection: '2025-01-10', nextDue: '2026-01-10', status: 'good' };
+}
+
+before(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fire-safety-api-'));
+    const port = await findFreePort();
+    baseUrl = `http://127.0.0.1:${port}`;
+    server = await startServer(port, path.join(tempDir, 'stations-db.json'));
+});
+
+after(() => {
+    if (server && server.exitCode === null) {
+        process.kill(server.pid);
+    }
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('health and seeded dataset', async () => {
+    const health = await api('GET', '/api/health');
+    assert.equal(health.status, 200);
+    assert.equal(health.body.status, 'ok');
+
+    const dataset = await api('GET', '/api/dataset');
+    assert.equal(dataset.status, 200);
+    assert.ok(dataset.body.stations.length > 0, 'seeded from stations.csv');
+    assert.ok(dataset.body.buildings.length > 0);
+    assert.equal(typeof dataset.body.schemaVersion, 'number');
+});
+
+test('station create, update and delete with change timestamps', async () => {
+    const created = await api('POST', '/api/stations', testStation('ST-T-001', [testAsset('T-001-1')]));
+    assert.equal(created.status, 201);
+    assert.ok(created.body.createdAt);
+    assert.equal(created.body.createdAt, created.body.updatedAt);
+    assert.ok(created.body.assets[0].createdAt);
+
+    const duplicate = await api('POST', '/api/stations', testStation('ST-T-001'));
+    assert.equal(duplicate.status, 409);
+
+    const patched = await api('PATCH', '/api/stations/ST-T-001', { x: 150 });
+    assert.equal(patched.status, 200);
+    assert.equal(patched.body.x, 150);
+    assert.equal(patched.body.y, 200);
+    assert.equal(patched.body.createdAt, created.body.createdAt);
+    assert.ok(patched.body.updatedAt > created.body.updatedAt);
+
+    const changes = await api('GET', `/api/changes?since=${encodeURIComponent(created.body.updatedAt)}`);
+    assert.deepEqual(changes.body.stations.map(station => station.stationId), ['ST-T-001']);
+
+    const replaced = await api('PUT', '/api/stations/ST-T-001', testStation('ST-T-001'));
+    assert.equal(replaced.status, 200);
+    assert.equal(replaced.body.x, 100);
+    assert.deepEqual(replaced.body.assets, []);
+
+    const deleted = await api('DELETE', '/api/stations/ST-T-001');
+    assert.equal(deleted.status, 200);
+    assert.equal((await api('GET', '/api/stations/ST-T-001')).status, 404);
+
+    const afterDelete = await api('GET', `/api/changes?since=${encodeURIComponent(replaced.body.updatedAt)}`);
+    assert.ok(afterDelete.body.deleted.some(tombstone => tombstone.stationId === 'ST-T-001'));
+});
+
+test('station validation errors', async () => {
+    assert.equal((await api('POST', '/api/stations', { building: 1, x: 1, y: 1 })).status, 400);
+    assert.equal((await api('POST', '/api/stations', { ...testStation('ST-T-002'), x: 'left' })).status, 400);
+    assert.equal((await api('POST', '/api/stations', '{not json')).status, 400);
+
+    for (const body of ['null', '[]', '42', '"station"']) {
+        const response = await api('POST', '/api/stations', body);
+        assert.equal(response.status, 400, `body ${body}`);
+        assert.match(response.body.error, /JSON object/);
+    }
+});
+
+test('malformed percent-encoding is rejected without stopping the server', async () => {
+    const station = await api('GET', '/api/stations/%E0%A4%A');
+    assert.equal(station.status, 400);
+    assert.match(station.body.error, /Malformed URL path/);
+
+    const asset = await api('DELETE', '/api/stations/ST-1-001/assets/%ZZ');
+    assert.equal(asset.status, 400);
+
+    const file = await fetch(`${baseUrl}/%E0%A4%A.js`);
+    assert.equal(file.status, 400);
+    await file.text();
+
+    assert.equal((await api('GET', '/api/health')).status, 200);
+});
+
+test('API responses carry no CORS headers', async () => {
+    const response = await fetch(`${baseUrl}/api/health`, { headers: { Origin: 'http://example.com' } });
+    assert.equal(response.headers.get('access-control-allow-origin'), null);
+    await response.json();
+});
+
+test('building create, update and delete with station counts', async () => {
+    const created = await api('POST', '/api/buildings', { id: 90, name: 'Test building', color: '#123456' });
+    assert.equal(created.status, 201);
+    assert.ok(created.body.createdAt);
+    assert.equal((await api('POST', '/api/buildings', { id: 90 })).status, 409);
+
+    const patched = await api('PATCH', '/api/buildings/90', { name: 'Renamed' });
+    assert.equal(patched.body.name, 'Renamed');
+    assert.equal(patched.body.color, '#123456');
+    assert.ok(patched.body.updatedAt > created.body.updatedAt);
+
+    await api('POST', '/api/stations', { ...testStation('ST-90-001', [testAsset('90-001-1'), testAsset('90-001-2')]), building: 90 });
+    let building = (await api('GET', '/api/buildings')).body.find(existing => existing.id === 90);
+    assert.equal(building.stations, 1);
+    assert.equal(building.totalAssets, 2);
+
+    assert.equal((await api('DELETE', '/api/buildings/90')).status, 409, 'building still has stations');
+
+    await api('DELETE', '/api/stations/ST-90-001');
+    building = (await api('GET', '/api/buildings/90')).body;
+    assert.equal(building.stations, 0);
+    assert.equal(building.totalAssets, 0);
+
+    assert.equal((await api('DELETE', '/api/buildings/90')).status, 200);
+    assert.equal((await api('GET', '/api/buildings/90')).status, 404);
+});
+
+test('asset create, update and delete', async () => {
+    await api('POST', '/api/stations', testStation('ST-T-003', [testAsset('T-003-1')]));
+
+    const created = await api('POST', '/api/stations/ST-T-003/assets', testAsset('T-003-2'));
+    assert.equal(created.status, 201);
+    assert.ok(created.body.createdAt);
+    assert.equal((await api('POST', '/api/stations/ST-T-003/assets', testAsset('T-003-2'))).status, 409);
+    assert.equal((await api('POST', '/api/stations/ST-T-003/assets', { assetId: 'T-003-9' })).status, 400);
+
+    const patched = await api('PATCH', '/api/stations/ST-T-003/assets/T-003-2', { manufacturer: 'Acme' });
+    assert.equal(patched.status, 200);
+    assert.equal(patched.body.manufacturer, 'Acme');
+    assert.equal(patched.body.type, 'CO2');
+    assert.ok(patched.body.updatedAt > created.body.updatedAt);
+
+    const station = (await api('GET', '/api/stations/ST-T-003')).body;
+    assert.equal(station.updatedAt, patched.body.updatedAt, 'asset changes touch the station');
+
+    const clash = await api('PATCH', '/api/stations/ST-T-003/assets/T-003-2', { assetId: 'T-003-1' });
+    assert.equal(clash.status, 409);
+    const renamed = await api('PATCH', '/api/stations/ST-T-003/assets/T-003-2', { assetId: 'T-003-3' });
+    assert.equal(renamed.body.assetId, 'T-003-3');
+
+    assert.equal((await api('DELETE', '/api/stations/ST-T-003/assets/T-003-3')).status, 200);
+    assert.equal((await api('GET', '/api/stations/ST-T-003/assets/T-003-3')).status, 404);
+    assert.equal((await api('GET', '/api/stations/ST-T-003/assets')).body.length, 1);
+});
+
+test('POST /api/changes applies queued layout changes and events', async () => {
+    const added = await api('POST', '/api/changes', {
+        type: 'layout',
+        payload: { action: 'addStation', station: testStation('ST-T-004', [testAsset('T-004-1')]) }
+    });
+    assert.equal(added.status, 200);
+    assert.equal((await api('GET', '/api/stations/ST-T-004')).status, 200);
+
+    await api('POST', '/api/changes', {
+        type: 'layout',
+        payload: { action: 'updateStation', stationId: 'ST-T-004', changes: { x: 300 }, previous: { x: 100 } }
+    });
+    assert.equal((await api('GET', '/api/stations/ST-T-004')).body.x, 300);
+
+    const event = {
+        eventId: 'test-event-1',
+        assetId: 'T-004-1',
+        type: 'inspection',
+        date: '2026-02-01',
+        result: 'pass',
+        author: 'Tester',
+        notes: '',
+        recordedAt: new Date().toISOString()
+    };
+    assert.equal((await api('POST', '/api/changes', { type: 'event', payload: event })).status, 200);
+
+    let asset = (await api('GET', '/api/stations/ST-T-004/assets/T-004-1')).body;
+    assert.equal(asset.lastInspection, '2026-02-01');
+    assert.ok(asset.nextDue > '2026-02-01');
+    assert.equal(asset.history.length, 1);
+
+    // A replayed queue entry is not applied twice
+    await api('POST', '/api/changes', { type: 'event', payload: event });
+    asset = (await api('GET', '/api/stations/ST-T-004/assets/T-004-1')).body;
+    assert.equal(asset.history.length, 1);
+
+    const unknownAsset = await api('POST', '/api/changes', { type: 'event', payload: { ...event, eventId: 'test-event-2', assetId: 'NOPE' } });
+    assert.equal(unknownAsset.status, 404);
+    assert.equal((await api('POST', '/api/changes', { type: 'bogus' })).status, 400);
+    assert.equal((await api('POST', '/api/changes', { type: 'layout', payload: { action: 'addStation', station: null } })).status, 400);
+
+    await api('POST', '/api/changes', { type: 'layout', payload: { action: 'deleteStation', stationId: 'ST-T-004' } });
+    assert.equal((await api('GET', '/api/stations/ST-T-004')).status, 404);
+});
+
+test('PUT /api/dataset replaces the dataset and reports the old stations as deleted', async () => {
+    const before = (await api('GET', '/api/dataset')).body;
+
+    const replaced = await api('PUT', '/api/dataset', {
+        schemaVersion: before.schemaVersion,
+        buildings: [{ id: 1, name: 'Building-1', color: '#FF6B6B' }],
+        stations: [testStation('ST-1-900', [testAsset('1-900-1')])]
+    });
+    assert.equal(replaced.status, 200);
+    assert.deepEqual(replaced.body.stations.map(station => station.stationId), ['ST-1-900']);
+    assert.equal(replaced.body.buildings[0].stations, 1);
+    assert.equal(replaced.body.buildings[0].totalAssets, 1);
+    assert.ok(replaced.body.revision > before.revision);
+
+    const changes = (await api('GET', `/api/changes?since=${encodeURIComponent(before.updatedAt)}`)).body;
+    assert.ok(changes.deleted.some(tombstone => tombstone.stationId === before.stations[0].stationId));
+
+    assert.equal((await api('PUT', '/api/dataset', { stations: [{ building: 1, x: 0, y: 0 }] })).status, 400);
+    assert.equal((await api('PUT', '/api/dataset', [])).status, 400);
+    assert.equal((await api('GET', '/api/dataset')).body.stations.length, 1, 'a rejected dataset leaves the data alone');
+});
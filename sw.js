@@ -0,0 +1,105 @@
+// Fire Safety Station Manager - Service Worker (offline support)
+const CACHE_VERSION = 'v4';
+const APP_CACHE = `fire-safety-app-${CACHE_VERSION}`;
+const DATA_CACHE = `fire-safety-data-${CACHE_VERSION}`;
+
+// App shell and vendored libraries, required for the app to start offline
+const APP_SHELL = [
+    './',
+    'index----.html',
+    'app.js',
+    'style.css',
+    'map-layout.jpg',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'locales/en.json',
+    'locales/bg.json',
+    'vendor/leaflet/leaflet.js',
+    'vendor/leaflet/leaflet.css',
+    'vendor/papaparse/papaparse.min.js',
+    'vendor/qrcode-generator/qrcode.js'
+];
+
+// Data files (datasets tried by loadData, inspection rules, floor plan registry); whichever exist are kept as the last good copy
+const DATA_FILES = ['stations.json', 'stations.csv', 'inspection-rules.json', 'maps.json'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const appCache = await caches.open(APP_CACHE);
+        await appCache.addAll(APP_SHELL);
+
+        const dataCache = await caches.open(DATA_CACHE);
+        await Promise.all(DATA_FILES.map(file =>
+            dataCache.add(file).catch(() => console.warn(`Dataset ${file} not available for precaching`))
+        ));
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(keys
+            .filter(key => key.startsWith('fire-safety-') && key !== APP_CACHE && key !== DATA_CACHE)
+            .map(key => caches.delete(key)));
+
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    // The API server's dataset is handled like the data files, so it also works offline
+    const fileName = url.pathname.split('/').pop();
+    if (DATA_FILES.includes(fileName) || url.pathname.includes('/api/')) {
+        event.respondWith(networkFirst(request));
+    } else {
+        event.respondWith(staleWhileRevalidate(event, request));
+    }
+});
+
+// Datasets: always try the network, fall back to the last good copy
+async function networkFirst(request) {
+    const cache = await caches.open(DATA_CACHE);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+// App shell: serve from cache immediately and refresh it in the background
+async function staleWhileRevalidate(event, request) {
+    const cache = await caches.open(APP_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+
+    const update = fetch(request)
+        .then(async response => {
+            if (response.ok) {
+                await cache.put(request, response.clone());
+            }
+            return response;
+        });
+
+    if (cached) {
+        event.waitUntil(update.catch(() => {}));
+        return cached;
+    }
+
+    return update;
+}